@@ -0,0 +1,161 @@
+/**
+ * Unusual orders and spending spikes.
+ *
+ * Three kinds of findings:
+ *   outlier-order    - an order far above the typical ticket overall or at its restaurant
+ *   duplicate-charge - the same amount at the same restaurant within a few minutes (or on the same
+ *                      day when the orders have no time)
+ *   spending-spike   - a month far above the typical month
+ * "Typical" is the median, with the median absolute deviation (MAD) as the spread, so the very
+ * outliers being looked for do not drag the baseline up.
+ */
+
+const { formatMoney } = require('./currency');
+const { round2 } = require('./helpers');
+
+const MIN_ORDERS = 5;
+const MIN_RESTAURANT_ORDERS = 3;
+const MIN_MONTHS = 4;
+const OUTLIER_RATIO = 2;
+const SPIKE_RATIO = 1.5;
+const MAD_LIMIT = 3.5;
+const MAD_SCALE = 1.4826; // makes the MAD comparable to a standard deviation
+const DUPLICATE_WINDOW_MINUTES = 10;
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Helper function to get the amount above which a value counts as unusual
+function unusualAbove(values, ratio) {
+  const typical = median(values);
+  const spread = median(values.map(value => Math.abs(value - typical))) * MAD_SCALE;
+  return { typical, limit: Math.max(typical * ratio, typical + MAD_LIMIT * spread) };
+}
+
+// Helper function to describe an order in a finding
+const orderRef = ({ order, index }) => ({
+  id: order.id ?? null,
+  index,
+  date: String(order.date).slice(0, 10),
+  timestamp: order.timestamp || null,
+  restaurant: order.restaurant || null,
+  amount: round2(order.amount)
+});
+
+function findOutlierOrders(entries, money) {
+  if (entries.length < MIN_ORDERS) return [];
+  const overall = unusualAbove(entries.map(entry => entry.order.amount), OUTLIER_RATIO);
+
+  const byRestaurant = new Map();
+  entries.forEach(entry => {
+    const key = normalizeName(entry.order.restaurant);
+    if (key) byRestaurant.set(key, [...(byRestaurant.get(key) || []), entry]);
+  });
+
+  return entries.flatMap(entry => {
+    const { amount } = entry.order;
+    const reasons = [];
+    if (amount > overall.limit) {
+      reasons.push(`${money(amount)} is ${(amount / overall.typical).toFixed(1)}× your typical order of ${money(overall.typical)}`);
+    }
+    const others = (byRestaurant.get(normalizeName(entry.order.restaurant)) || []).filter(other => other !== entry);
+    if (others.length >= MIN_RESTAURANT_ORDERS) {
+      const usual = median(others.map(other => other.order.amount));
+      if (amount >= usual * OUTLIER_RATIO) {
+        reasons.push(`${money(amount)} is ${(amount / usual).toFixed(1)}× the usual ${money(usual)} at ${entry.order.restaurant}`);
+      }
+    }
+    return reasons.length > 0 ? [{ type: 'outlier-order', orders: [orderRef(entry)], reasons }] : [];
+  });
+}
+
+// Helper function to get the instant of an order's timestamp in milliseconds (null without one)
+function timeOf(order) {
+  const time = order.timestamp ? Date.parse(order.timestamp) : NaN;
+  return isNaN(time) ? null : time;
+}
+
+// Helper function to pair each entry of a sorted list with the one before it
+const neighbours = (sorted) => sorted.slice(1).map((entry, i) => [sorted[i], entry]);
+
+// Orders with times are compared by the minutes between them, whatever their dates, so two charges
+// either side of midnight are caught; orders without times fall back to the same date
+function findDuplicateCharges(entries, money) {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = `${normalizeName(entry.order.restaurant)}|${round2(entry.order.amount)}`;
+    groups.set(key, [...(groups.get(key) || []), entry]);
+  });
+
+  const findings = [];
+  const duplicate = (previous, entry, reason) => {
+    findings.push({ type: 'duplicate-charge', orders: [orderRef(previous), orderRef(entry)], reasons: [reason] });
+  };
+
+  groups.forEach(group => {
+    const timed = group
+      .filter(entry => timeOf(entry.order) !== null)
+      .sort((a, b) => timeOf(a.order) - timeOf(b.order));
+    neighbours(timed).forEach(([previous, entry]) => {
+      const minutes = (timeOf(entry.order) - timeOf(previous.order)) / 60000;
+      if (minutes > DUPLICATE_WINDOW_MINUTES) return;
+      duplicate(previous, entry, `Two charges of ${money(entry.order.amount)} at ${entry.order.restaurant} ${Math.round(minutes)} minutes apart`);
+    });
+
+    const dayOf = (entry) => String(entry.order.date).slice(0, 10);
+    const untimed = group
+      .filter(entry => timeOf(entry.order) === null)
+      .sort((a, b) => dayOf(a).localeCompare(dayOf(b)));
+    neighbours(untimed).forEach(([previous, entry]) => {
+      if (dayOf(previous) !== dayOf(entry)) return;
+      duplicate(previous, entry, `Two charges of ${money(entry.order.amount)} at ${entry.order.restaurant} on the same day (no order times to compare)`);
+    });
+  });
+  return findings;
+}
+
+function findSpendingSpikes(months, money) {
+  if (months.length < MIN_MONTHS) return [];
+  const { typical, limit } = unusualAbove(months.map(entry => entry.spend), SPIKE_RATIO);
+  if (typical <= 0) return [];
+
+  return months
+    .filter(entry => entry.spend > limit)
+    .map(entry => ({
+      type: 'spending-spike',
+      month: entry.month,
+      spend: entry.spend,
+      reasons: [`${money(entry.spend)} in ${entry.month} is ${(entry.spend / typical).toFixed(1)}× your typical month of ${money(typical)}`]
+    }));
+}
+
+/**
+ * @param {Array<Object>} orders - Orders with date, amount and restaurant; timestamps sharpen duplicate checks
+ * @param {Object} [options]
+ * @param {Array<{month: string, spend: number}>} [options.months] - Monthly series, as in calculateTrends
+ * @param {string} [options.currency] - Currency of the amounts, for the reasons
+ * @returns {Array<Object>} Findings, each {type, reasons, orders} or, for spending spikes,
+ *   {type, reasons, month, spend}; orders are listed with their store id (if any) and index in `orders`
+ */
+function detectAnomalies(orders, { months = [], currency } = {}) {
+  const money = (amount) => formatMoney(round2(amount), currency);
+  const entries = orders
+    .map((order, index) => ({ order: { ...order, amount: parseFloat(order.amount) }, index }))
+    .filter(({ order }) => order.date && !isNaN(order.amount) && order.amount > 0);
+
+  return [
+    ...findDuplicateCharges(entries, money),
+    ...findOutlierOrders(entries, money),
+    ...findSpendingSpikes(months, money)
+  ];
+}
+
+module.exports = {
+  DUPLICATE_WINDOW_MINUTES,
+  detectAnomalies
+};
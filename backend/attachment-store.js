@@ -0,0 +1,83 @@
+const db = require('./db');
+
+/**
+ * Invoice files attached to stored orders, e.g. to hand in with a reimbursement claim.
+ * Files are kept in the database next to their order and go when the order is deleted.
+ */
+
+const DETAILS = 'id, order_id AS orderId, file_name AS fileName, mime_type AS mimeType, size, created_at AS createdAt';
+
+const statements = {
+  insert: db.prepare(`
+    INSERT INTO order_attachments (user_id, order_id, file_name, mime_type, size, data) VALUES (?, ?, ?, ?, ?, ?)
+  `),
+  byOrder: db.prepare(`SELECT ${DETAILS} FROM order_attachments WHERE user_id = ? AND order_id = ? ORDER BY id`),
+  all: db.prepare(`SELECT ${DETAILS} FROM order_attachments WHERE user_id = ? ORDER BY id`),
+  byId: db.prepare(`SELECT ${DETAILS}, data FROM order_attachments WHERE user_id = ? AND id = ?`),
+  remove: db.prepare('DELETE FROM order_attachments WHERE user_id = ? AND id = ?')
+};
+
+/**
+ * List the files attached to one order
+ * @param {number} userId - Owner of the order
+ * @param {number} orderId - Store ID of the order
+ * @returns {Array<{id: number, orderId: number, fileName: string, mimeType: string, size: number, createdAt: string}>}
+ */
+function listAttachments(userId, orderId) {
+  return statements.byOrder.all(userId, orderId);
+}
+
+/**
+ * Attach files to an order
+ * @param {number} userId - Owner of the order
+ * @param {number} orderId - Store ID of the order
+ * @param {Array<{originalname: string, mimetype: string, buffer: Buffer}>} files - Uploaded files
+ * @returns {Array<Object>} Every file now attached to the order, without their content
+ */
+const addAttachments = db.transaction((userId, orderId, files) => {
+  files.forEach(file => {
+    statements.insert.run(userId, orderId, file.originalname, file.mimetype, file.buffer.length, file.buffer);
+  });
+  return listAttachments(userId, orderId);
+});
+
+/**
+ * Details of every attached file, grouped by order
+ * @param {number} userId - Owner of the orders
+ * @returns {Map<number, Array<Object>>} Attachments by order store ID
+ */
+function attachmentsByOrder(userId) {
+  const byOrder = new Map();
+  statements.all.all(userId).forEach(attachment => {
+    byOrder.set(attachment.orderId, [...(byOrder.get(attachment.orderId) || []), attachment]);
+  });
+  return byOrder;
+}
+
+/**
+ * Get one attached file with its content
+ * @param {number} userId - Owner of the file
+ * @param {number} id - Attachment ID
+ * @returns {Object|null} Details plus `data` (Buffer)
+ */
+function getAttachment(userId, id) {
+  return statements.byId.get(userId, id) || null;
+}
+
+/**
+ * Delete one attached file
+ * @param {number} userId - Owner of the file
+ * @param {number} id - Attachment ID
+ * @returns {boolean} Whether a file was deleted
+ */
+function deleteAttachment(userId, id) {
+  return statements.remove.run(userId, id).changes > 0;
+}
+
+module.exports = {
+  listAttachments,
+  addAttachments,
+  attachmentsByOrder,
+  getAttachment,
+  deleteAttachment
+};
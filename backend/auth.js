@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const db = require('./db');
+const { seedDefaultRules } = require('./category-store');
+
+const SESSION_TTL_DAYS = 30;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Local user accounts with scrypt password hashes and bearer session tokens.
+ * Only a SHA-256 hash of each token is stored, so a copy of the database cannot be used to log in.
+ */
+
+const statements = {
+  userCount: db.prepare('SELECT COUNT(*) AS count FROM users'),
+  insertUser: db.prepare('INSERT INTO users (username, password_hash) VALUES (?, ?)'),
+  userByName: db.prepare('SELECT * FROM users WHERE username = ?'),
+  claimUnownedOrders: db.prepare('UPDATE orders SET user_id = ? WHERE user_id IS NULL'),
+  insertSession: db.prepare('INSERT INTO auth_sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)'),
+  userByToken: db.prepare(`
+    SELECT users.id, users.username FROM auth_sessions
+    JOIN users ON users.id = auth_sessions.user_id
+    WHERE auth_sessions.token_hash = ? AND auth_sessions.expires_at > ?
+  `),
+  deleteSession: db.prepare('DELETE FROM auth_sessions WHERE token_hash = ?'),
+  deleteExpiredSessions: db.prepare('DELETE FROM auth_sessions WHERE expires_at <= ?')
+};
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function issueToken(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  statements.deleteExpiredSessions.run(new Date().toISOString());
+  statements.insertSession.run(hashToken(token), userId, expiresAt);
+  return { token, expiresAt };
+}
+
+/**
+ * Check signup input
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateCredentials(username, password) {
+  if (typeof username !== 'string' || !/^[a-zA-Z0-9._-]{3,32}$/.test(username)) {
+    return 'Username must be 3-32 letters, digits, dots, dashes or underscores';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Create an account with the default category rules and log it in. The first account also takes
+ * over orders stored before accounts existed.
+ * @returns {{user: {id: number, username: string}, token: string, expiresAt: string}}
+ * @throws {Error} with code 'USERNAME_TAKEN' when the username exists
+ */
+const createUser = db.transaction((username, password) => {
+  if (statements.userByName.get(username)) {
+    const error = new Error('Username is already taken');
+    error.code = 'USERNAME_TAKEN';
+    throw error;
+  }
+
+  const isFirstUser = statements.userCount.get().count === 0;
+  const userId = Number(statements.insertUser.run(username, hashPassword(password)).lastInsertRowid);
+  seedDefaultRules(userId);
+  if (isFirstUser) {
+    statements.claimUnownedOrders.run(userId);
+  }
+
+  return { user: { id: userId, username }, ...issueToken(userId) };
+});
+
+/**
+ * Log in with username and password
+ * @returns {{user: {id: number, username: string}, token: string, expiresAt: string}|null}
+ *   null when the credentials are wrong
+ */
+function login(username, password) {
+  const row = typeof username === 'string' ? statements.userByName.get(username) : null;
+  if (!row || typeof password !== 'string' || !verifyPassword(password, row.password_hash)) {
+    return null;
+  }
+  return { user: { id: row.id, username: row.username }, ...issueToken(row.id) };
+}
+
+/**
+ * Resolve a session token to its user
+ * @returns {{id: number, username: string}|null}
+ */
+function getUserByToken(token) {
+  if (!token) return null;
+  return statements.userByToken.get(hashToken(token), new Date().toISOString()) || null;
+}
+
+function logout(token) {
+  statements.deleteSession.run(hashToken(token));
+}
+
+/**
+ * Express middleware: require a valid `Authorization: Bearer <token>` header and expose the
+ * user as req.user
+ */
+function requireAuth(req, res, next) {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  const user = scheme === 'Bearer' ? getUserByToken(token) : null;
+
+  if (!user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  req.user = user;
+  req.authToken = token;
+  next();
+}
+
+module.exports = {
+  validateCredentials,
+  createUser,
+  login,
+  logout,
+  requireAuth
+};
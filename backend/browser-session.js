@@ -0,0 +1,138 @@
+const playwright = require('playwright-core');
+
+// Store active browser sessions, shared by every scraper
+const sessions = new Map();
+const DEBUG_LOG_LIMIT = 50;
+const DEFAULT_MAX_PAGES = 100;
+const DEFAULT_MAX_DURATION_MS = 5 * 60 * 1000;
+// Consecutive attempts without new orders before history is considered fully loaded
+const STALL_LIMIT = 3;
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+function addDebug(sessionId, message) {
+  const session = sessions.get(sessionId);
+  if (!session) return;
+  const entry = `[${new Date().toISOString()}] ${message}`;
+  session.debugLog = session.debugLog || [];
+  session.debugLog.push(entry);
+  if (session.debugLog.length > DEBUG_LOG_LIMIT) {
+    session.debugLog.shift();
+  }
+}
+
+function getDebugLog(sessionId) {
+  const session = sessions.get(sessionId);
+  return session?.debugLog ? [...session.debugLog] : [];
+}
+
+function getSession(sessionId) {
+  return sessions.get(sessionId);
+}
+
+/**
+ * Launch a headless browser and register it under the given session ID
+ * @param {string} sessionId - Unique session identifier
+ * @param {Object} details - Extra fields stored on the session (e.g. mobileNumber)
+ * @returns {Promise<Object>} The stored session
+ */
+async function createSession(sessionId, details = {}) {
+  const browser = await playwright.chromium.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox']
+  });
+
+  const context = await browser.newContext({ userAgent: USER_AGENT });
+  const page = await context.newPage();
+
+  const session = { ...details, browser, context, page, debugLog: [] };
+  sessions.set(sessionId, session);
+  addDebug(sessionId, 'Browser launched in headless mode');
+  return session;
+}
+
+/**
+ * Close the browser behind a session and forget it
+ * @param {string} sessionId - Session identifier
+ */
+async function closeSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (session) {
+    await session.browser.close().catch(() => {});
+    sessions.delete(sessionId);
+  }
+}
+
+/**
+ * Keep loading order history ("Show more" buttons, falling back to scrolling) until no new
+ * orders appear, the `since` date is reached, or a page/time cap is hit.
+ * @param {Page} page - Playwright page showing the order history
+ * @param {string} sessionId - Session identifier, for debug logging
+ * @param {Object} options
+ * @param {function(): Promise<{count: number, oldestDate: string|null}>} options.getProgress - Orders loaded so far
+ * @param {Array<string>} [options.loadMoreSelectors] - Selectors for "load more" controls, tried in order
+ * @param {string} [options.since] - YYYY-MM-DD; stop once orders this old are loaded
+ * @param {number} [options.maxPages] - Maximum number of load attempts
+ * @param {number} [options.maxDurationMs] - Maximum time to spend loading
+ * @returns {Promise<{complete: boolean, stopReason: string, pagesLoaded: number}>}
+ */
+async function loadAllPages(page, sessionId, options) {
+  const {
+    getProgress,
+    loadMoreSelectors = [],
+    since = null,
+    maxPages = DEFAULT_MAX_PAGES,
+    maxDurationMs = DEFAULT_MAX_DURATION_MS
+  } = options;
+  const startedAt = Date.now();
+  let pagesLoaded = 0;
+  let stalls = 0;
+  let progress = await getProgress();
+
+  while (true) {
+    if (since && progress.oldestDate && progress.oldestDate < since) {
+      addDebug(sessionId, `Reached orders older than ${since}, stopping`);
+      return { complete: true, stopReason: 'since', pagesLoaded };
+    }
+    if (pagesLoaded >= maxPages) {
+      addDebug(sessionId, `Stopped after ${pagesLoaded} pages (page limit)`);
+      return { complete: false, stopReason: 'maxPages', pagesLoaded };
+    }
+    if (Date.now() - startedAt >= maxDurationMs) {
+      addDebug(sessionId, `Stopped after ${pagesLoaded} pages (time limit)`);
+      return { complete: false, stopReason: 'timeout', pagesLoaded };
+    }
+
+    let loadMoreButton = null;
+    for (const selector of loadMoreSelectors) {
+      loadMoreButton = await page.$(selector).catch(() => null);
+      if (loadMoreButton) break;
+    }
+
+    if (loadMoreButton) {
+      await loadMoreButton.click().catch(() => {});
+    } else {
+      await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    }
+    await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
+    await page.waitForTimeout(1500);
+    pagesLoaded++;
+
+    const next = await getProgress();
+    if (next.count > progress.count) {
+      stalls = 0;
+    } else if (++stalls >= STALL_LIMIT) {
+      addDebug(sessionId, `No new orders after ${STALL_LIMIT} attempts, history fully loaded`);
+      return { complete: true, stopReason: 'end', pagesLoaded };
+    }
+    progress = next;
+  }
+}
+
+module.exports = {
+  loadAllPages,
+  addDebug,
+  getDebugLog,
+  getSession,
+  createSession,
+  closeSession
+};
@@ -0,0 +1,44 @@
+const db = require('./db');
+
+/**
+ * Per-user budgets (see budgets.js for their shape)
+ */
+
+const statements = {
+  list: db.prepare(`
+    SELECT month, scope, scope_value AS scopeValue, amount, currency FROM budgets
+    WHERE user_id = ? ORDER BY month IS NOT NULL, month, scope, scope_value
+  `),
+  insert: db.prepare(
+    'INSERT INTO budgets (user_id, month, scope, scope_value, amount, currency) VALUES (?, ?, ?, ?, ?, ?)'
+  ),
+  removeAll: db.prepare('DELETE FROM budgets WHERE user_id = ?')
+};
+
+/**
+ * Get a user's budgets, every-month budgets first
+ * @param {number} userId - Owner of the budgets
+ * @returns {Array<{month: string|null, scope: string, scopeValue: string|null, amount: number, currency: string}>}
+ */
+function listBudgets(userId) {
+  return statements.list.all(userId);
+}
+
+/**
+ * Replace all of a user's budgets
+ * @param {number} userId - Owner of the budgets
+ * @param {Array<Object>} budgets - Validated budgets
+ * @returns {Array<Object>} The stored budgets
+ */
+const replaceBudgets = db.transaction((userId, budgets) => {
+  statements.removeAll.run(userId);
+  budgets.forEach(budget => {
+    statements.insert.run(userId, budget.month, budget.scope, budget.scopeValue, budget.amount, budget.currency);
+  });
+  return listBudgets(userId);
+});
+
+module.exports = {
+  listBudgets,
+  replaceBudgets
+};
@@ -0,0 +1,144 @@
+/**
+ * Monthly budgets and budget-vs-actual reporting.
+ *
+ * A budget is {month, scope, scopeValue, amount, currency}:
+ *   month      - 'YYYY-MM' for one month, or null for every month without its own budget
+ *   scope      - 'total' (all spend), 'category' or 'platform'
+ *   scopeValue - the category or platform name; null for 'total'
+ *   currency   - ISO 4217 code of the amount
+ * The current month's spend is projected to month end from the pace so far (spend per elapsed day).
+ * Budgets in another currency than the orders are converted with the rate for the first day of
+ * their month (the current month for every-month budgets).
+ */
+
+const { daysInMonth } = require('./dates');
+const { DEFAULT_CURRENCY, normalizeCurrency, formatMoney, convertAmount } = require('./currency');
+const { round2 } = require('./helpers');
+
+const BUDGET_SCOPES = ['total', 'category', 'platform'];
+
+/**
+ * Check a budget as sent by a client
+ * @param {Object} budget
+ * @param {string} [defaultCurrency] - Currency of a budget sent without one
+ * @returns {{budget: Object|null, error: string|null}}
+ */
+function normalizeBudget(budget, defaultCurrency = DEFAULT_CURRENCY) {
+  const month = budget?.month || null;
+  const currency = budget?.currency ? normalizeCurrency(budget.currency) : defaultCurrency;
+  const scope = budget?.scope || 'total';
+  const scopeValue = scope === 'total' ? null : (typeof budget?.scopeValue === 'string' ? budget.scopeValue.trim() : '');
+  const amount = parseFloat(budget?.amount);
+
+  if (month !== null && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+    return { budget: null, error: 'month must be YYYY-MM or null for every month' };
+  }
+  if (!BUDGET_SCOPES.includes(scope)) {
+    return { budget: null, error: `scope must be one of ${BUDGET_SCOPES.join(', ')}` };
+  }
+  if (scope !== 'total' && !scopeValue) {
+    return { budget: null, error: `A ${scope} budget needs a ${scope} name` };
+  }
+  if (isNaN(amount) || amount <= 0) {
+    return { budget: null, error: 'amount must be a positive number' };
+  }
+  if (!currency) {
+    return { budget: null, error: 'currency must be a currency code such as INR' };
+  }
+  return { budget: { month, scope, scopeValue, amount: round2(amount), currency }, error: null };
+}
+
+// Helper function to pick the budget for a month: its own one, else the every-month one
+function budgetFor(budgets, month, scope, scopeValue) {
+  const matching = budgets.filter(b => b.scope === scope && (b.scopeValue || null) === (scopeValue || null));
+  return matching.find(b => b.month === month) || matching.find(b => b.month === null) || null;
+}
+
+// Helper function to check whether an order counts towards a budget scope
+function inScope(order, scope, scopeValue) {
+  if (scope === 'category') return (order.category || '').toLowerCase() === scopeValue.toLowerCase();
+  if (scope === 'platform') return (order.platform || '').toLowerCase() === scopeValue.toLowerCase();
+  return true;
+}
+
+/**
+ * Compare spend with budgets
+ * @param {Array<Object>} orders - Orders, tagged with categories where category budgets are used
+ * @param {Array<Object>} budgets - Normalized budgets
+ * @param {string} today - YYYY-MM-DD, decides the current month and the pace so far
+ * @param {Object} [options]
+ * @param {string} [options.currency] - Currency of the orders; budgets are converted into it
+ * @param {Array<Object>} [options.rates] - Normalized exchange rates
+ * @returns {{months: Object, current: Object, warnings: string[]}}
+ *   months: total budget vs actual per month, for the months with orders plus the current month
+ *   current: every budget line of the current month with actual and projected spend, a converted
+ *     budget keeping originalBudget and originalCurrency
+ *   warnings: budgets over or heading over, and budgets left out for want of an exchange rate
+ */
+function calculateBudgetReport(orders, allBudgets, today, { currency = DEFAULT_CURRENCY, rates = [] } = {}) {
+  const currentMonth = today.slice(0, 7);
+  const unconverted = [];
+  const budgets = allBudgets.flatMap(budget => {
+    const budgetCurrency = budget.currency || currency;
+    const amount = convertAmount(budget.amount, budgetCurrency, currency, rates, `${budget.month || currentMonth}-01`);
+    if (amount === null) {
+      unconverted.push(budget);
+      return [];
+    }
+    return budgetCurrency === currency
+      ? [budget]
+      : [{ ...budget, amount, currency, originalBudget: budget.amount, originalCurrency: budgetCurrency }];
+  });
+  const spend = (month, scope, scopeValue) => round2(orders
+    .filter(order => String(order.date).slice(0, 7) === month && inScope(order, scope, scopeValue))
+    .reduce((sum, order) => sum + parseFloat(order.amount || 0), 0));
+
+  const monthKeys = [...new Set([...orders.map(order => String(order.date).slice(0, 7)), currentMonth])].sort();
+  const months = {};
+  monthKeys.forEach(month => {
+    const budget = budgetFor(budgets, month, 'total', null);
+    months[month] = { budget: budget ? budget.amount : null, actual: spend(month, 'total', null) };
+  });
+
+  const daysElapsed = Number(today.slice(8, 10));
+  const totalDays = daysInMonth(currentMonth);
+  const scopes = [...new Map(budgets.map(b => [`${b.scope}:${(b.scopeValue || '').toLowerCase()}`, b])).values()];
+
+  const lines = scopes
+    .map(({ scope, scopeValue }) => budgetFor(budgets, currentMonth, scope, scopeValue))
+    .filter(Boolean)
+    .map(({ scope, scopeValue, amount, originalBudget, originalCurrency }) => {
+      const actual = spend(currentMonth, scope, scopeValue);
+      const projected = round2((actual / daysElapsed) * totalDays);
+      const status = actual > amount ? 'over' : projected > amount ? 'projected-over' : 'on-track';
+      const original = originalCurrency ? { originalBudget, originalCurrency } : {};
+      return { scope, scopeValue, budget: amount, ...original, actual, projected, status };
+    });
+
+  const warnings = lines
+    .filter(line => line.status !== 'on-track')
+    .map(line => {
+      const name = line.scope === 'total' ? 'Total spend' : `${line.scopeValue} (${line.scope})`;
+      const budget = formatMoney(line.budget, currency);
+      return line.status === 'over'
+        ? `${name} is ${formatMoney(round2(line.actual - line.budget), currency)} over its ${budget} budget for ${currentMonth}`
+        : `${name} is on pace for ${formatMoney(line.projected, currency)}, over its ${budget} budget for ${currentMonth}`;
+    });
+  unconverted.forEach(budget => {
+    const name = budget.scope === 'total' ? 'Total spend' : `${budget.scopeValue} (${budget.scope})`;
+    warnings.push(`The ${formatMoney(budget.amount, budget.currency)} budget for ${name} is left out: ` +
+      `there is no exchange rate from ${budget.currency} to ${currency}`);
+  });
+
+  return {
+    months,
+    current: { month: currentMonth, daysElapsed, daysInMonth: totalDays, lines },
+    warnings
+  };
+}
+
+module.exports = {
+  BUDGET_SCOPES,
+  normalizeBudget,
+  calculateBudgetReport
+};
@@ -0,0 +1,121 @@
+/**
+ * Rule-based order categories (pizza, biryani, desserts, ...).
+ *
+ * A rule is {category, matchOn: 'restaurant' | 'item', keyword}. Rules are checked in order and the
+ * first one whose keyword appears (case-insensitively) in the restaurant name, or in any item name,
+ * sets the order's category. Orders record where their category came from in `categorySource`:
+ * 'rule' for automatic tags, 'manual' for a user's override, which rules never replace.
+ */
+
+const { round2 } = require('./helpers');
+
+const MATCH_ON = ['restaurant', 'item'];
+const UNCATEGORIZED = 'Uncategorized';
+
+// Rules every account starts with; users can edit or remove them
+const DEFAULT_CATEGORY_RULES = [
+  { category: 'Groceries', matchOn: 'restaurant', keyword: 'instamart' },
+  { category: 'Groceries', matchOn: 'restaurant', keyword: 'blinkit' },
+  { category: 'Groceries', matchOn: 'restaurant', keyword: 'zepto' },
+  { category: 'Groceries', matchOn: 'restaurant', keyword: 'bigbasket' },
+  { category: 'Pizza', matchOn: 'restaurant', keyword: 'pizza' },
+  { category: 'Pizza', matchOn: 'restaurant', keyword: "domino's" },
+  { category: 'Pizza', matchOn: 'item', keyword: 'pizza' },
+  { category: 'Biryani', matchOn: 'restaurant', keyword: 'biryani' },
+  { category: 'Biryani', matchOn: 'item', keyword: 'biryani' },
+  { category: 'Burgers', matchOn: 'restaurant', keyword: 'burger' },
+  { category: 'Burgers', matchOn: 'restaurant', keyword: "mcdonald's" },
+  { category: 'Burgers', matchOn: 'item', keyword: 'burger' },
+  { category: 'Chinese', matchOn: 'restaurant', keyword: 'chinese' },
+  { category: 'Chinese', matchOn: 'item', keyword: 'noodles' },
+  { category: 'Chinese', matchOn: 'item', keyword: 'manchurian' },
+  { category: 'South Indian', matchOn: 'item', keyword: 'dosa' },
+  { category: 'South Indian', matchOn: 'item', keyword: 'idli' },
+  { category: 'Desserts', matchOn: 'restaurant', keyword: 'ice cream' },
+  { category: 'Desserts', matchOn: 'restaurant', keyword: 'cake' },
+  { category: 'Desserts', matchOn: 'restaurant', keyword: 'dessert' },
+  { category: 'Desserts', matchOn: 'item', keyword: 'brownie' },
+  { category: 'Beverages', matchOn: 'restaurant', keyword: 'starbucks' },
+  { category: 'Beverages', matchOn: 'restaurant', keyword: 'chai' },
+  { category: 'Beverages', matchOn: 'restaurant', keyword: 'coffee' }
+];
+
+/**
+ * Check a rule as sent by a client
+ * @returns {{rule: Object|null, error: string|null}} Trimmed rule, or an error message
+ */
+function normalizeRule(rule) {
+  const category = typeof rule?.category === 'string' ? rule.category.trim() : '';
+  const keyword = typeof rule?.keyword === 'string' ? rule.keyword.trim() : '';
+  const matchOn = rule?.matchOn || 'restaurant';
+
+  if (!category || category.length > 40) {
+    return { rule: null, error: 'Category must be 1-40 characters' };
+  }
+  if (!keyword || keyword.length > 60) {
+    return { rule: null, error: 'Keyword must be 1-60 characters' };
+  }
+  if (!MATCH_ON.includes(matchOn)) {
+    return { rule: null, error: `matchOn must be one of ${MATCH_ON.join(', ')}` };
+  }
+  return { rule: { category, matchOn, keyword }, error: null };
+}
+
+/**
+ * Find the category the first matching rule gives an order
+ * @param {Array<Object>} rules - Rules in priority order
+ * @param {Object} order
+ * @returns {string|null}
+ */
+function matchCategory(rules, order) {
+  const restaurant = String(order.restaurant || '').toLowerCase();
+  const items = (Array.isArray(order.items) ? order.items : []).map(item => String(item?.name || '').toLowerCase());
+
+  const rule = rules.find(({ matchOn, keyword }) => {
+    const needle = keyword.toLowerCase();
+    return matchOn === 'item' ? items.some(name => name.includes(needle)) : restaurant.includes(needle);
+  });
+  return rule ? rule.category : null;
+}
+
+/**
+ * Tag an order from the rules, leaving manually categorized orders alone
+ * @returns {Object} The order with `category` and `categorySource` set (null when no rule matches)
+ */
+function applyCategory(rules, order) {
+  if (order.categorySource === 'manual') return order;
+
+  const category = matchCategory(rules, order);
+  return { ...order, category, categorySource: category ? 'rule' : null };
+}
+
+/**
+ * Spend per category, largest first
+ * @param {Array<Object>} orders - Orders, tagged or not
+ * @returns {Array<{category: string, total: number, orderCount: number}>}
+ */
+function calculateCategoryBreakdown(orders) {
+  const totals = new Map();
+
+  orders.forEach(order => {
+    const category = order.category || UNCATEGORIZED;
+    const entry = totals.get(category) || { category, total: 0, orderCount: 0 };
+    entry.total += parseFloat(order.amount || 0);
+    entry.orderCount++;
+    totals.set(category, entry);
+  });
+
+  return Array.from(totals.values())
+    .map(entry => ({ ...entry, total: round2(entry.total) }))
+    .sort((a, b) => b.total - a.total);
+}
+
+module.exports = {
+  MATCH_ON,
+  UNCATEGORIZED,
+  DEFAULT_CATEGORY_RULES,
+  normalizeRule,
+  matchCategory,
+  applyCategory,
+  calculateCategoryBreakdown
+};
@@ -0,0 +1,49 @@
+const db = require('./db');
+const { DEFAULT_CATEGORY_RULES } = require('./categories');
+
+/**
+ * Per-user category rules, kept in priority order
+ */
+
+const statements = {
+  list: db.prepare('SELECT category, match_on AS matchOn, keyword FROM category_rules WHERE user_id = ? ORDER BY position'),
+  insert: db.prepare('INSERT INTO category_rules (user_id, position, category, match_on, keyword) VALUES (?, ?, ?, ?, ?)'),
+  removeAll: db.prepare('DELETE FROM category_rules WHERE user_id = ?')
+};
+
+/**
+ * Get a user's rules in priority order
+ * @param {number} userId - Owner of the rules
+ * @returns {Array<{category: string, matchOn: string, keyword: string}>}
+ */
+function listRules(userId) {
+  return statements.list.all(userId);
+}
+
+/**
+ * Replace all of a user's rules
+ * @param {number} userId - Owner of the rules
+ * @param {Array<Object>} rules - Validated rules, highest priority first
+ * @returns {Array<Object>} The stored rules
+ */
+const replaceRules = db.transaction((userId, rules) => {
+  statements.removeAll.run(userId);
+  rules.forEach((rule, position) => {
+    statements.insert.run(userId, position, rule.category, rule.matchOn, rule.keyword);
+  });
+  return listRules(userId);
+});
+
+/**
+ * Give a new account the default rules
+ * @param {number} userId
+ */
+function seedDefaultRules(userId) {
+  replaceRules(userId, DEFAULT_CATEGORY_RULES);
+}
+
+module.exports = {
+  listRules,
+  replaceRules,
+  seedDefaultRules
+};
@@ -0,0 +1,243 @@
+/**
+ * Currencies, exchange rates and conversion into the reporting currency.
+ *
+ * Every order has a `currency`, an ISO 4217 code (INR when not given). Exchange rates are kept per
+ * user as {date, from, to, rate}: on `date`, 1 `from` was worth `rate` `to`. An order is converted
+ * with the latest rate for its pair on or before its date, or the earliest one after it when there is
+ * none before; a rate entered the other way round is used inverted. Orders whose pair has no rate at
+ * all cannot be converted, so analysis reports them instead of counting them.
+ */
+
+const { toLocalDate } = require('./dates');
+const { round2 } = require('./helpers');
+
+const DEFAULT_CURRENCY = 'INR';
+
+// Symbols and codes written next to amounts; longer symbols first so "US$" is read before "$"
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['S$', 'SGD'], ['A$', 'AUD'], ['C$', 'CAD'], ['Rs.', 'INR'], ['Rs', 'INR'],
+  ['₹', 'INR'], ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'],
+  ['INR', 'INR'], ['USD', 'USD'], ['EUR', 'EUR'], ['GBP', 'GBP'], ['AED', 'AED'], ['SGD', 'SGD'],
+  ['AUD', 'AUD'], ['CAD', 'CAD']
+];
+const SYMBOL_CODES = new Map(CURRENCY_SYMBOLS.map(([symbol, code]) => [symbol.toUpperCase(), code]));
+
+// Regex source matching any of the symbols, for parsers that read amounts out of text
+const CURRENCY_PREFIX = `(?:${CURRENCY_SYMBOLS
+  .map(([symbol]) => (/^[a-z]/i.test(symbol) ? '\\b' : '') + symbol.replace(/[.$]/g, '\\$&'))
+  .join('|')})`;
+const CURRENCY_PATTERN = new RegExp(CURRENCY_PREFIX, 'i');
+const LEADING_CURRENCY = new RegExp(`^(-?)${CURRENCY_PREFIX}`, 'i');
+const TRAILING_CURRENCY = new RegExp(`${CURRENCY_PREFIX}$`, 'i');
+// Digits grouped in thousands (12,345.50) or the Indian way (1,24,050); a lone comma such as
+// "3,50" is a decimal comma typo, not 350
+const AMOUNT_TEXT = /^-?(\d+|\d{1,3}(,\d{3})+|\d{1,2}(,\d{2})*,\d{3})(\.\d+)?$/;
+
+const SUPPORTED_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+/**
+ * @param {string} code - e.g. "INR"
+ * @returns {boolean}
+ */
+function isValidCurrency(code) {
+  return typeof code === 'string' && SUPPORTED_CURRENCIES.has(code);
+}
+
+/**
+ * Read a currency code, case-insensitively
+ * @param {*} value
+ * @returns {string|null} ISO 4217 code, or null when the value is not one
+ */
+function normalizeCurrency(value) {
+  const code = typeof value === 'string' ? value.trim().toUpperCase() : '';
+  return isValidCurrency(code) ? code : null;
+}
+
+/**
+ * Currency of an amount written with a symbol or code ("$12.50", "Rs. 300", "12 EUR")
+ * @param {*} text
+ * @returns {string|null}
+ */
+function detectCurrency(text) {
+  const match = typeof text === 'string' && text.match(CURRENCY_PATTERN);
+  return match ? SYMBOL_CODES.get(match[0].toUpperCase()) : null;
+}
+
+/**
+ * Read an amount, which may be written with a currency symbol or code and thousands separators
+ * @param {*} value - e.g. 300, "1,200.50", "$12.50", "-₹40", "12 EUR"
+ * @returns {number|null} null when the value is empty or not a number ("3,50", "12abc")
+ */
+function parseAmount(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const text = String(value).trim().replace(LEADING_CURRENCY, '$1').replace(TRAILING_CURRENCY, '').replace(/\s/g, '');
+  return AMOUNT_TEXT.test(text) ? parseFloat(text.replace(/,/g, '')) : null;
+}
+
+/**
+ * Amount with its currency symbol, as used in messages ("₹1,240.5", "$12.99"). Rupees are grouped
+ * the Indian way (₹1,24,050), other currencies in thousands.
+ * @param {number} amount
+ * @param {string} [currency]
+ * @returns {string}
+ */
+function formatMoney(amount, currency = DEFAULT_CURRENCY) {
+  const locale = currency === 'INR' ? 'en-IN' : 'en-US';
+  return new Intl.NumberFormat(locale, { style: 'currency', currency, minimumFractionDigits: 0, maximumFractionDigits: 2 })
+    .format(amount);
+}
+
+/**
+ * Check an exchange rate as sent by a client
+ * @returns {{rate: Object|null, error: string|null}}
+ */
+function normalizeRate(entry) {
+  const from = normalizeCurrency(entry?.from);
+  const to = normalizeCurrency(entry?.to);
+  const rate = parseFloat(entry?.rate);
+  const date = entry?.date;
+
+  if (!from || !to) {
+    return { rate: null, error: 'from and to must be currency codes such as USD' };
+  }
+  if (from === to) {
+    return { rate: null, error: 'from and to must be different currencies' };
+  }
+  if (isNaN(rate) || rate <= 0) {
+    return { rate: null, error: 'rate must be a number above 0' };
+  }
+  if (typeof date !== 'string' || toLocalDate(date) !== date) {
+    return { rate: null, error: 'date must be YYYY-MM-DD' };
+  }
+  return { rate: { date, from, to, rate }, error: null };
+}
+
+/**
+ * Rate to convert an amount from one currency to another on a date
+ * @param {Array<{date: string, from: string, to: string, rate: number}>} rates
+ * @returns {{rate: number, date: string}|null} null when the pair has no rate
+ */
+function findRate(rates, from, to, date) {
+  const candidates = rates
+    .map(entry => {
+      if (entry.from === from && entry.to === to) return { rate: entry.rate, date: entry.date };
+      if (entry.from === to && entry.to === from) return { rate: 1 / entry.rate, date: entry.date };
+      return null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  if (candidates.length === 0) return null;
+
+  const before = candidates.filter(candidate => candidate.date <= date);
+  return before.length > 0 ? before[before.length - 1] : candidates[0];
+}
+
+/**
+ * Convert an amount with the rate for its pair on a date (see findRate)
+ * @param {number} amount
+ * @param {string} from - Currency of the amount
+ * @param {string} to - Currency wanted
+ * @param {Array<Object>} rates - Normalized exchange rates
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number|null} null when the pair has no rate
+ */
+function convertAmount(amount, from, to, rates, date) {
+  if (from === to) return amount;
+  const found = findRate(rates, from, to, date);
+  return found ? round2(amount * found.rate) : null;
+}
+
+// Helper function to scale every money field of an order by an exchange rate. Breakdown amounts
+// may still be text ("₹40"); those are read the way validation reads them.
+function scaleOrder(order, rate) {
+  const scale = (value) => {
+    const amount = parseAmount(value);
+    return amount === null ? value : round2(amount * rate);
+  };
+  return {
+    ...order,
+    amount: round2(parseAmount(order.amount) * rate),
+    items: Array.isArray(order.items) ? order.items.map(item => ({ ...item, price: scale(item.price) })) : order.items,
+    fees: order.fees && Object.fromEntries(Object.entries(order.fees).map(([type, fee]) => [type, scale(fee)])),
+    discount: order.discount && { ...order.discount, amount: scale(order.discount.amount) },
+    membership: order.membership && { ...order.membership, savings: scale(order.membership.savings) },
+    taxes: scale(order.taxes)
+  };
+}
+
+/**
+ * Express orders in the reporting currency
+ * @param {Array<Object>} orders - Orders with YYYY-MM-DD dates
+ * @param {string} reportingCurrency
+ * @param {Array<Object>} rates - Normalized exchange rates
+ * @returns {{orders: Array<Object>, byCurrency: Array<Object>, unconverted: Array<Object>}}
+ *   orders: the convertible orders in the reporting currency, converted ones keeping
+ *     originalCurrency, originalAmount and exchangeRate
+ *   byCurrency: {currency, orderCount, total, converted} per order currency, largest first; `total`
+ *     is in that currency and `converted` in the reporting currency
+ *   unconverted: {index, id, date, currency, amount} of orders with no rate for their currency
+ */
+function convertOrders(orders, reportingCurrency, rates) {
+  const converted = [];
+  const unconverted = [];
+  const currencies = new Map();
+
+  orders.forEach((order, index) => {
+    const currency = normalizeCurrency(order?.currency) || detectCurrency(order?.amount) || DEFAULT_CURRENCY;
+    const amount = parseAmount(order?.amount);
+    const subtotal = currencies.get(currency) || { currency, orderCount: 0, total: 0, converted: 0 };
+    currencies.set(currency, subtotal);
+    subtotal.orderCount++;
+
+    // Orders without an amount are passed on for the analysis to skip
+    if (amount === null) {
+      converted.push(order);
+      return;
+    }
+    subtotal.total += amount;
+
+    if (currency === reportingCurrency) {
+      subtotal.converted += amount;
+      converted.push(amount === order.amount ? order : { ...order, amount, currency });
+      return;
+    }
+
+    const found = findRate(rates, currency, reportingCurrency, order.date);
+    if (!found) {
+      unconverted.push({ index, id: order.id ?? null, date: order.date, currency, amount });
+      return;
+    }
+    const scaled = scaleOrder(order, found.rate);
+    subtotal.converted += scaled.amount;
+    converted.push({
+      ...scaled,
+      currency: reportingCurrency,
+      originalCurrency: currency,
+      originalAmount: amount,
+      exchangeRate: found.rate
+    });
+  });
+
+  return {
+    orders: converted,
+    byCurrency: [...currencies.values()]
+      .map(entry => ({ ...entry, total: round2(entry.total), converted: round2(entry.converted) }))
+      .sort((a, b) => b.converted - a.converted),
+    unconverted
+  };
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  CURRENCY_PREFIX,
+  isValidCurrency,
+  normalizeCurrency,
+  detectCurrency,
+  parseAmount,
+  formatMoney,
+  normalizeRate,
+  findRate,
+  convertAmount,
+  convertOrders
+};
@@ -0,0 +1,278 @@
+/**
+ * Calendar dates, months and time zones, in one place.
+ *
+ * Orders are bucketed by their `date`, a YYYY-MM-DD calendar date. A time zone only matters when a
+ * value names an instant rather than a calendar date (a Date, or an ISO timestamp with `Z` or an
+ * offset) and for "today"; both use the user's time zone, falling back to DEFAULT_TIME_ZONE. An
+ * order whose timestamp is an instant takes its date from that instant in the zone, so it moves
+ * with the zone; a plain date never does. Date ranges are inclusive of both end days.
+ */
+
+const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const INSTANT_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i;
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})[T ]\d{2}:\d{2}/;
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september',
+  'october', 'november', 'december'];
+// The only other formats accepted: the month is spelled out, so day and month cannot be swapped
+const TEXT_DATE_FORMATS = [
+  // "31 Jan 2024", "31 January 2024", "31-Jan-2024"
+  { pattern: /^(\d{1,2})[\s-]([a-z]{3,9})[\s-](\d{4})$/i, day: 1, month: 2, year: 3 },
+  // "Jan 31, 2024", "January 31 2024"
+  { pattern: /^([a-z]{3,9}) (\d{1,2}),? (\d{4})$/i, day: 2, month: 1, year: 3 }
+];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * @param {string} timeZone - IANA name such as "Asia/Kolkata"
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Helper function to check that a YYYY-MM-DD string is a real calendar day
+function isCalendarDate(text) {
+  const match = DATE_PATTERN.exec(text);
+  if (!match) return false;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// Helper function to read a date with a spelled-out month as YYYY-MM-DD
+function parseTextDate(text) {
+  for (const format of TEXT_DATE_FORMATS) {
+    const match = format.pattern.exec(text.replace(/\s+/g, ' '));
+    if (!match) continue;
+    const name = match[format.month].toLowerCase();
+    const month = MONTH_NAMES.findIndex(full => full.startsWith(name)) + 1;
+    if (month === 0) return null;
+    const date = `${match[format.year]}-${pad(month)}-${pad(match[format.day])}`;
+    return isCalendarDate(date) ? date : null;
+  }
+  return null;
+}
+
+/**
+ * Wall-clock date, time and UTC offset of an instant in a time zone
+ * @param {Date} instant
+ * @param {string} [timeZone]
+ * @returns {{date: string, time: string, offset: string}}
+ */
+function zonedParts(instant, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant).map(({ type, value }) => [type, value]));
+
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const offsetMinutes = Math.round((wallClock - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}:${parts.second}`,
+    offset: `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`
+  };
+}
+
+/**
+ * Date and timestamp of an instant in a time zone, as the order model stores them
+ * @param {Date} instant
+ * @param {string} [timeZone]
+ * @returns {{date: string, timestamp: string}|null}
+ */
+function zonedDateTime(instant, timeZone = DEFAULT_TIME_ZONE) {
+  if (!(instant instanceof Date) || isNaN(instant)) return null;
+  const { date, time, offset } = zonedParts(instant, timeZone);
+  return { date, timestamp: `${date}T${time}${offset}` };
+}
+
+/**
+ * Today's date in a time zone
+ * @param {string} [timeZone]
+ * @param {Date} [now]
+ * @returns {string} YYYY-MM-DD
+ */
+function todayIn(timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  return zonedParts(now, timeZone).date;
+}
+
+/**
+ * Calendar date of a value:
+ *   "2024-01-31"                       - as written
+ *   "2024-01-31T23:30:00"              - the date as written (a wall-clock time has no zone)
+ *   "2024-01-31T18:30:00Z", Date, ...  - the date of that instant in `timeZone`
+ *   "31 Jan 2024", "Jan 31, 2024"      - the date as written (the month must be spelled out)
+ * Nothing else is a date: numeric forms such as "1/2/2024" are ambiguous between day-first and
+ * month-first, and free text ("Order 5") must not be guessed at.
+ * @param {string|Date} value
+ * @param {string} [timeZone]
+ * @returns {string|null} YYYY-MM-DD, or null when the value is not in one of these formats
+ */
+function toLocalDate(value, timeZone = DEFAULT_TIME_ZONE) {
+  if (value instanceof Date) {
+    return isNaN(value) ? null : zonedParts(value, timeZone).date;
+  }
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const text = value.trim();
+
+  if (DATE_PATTERN.test(text)) return isCalendarDate(text) ? text : null;
+  if (INSTANT_PATTERN.test(text)) return toLocalDate(new Date(text), timeZone);
+  const wallClock = LOCAL_DATE_TIME_PATTERN.exec(text);
+  if (wallClock) return isCalendarDate(wallClock[1]) ? wallClock[1] : null;
+  return parseTextDate(text);
+}
+
+/**
+ * Timestamp carried by a date value: an instant as wall-clock time in `timeZone`, a wall-clock
+ * datetime as written
+ * @param {string} value
+ * @param {string} [timeZone]
+ * @returns {string|null} null when the value has no time of day
+ */
+function toLocalTimestamp(value, timeZone = DEFAULT_TIME_ZONE) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  if (INSTANT_PATTERN.test(text)) {
+    const zoned = zonedDateTime(new Date(text), timeZone);
+    return zoned && zoned.timestamp;
+  }
+  return LOCAL_DATE_TIME_PATTERN.test(text) && toLocalDate(text) ? text : null;
+}
+
+/**
+ * Date and timestamp of an order in a time zone. A timestamp with `Z` or an offset is an instant:
+ * it becomes wall-clock time in `timeZone` and the date is taken from it, so a 18:45Z order is a
+ * 00:15 order on the next day in India. Otherwise the date is read with toLocalDate, and a date
+ * written as a timestamp gives its time of day to an order without one.
+ * @param {{date: *, timestamp: *}} order
+ * @param {string} [timeZone]
+ * @returns {{date: *, timestamp: *}} Values that cannot be read are returned as they are
+ */
+function localDateTime({ date, timestamp }, timeZone = DEFAULT_TIME_ZONE) {
+  if (typeof timestamp === 'string' && INSTANT_PATTERN.test(timestamp.trim())) {
+    const local = toLocalTimestamp(timestamp, timeZone);
+    if (local) return { date: local.slice(0, 10), timestamp: local };
+  }
+  const localDate = toLocalDate(date, timeZone);
+  if (!localDate || localDate === date) return { date, timestamp };
+  return { date: localDate, timestamp: timestamp || toLocalTimestamp(date, timeZone) };
+}
+
+/**
+ * Give orders a YYYY-MM-DD date and a wall-clock timestamp in a time zone (see localDateTime).
+ * Every path that stores or analyzes orders goes through this, so an order gets the same date, and
+ * the same fingerprint, whichever importer it came from.
+ * @param {Array<*>} orders
+ * @param {string} [timeZone]
+ * @returns {Array<*>} Values that cannot be read are left as they are for validation to reject
+ */
+function localizeOrders(orders, timeZone = DEFAULT_TIME_ZONE) {
+  return orders.map(order => {
+    if (!order || typeof order !== 'object') return order;
+    const local = localDateTime(order, timeZone);
+    return local.date === order.date && local.timestamp === order.timestamp ? order : { ...order, ...local };
+  });
+}
+
+/**
+ * @param {string|Date} value - Anything toLocalDate accepts
+ * @param {string} [timeZone]
+ * @returns {string|null} YYYY-MM
+ */
+function monthOf(value, timeZone = DEFAULT_TIME_ZONE) {
+  const date = toLocalDate(value, timeZone);
+  return date && date.slice(0, 7);
+}
+
+/**
+ * Inclusive date range check on calendar dates; a missing bound is open
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} [startDate] - YYYY-MM-DD, inclusive
+ * @param {string} [endDate] - YYYY-MM-DD, inclusive (the whole end day counts)
+ */
+function isInRange(date, startDate, endDate) {
+  return Boolean(date) && (!startDate || date >= startDate) && (!endDate || date <= endDate);
+}
+
+/**
+ * Whole days from one calendar date to another
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * @param {string} date - YYYY-MM-DD
+ * @returns {number} 0 (Monday) to 6 (Sunday)
+ */
+function weekdayOf(date) {
+  return (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+}
+
+/**
+ * Move a YYYY-MM month by a number of months (negative to go back)
+ */
+function addMonths(month, count) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const index = year * 12 + (monthNumber - 1) + count;
+  return `${Math.floor(index / 12)}-${pad((index % 12) + 1)}`;
+}
+
+/**
+ * Every YYYY-MM from one month to another, inclusive
+ */
+function monthRange(first, last) {
+  const months = [];
+  for (let month = first; month <= last; month = addMonths(month, 1)) {
+    months.push(month);
+  }
+  return months;
+}
+
+/**
+ * @param {string} month - YYYY-MM
+ * @returns {number}
+ */
+function daysInMonth(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  zonedDateTime,
+  todayIn,
+  toLocalDate,
+  toLocalTimestamp,
+  localDateTime,
+  localizeOrders,
+  monthOf,
+  isInRange,
+  daysBetween,
+  weekdayOf,
+  addMonths,
+  monthRange,
+  daysInMonth
+};
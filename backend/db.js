@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { DEFAULT_CATEGORY_RULES } = require('./categories');
+
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'data', 'orders.db');
+
+/**
+ * Shared SQLite connection. The schema is versioned with PRAGMA user_version: each entry in
+ * MIGRATIONS upgrades the database by one version and runs once, in order, inside a transaction.
+ * An entry is SQL, or a function of the connection for migrations that also need to write data.
+ */
+const MIGRATIONS = [
+  // 1: order store
+  `
+    CREATE TABLE IF NOT EXISTS orders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      order_key TEXT NOT NULL UNIQUE,
+      fingerprint TEXT NOT NULL,
+      order_id TEXT,
+      platform TEXT,
+      date TEXT NOT NULL,
+      amount REAL NOT NULL,
+      restaurant TEXT NOT NULL,
+      data TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_orders_date ON orders (date);
+    CREATE INDEX IF NOT EXISTS idx_orders_fingerprint ON orders (fingerprint);
+  `,
+  // 2: user accounts; orders become per-user. Orders saved before accounts existed have no owner
+  // and are handed to the first account that signs up (see auth.createUser).
+  `
+    CREATE TABLE users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      password_hash TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE auth_sessions (
+      token_hash TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      expires_at TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE TABLE user_settings (
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      PRIMARY KEY (user_id, key)
+    );
+
+    CREATE TABLE orders_v2 (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER REFERENCES users (id) ON DELETE CASCADE,
+      order_key TEXT NOT NULL,
+      fingerprint TEXT NOT NULL,
+      order_id TEXT,
+      platform TEXT,
+      date TEXT NOT NULL,
+      amount REAL NOT NULL,
+      restaurant TEXT NOT NULL,
+      data TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE (user_id, order_key)
+    );
+    INSERT INTO orders_v2 (id, order_key, fingerprint, order_id, platform, date, amount, restaurant, data, created_at, updated_at)
+      SELECT id, order_key, fingerprint, order_id, platform, date, amount, restaurant, data, created_at, updated_at FROM orders;
+    DROP TABLE orders;
+    ALTER TABLE orders_v2 RENAME TO orders;
+    CREATE INDEX idx_orders_user_date ON orders (user_id, date);
+    CREATE INDEX idx_orders_user_fingerprint ON orders (user_id, fingerprint);
+  `,
+  // 3: category rules per user; existing accounts get the default rules (new ones get them at signup)
+  (connection) => {
+    connection.exec(`
+      CREATE TABLE category_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        category TEXT NOT NULL,
+        match_on TEXT NOT NULL,
+        keyword TEXT NOT NULL
+      );
+      CREATE INDEX idx_category_rules_user ON category_rules (user_id, position);
+    `);
+    const insert = connection.prepare(
+      'INSERT INTO category_rules (user_id, position, category, match_on, keyword) VALUES (?, ?, ?, ?, ?)'
+    );
+    connection.prepare('SELECT id FROM users').all().forEach(({ id }) => {
+      DEFAULT_CATEGORY_RULES.forEach((rule, position) => {
+        insert.run(id, position, rule.category, rule.matchOn, rule.keyword);
+      });
+    });
+  },
+  // 4: budgets; month is NULL for a budget that applies to every month
+  `
+    CREATE TABLE budgets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      month TEXT,
+      scope TEXT NOT NULL,
+      scope_value TEXT,
+      amount REAL NOT NULL
+    );
+    CREATE INDEX idx_budgets_user ON budgets (user_id);
+  `,
+  // 5: paid memberships (Swiggy One, Zomato Gold, ...) and the period each one covers
+  `
+    CREATE TABLE memberships (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      platform TEXT NOT NULL,
+      name TEXT NOT NULL,
+      cost REAL NOT NULL,
+      start_date TEXT NOT NULL,
+      end_date TEXT NOT NULL
+    );
+    CREATE INDEX idx_memberships_user ON memberships (user_id);
+  `,
+  // 6: exchange rates for converting order currencies into the reporting currency
+  `
+    CREATE TABLE exchange_rates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      date TEXT NOT NULL,
+      from_currency TEXT NOT NULL,
+      to_currency TEXT NOT NULL,
+      rate REAL NOT NULL
+    );
+    CREATE INDEX idx_exchange_rates_user ON exchange_rates (user_id);
+  `,
+  // 7: reimbursement rules (list columns hold JSON arrays) and invoice files attached to orders
+  `
+    CREATE TABLE reimbursement_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      position INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      weekdays TEXT NOT NULL,
+      meal_slots TEXT NOT NULL,
+      address_labels TEXT NOT NULL,
+      platforms TEXT NOT NULL
+    );
+    CREATE INDEX idx_reimbursement_rules_user ON reimbursement_rules (user_id, position);
+
+    CREATE TABLE order_attachments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      order_id INTEGER NOT NULL REFERENCES orders (id) ON DELETE CASCADE,
+      file_name TEXT NOT NULL,
+      mime_type TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      data BLOB NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX idx_order_attachments_order ON order_attachments (user_id, order_id);
+  `,
+  // 8: a currency for every budget and membership; existing ones were entered in the owner's
+  // reporting currency, INR unless set
+  `
+    ALTER TABLE budgets ADD COLUMN currency TEXT NOT NULL DEFAULT 'INR';
+    ALTER TABLE memberships ADD COLUMN currency TEXT NOT NULL DEFAULT 'INR';
+    UPDATE budgets SET currency = COALESCE((
+      SELECT json_extract(value, '$') FROM user_settings
+      WHERE user_settings.user_id = budgets.user_id AND key = 'reportingCurrency'
+    ), 'INR');
+    UPDATE memberships SET currency = COALESCE((
+      SELECT json_extract(value, '$') FROM user_settings
+      WHERE user_settings.user_id = memberships.user_id AND key = 'reportingCurrency'
+    ), 'INR');
+  `
+];
+
+fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+const db = new Database(DB_PATH);
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+
+const currentVersion = db.pragma('user_version', { simple: true });
+MIGRATIONS.slice(currentVersion).forEach((migration, offset) => {
+  db.transaction(() => {
+    if (typeof migration === 'function') {
+      migration(db);
+    } else {
+      db.exec(migration);
+    }
+    db.pragma(`user_version = ${currentVersion + offset + 1}`);
+  })();
+});
+
+module.exports = db;
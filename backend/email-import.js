@@ -0,0 +1,123 @@
+const { simpleParser } = require('mailparser');
+const { createOrder } = require('./order-schema');
+const { parseReceiptText } = require('./receipt-parser');
+const { zonedDateTime } = require('./dates');
+
+/**
+ * Import orders from Swiggy and Zomato order-confirmation emails, uploaded as mbox files or as
+ * individual .eml files. Every message is reported either as an order or as skipped with a reason,
+ * so newsletters and other mail in an mbox export are simply passed over.
+ */
+
+// Receipts are recognized by sender domain; the subject must also mention an order
+const PLATFORM_SENDERS = [
+  { platform: 'swiggy', pattern: /@([a-z0-9-]+\.)*swiggy\.(in|com)\b/i },
+  { platform: 'zomato', pattern: /@([a-z0-9-]+\.)*zomato\.com\b/i }
+];
+
+const SUBJECT_RESTAURANT_PATTERN = /order (?:from|at) (.+?)(?: is| has|$)/i;
+
+// Helper function to split an mbox file into raw messages (single messages pass through as-is)
+function splitMessages(content) {
+  const text = content.toString('utf8');
+  if (!text.startsWith('From ')) return [text];
+
+  return text
+    .split(/^From .*\r?\n/m)
+    .filter(message => message.trim())
+    .map(message => message.replace(/^>(>*From )/gm, '$1'));
+}
+
+const HTML_ENTITIES = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", rupee: '₹' };
+
+// Helper function to turn an HTML receipt into text with one table row or block per line
+// (mailparser's own conversion runs table cells together)
+function htmlToText(html) {
+  return html
+    .replace(/<(style|script|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>|<\/(tr|p|div|li|h[1-6]|table)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&([a-z]+);/gi, (entity, name) => HTML_ENTITIES[name.toLowerCase()] ?? entity);
+}
+
+function detectPlatform(parsed) {
+  const senders = (parsed.from?.value || []).map(sender => sender.address || '').join(' ');
+  const match = PLATFORM_SENDERS.find(({ pattern }) => pattern.test(senders));
+  return match ? match.platform : null;
+}
+
+/**
+ * Turn one parsed email into an order
+ * @returns {{order: Object|null, reason: string|null}}
+ */
+function orderFromEmail(parsed) {
+  const platform = detectPlatform(parsed);
+  if (!platform) {
+    return { order: null, reason: 'Not from Swiggy or Zomato' };
+  }
+  if (!/order/i.test(parsed.subject || '')) {
+    return { order: null, reason: 'Not an order email' };
+  }
+
+  const fields = parseReceiptText(parsed.html ? htmlToText(parsed.html) : parsed.text || '');
+  // Both platforms show order times in IST, the default time zone
+  const when = zonedDateTime(parsed.date);
+  if (fields.amount === undefined) {
+    return { order: null, reason: 'No order total found' };
+  }
+  if (!when) {
+    return { order: null, reason: 'Email has no date' };
+  }
+
+  const subjectRestaurant = (parsed.subject || '').match(SUBJECT_RESTAURANT_PATTERN);
+
+  return {
+    order: createOrder({
+      ...fields,
+      platform,
+      ...when,
+      restaurant: fields.restaurant || (subjectRestaurant && subjectRestaurant[1])
+    }),
+    reason: null
+  };
+}
+
+/**
+ * Extract orders from uploaded email files
+ * @param {Array<{originalname: string, buffer: Buffer}>} files - Uploaded .eml or mbox files
+ * @returns {Promise<{messages: number, orders: Array<Object>, skipped: Array<{file: string, subject: string|null, reason: string}>}>}
+ */
+async function importEmails(files) {
+  const orders = [];
+  const skipped = [];
+  let messages = 0;
+
+  for (const file of files) {
+    for (const raw of splitMessages(file.buffer)) {
+      messages++;
+      let parsed;
+      try {
+        parsed = await simpleParser(raw);
+      } catch (error) {
+        skipped.push({ file: file.originalname, subject: null, reason: `Unreadable message: ${error.message}` });
+        continue;
+      }
+
+      const { order, reason } = orderFromEmail(parsed);
+      if (order) {
+        orders.push(order);
+      } else {
+        skipped.push({ file: file.originalname, subject: parsed.subject || null, reason });
+      }
+    }
+  }
+
+  return { messages, orders, skipped };
+}
+
+module.exports = {
+  importEmails
+};
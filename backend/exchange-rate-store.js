@@ -0,0 +1,44 @@
+const db = require('./db');
+
+/**
+ * Per-user exchange rates (see currency.js for their shape)
+ */
+
+const statements = {
+  list: db.prepare(`
+    SELECT date, from_currency AS "from", to_currency AS "to", rate FROM exchange_rates
+    WHERE user_id = ? ORDER BY date, from_currency, to_currency
+  `),
+  insert: db.prepare(`
+    INSERT INTO exchange_rates (user_id, date, from_currency, to_currency, rate) VALUES (?, ?, ?, ?, ?)
+  `),
+  removeAll: db.prepare('DELETE FROM exchange_rates WHERE user_id = ?')
+};
+
+/**
+ * Get a user's exchange rates, oldest first
+ * @param {number} userId - Owner of the rates
+ * @returns {Array<{date: string, from: string, to: string, rate: number}>}
+ */
+function listRates(userId) {
+  return statements.list.all(userId);
+}
+
+/**
+ * Replace all of a user's exchange rates
+ * @param {number} userId - Owner of the rates
+ * @param {Array<Object>} rates - Validated rates
+ * @returns {Array<Object>} The stored rates
+ */
+const replaceRates = db.transaction((userId, rates) => {
+  statements.removeAll.run(userId);
+  rates.forEach(entry => {
+    statements.insert.run(userId, entry.date, entry.from, entry.to, entry.rate);
+  });
+  return listRates(userId);
+});
+
+module.exports = {
+  listRates,
+  replaceRates
+};
@@ -0,0 +1,123 @@
+/**
+ * Monthly spend forecasting with exponential smoothing.
+ *
+ * The method depends on how much history there is:
+ *   holt-winters - 24+ complete months: level, trend and a 12-month additive seasonal pattern
+ *   holt         - 4+ months: level and a damped trend
+ *   mean         - fewer months: the average month
+ * Smoothing parameters are picked by grid search on one-step-ahead errors, and those errors also set
+ * the width of the confidence band, which widens with the square root of the horizon.
+ */
+
+const { addMonths } = require('./dates');
+const { round2, sumOf } = require('./helpers');
+
+const MAX_HORIZON = 6;
+const SEASON_LENGTH = 12;
+const DAMPING = 0.9;
+const Z_95 = 1.96;
+const GRID = [0.1, 0.3, 0.5, 0.7, 0.9];
+
+const mean = (values) => sumOf(values) / values.length;
+
+// Sum of damping factors phi + phi^2 + ... + phi^h
+const dampedSteps = (h) => Array.from({ length: h }, (_, i) => DAMPING ** (i + 1)).reduce((a, b) => a + b, 0);
+
+// Helper function to fit Holt's damped linear trend; returns one-step errors and a forecaster
+function fitHolt(series, alpha, beta) {
+  let level = series[0];
+  let trend = series[1] - series[0];
+  const errors = [];
+  for (let t = 1; t < series.length; t++) {
+    const predicted = level + DAMPING * trend;
+    errors.push(series[t] - predicted);
+    const previousLevel = level;
+    level = alpha * series[t] + (1 - alpha) * predicted;
+    trend = beta * (level - previousLevel) + (1 - beta) * DAMPING * trend;
+  }
+  return { errors, predict: (h) => level + dampedSteps(h) * trend };
+}
+
+// Helper function to fit additive Holt-Winters, initialised from the first season
+function fitHoltWinters(series, alpha, beta, gamma) {
+  const m = SEASON_LENGTH;
+  let level = mean(series.slice(0, m));
+  let trend = (mean(series.slice(m, 2 * m)) - level) / m;
+  const seasonal = series.slice(0, m).map(value => value - level);
+  const errors = [];
+  for (let t = m; t < series.length; t++) {
+    const season = seasonal[t % m];
+    const predicted = level + trend + season;
+    errors.push(series[t] - predicted);
+    const previousLevel = level;
+    level = alpha * (series[t] - season) + (1 - alpha) * (level + trend);
+    trend = beta * (level - previousLevel) + (1 - beta) * trend;
+    seasonal[t % m] = gamma * (series[t] - level) + (1 - gamma) * season;
+  }
+  const n = series.length;
+  return { errors, predict: (h) => level + h * trend + seasonal[(n - 1 + h) % m] };
+}
+
+// Helper function to try every parameter combination and keep the fit with the smallest squared error
+function bestFit(fit, parameterNames) {
+  const combinations = parameterNames.reduce(
+    (sets, name) => sets.flatMap(set => GRID.map(value => ({ ...set, [name]: value }))),
+    [{}]
+  );
+  return combinations
+    .map(parameters => {
+      const model = fit(...parameterNames.map(name => parameters[name]));
+      const sse = model.errors.reduce((sum, error) => sum + error * error, 0);
+      return { ...model, parameters, sse };
+    })
+    .reduce((best, model) => (model.sse < best.sse ? model : best));
+}
+
+/**
+ * Forecast the months after a monthly spend series
+ * @param {Array<{month: string, spend: number}>} months - Complete months, oldest first, no gaps
+ * @param {number} [horizon=3] - Months to forecast, 1 to 6
+ * @returns {{method: string|null, parameters: Object, basedOnMonths: number, confidence: number,
+ *   forecast: Array<{month: string, spend: number, lower: number, upper: number}>}}
+ */
+function forecastSpend(months, horizon = 3) {
+  const steps = Math.min(Math.max(Math.floor(horizon) || 1, 1), MAX_HORIZON);
+  const series = months.map(entry => entry.spend);
+  const result = { method: null, parameters: {}, basedOnMonths: series.length, confidence: 0.95, forecast: [] };
+  if (series.length === 0) return result;
+
+  let model;
+  if (series.length >= 2 * SEASON_LENGTH) {
+    model = { method: 'holt-winters', ...bestFit(fitHoltWinters.bind(null, series), ['alpha', 'beta', 'gamma']) };
+  } else if (series.length >= 4) {
+    model = { method: 'holt', ...bestFit(fitHolt.bind(null, series), ['alpha', 'beta']) };
+  } else {
+    const average = mean(series);
+    model = { method: 'mean', parameters: {}, errors: series.map(value => value - average), predict: () => average };
+  }
+
+  const sigma = Math.sqrt(model.errors.reduce((sum, error) => sum + error * error, 0) / model.errors.length);
+  const lastMonth = months[months.length - 1].month;
+
+  return {
+    ...result,
+    method: model.method,
+    parameters: model.parameters,
+    forecast: Array.from({ length: steps }, (_, index) => {
+      const h = index + 1;
+      const spend = Math.max(0, model.predict(h));
+      const margin = Z_95 * sigma * Math.sqrt(h);
+      return {
+        month: addMonths(lastMonth, h),
+        spend: round2(spend),
+        lower: round2(Math.max(0, spend - margin)),
+        upper: round2(spend + margin)
+      };
+    })
+  };
+}
+
+module.exports = {
+  MAX_HORIZON,
+  forecastSpend
+};
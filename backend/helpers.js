@@ -0,0 +1,39 @@
+/**
+ * Small number and text helpers shared by the reports and exports.
+ */
+
+/**
+ * Round an amount to two decimals (paise, cents)
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * @param {Array<number>} values
+ * @returns {number} 0 for an empty list
+ */
+const sumOf = (values) => values.reduce((sum, value) => sum + value, 0);
+
+// Spreadsheets run a cell starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+const NUMBER_TEXT = /^[-+]?\d+(\.\d+)?$/;
+
+/**
+ * Quote a CSV field when it holds a comma, quote or line break; null and undefined are empty.
+ * Text that a spreadsheet would run as a formula (a restaurant named "=HYPERLINK(...)") is
+ * prefixed with `'`; numbers such as "-250.28" are written as they are.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_START.test(text) && !NUMBER_TEXT.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+  round2,
+  sumOf,
+  csvField
+};
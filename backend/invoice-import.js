@@ -0,0 +1,97 @@
+const { PDFParse } = require('pdf-parse');
+const { createOrder } = require('./order-schema');
+const { parseReceiptText } = require('./receipt-parser');
+
+/**
+ * Import orders from Swiggy and Zomato invoice PDFs (the GST invoices both platforms let you
+ * download per order). An invoice needs at least a date and a total to become an order; one that
+ * has those but is missing other fields is still imported and flagged with `parseIssues` so it can
+ * be checked by hand.
+ */
+
+// Swiggy invoices are issued by Bundl Technologies, Swiggy's legal entity
+const PLATFORM_PATTERNS = [
+  { platform: 'swiggy', pattern: /swiggy|bundl technologies/i },
+  { platform: 'zomato', pattern: /zomato/i }
+];
+
+// Fields an invoice should provide besides date and total
+const EXPECTED_FIELDS = ['orderId', 'restaurant', 'items', 'taxes'];
+
+async function pdfText(buffer) {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const { text } = await parser.getText();
+    return text;
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/**
+ * Turn the text of one invoice into an order
+ * @returns {{order: Object|null, missing: string[]}} order is null when date or total is missing
+ */
+function orderFromInvoice(text) {
+  const fields = parseReceiptText(text);
+  const platform = PLATFORM_PATTERNS.find(({ pattern }) => pattern.test(text));
+
+  const missing = [
+    ...(fields.date ? [] : ['date']),
+    ...(fields.amount === undefined ? ['amount'] : []),
+    ...EXPECTED_FIELDS.filter(field =>
+      field === 'items' ? fields.items.length === 0 : fields[field] === undefined)
+  ];
+
+  if (!fields.date || fields.amount === undefined) {
+    return { order: null, missing };
+  }
+
+  return {
+    order: createOrder({
+      ...fields,
+      platform: platform ? platform.platform : null,
+      ...(missing.length > 0 ? { parseIssues: missing } : {})
+    }),
+    missing
+  };
+}
+
+/**
+ * Extract orders from uploaded invoice PDFs
+ * @param {Array<{originalname: string, buffer: Buffer}>} files - Uploaded PDF files
+ * @returns {Promise<{orders: Array<Object>, flagged: Array<{file: string, missing: string[]}>, skipped: Array<{file: string, reason: string}>}>}
+ *   flagged invoices were imported with gaps; skipped ones were not imported
+ */
+async function importInvoices(files) {
+  const orders = [];
+  const flagged = [];
+  const skipped = [];
+
+  for (const file of files) {
+    let text;
+    try {
+      text = await pdfText(file.buffer);
+    } catch (error) {
+      skipped.push({ file: file.originalname, reason: `Not a readable PDF: ${error.message}` });
+      continue;
+    }
+
+    const { order, missing } = orderFromInvoice(text);
+    if (!order) {
+      skipped.push({ file: file.originalname, reason: `Could not find ${missing.join(', ')}` });
+      continue;
+    }
+
+    orders.push(order);
+    if (missing.length > 0) {
+      flagged.push({ file: file.originalname, missing });
+    }
+  }
+
+  return { orders, flagged, skipped };
+}
+
+module.exports = {
+  importInvoices
+};
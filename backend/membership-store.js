@@ -0,0 +1,48 @@
+const db = require('./db');
+
+/**
+ * Per-user paid memberships (see savings.js for their shape)
+ */
+
+const statements = {
+  list: db.prepare(`
+    SELECT platform, name, cost, currency, start_date AS startDate, end_date AS endDate FROM memberships
+    WHERE user_id = ? ORDER BY start_date, platform
+  `),
+  insert: db.prepare(`
+    INSERT INTO memberships (user_id, platform, name, cost, currency, start_date, end_date)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `),
+  removeAll: db.prepare('DELETE FROM memberships WHERE user_id = ?')
+};
+
+/**
+ * Get a user's memberships, oldest first
+ * @param {number} userId - Owner of the memberships
+ * @returns {Array<{platform: string, name: string, cost: number, currency: string, startDate: string, endDate: string}>}
+ */
+function listMemberships(userId) {
+  return statements.list.all(userId);
+}
+
+/**
+ * Replace all of a user's memberships
+ * @param {number} userId - Owner of the memberships
+ * @param {Array<Object>} memberships - Validated memberships
+ * @returns {Array<Object>} The stored memberships
+ */
+const replaceMemberships = db.transaction((userId, memberships) => {
+  statements.removeAll.run(userId);
+  memberships.forEach(membership => {
+    statements.insert.run(
+      userId, membership.platform, membership.name, membership.cost, membership.currency,
+      membership.startDate, membership.endDate
+    );
+  });
+  return listMemberships(userId);
+});
+
+module.exports = {
+  listMemberships,
+  replaceMemberships
+};
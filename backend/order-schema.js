@@ -0,0 +1,113 @@
+/**
+ * Versioned order model shared by the scrapers, importers and analysis endpoints.
+ *
+ * Version 1 was the original `{date, amount, restaurant}` shape. Version 2 keeps those fields
+ * (so version 1 data stays valid) and adds the order breakdown:
+ *
+ *   schemaVersion        - ORDER_SCHEMA_VERSION
+ *   orderId              - Platform order ID, or null when unknown
+ *   platform             - Provider name (swiggy, zomato, ...), or null
+ *   date                 - YYYY-MM-DD
+ *   timestamp            - ISO 8601 date-time with offset, or null when only the date is known
+ *   restaurant           - Restaurant name
+ *   amount               - Total paid for the order
+ *   currency             - ISO 4217 code of every amount on the order; INR when not given, or
+ *                          read from a symbol on the amount ("$12.50")
+ *   items                - [{name, quantity, price}], price being the line total
+ *   fees                 - {delivery, packaging, platform, surge, tip}
+ *   discount             - {amount, coupon}: coupon and offer discounts
+ *   membership           - {name, savings}: e.g. "Swiggy One" and what the membership saved on
+ *                          this order (member discounts, waived fees), on top of `discount`
+ *   taxes                - Total taxes charged
+ *   paymentMethod        - e.g. "UPI", "Card", or null
+ *   deliveryAddressLabel - e.g. "Home", "Work", or null
+ *
+ * Unknown money fields are null rather than 0 so analysis can tell "free" from "not reported".
+ */
+const { DEFAULT_CURRENCY, normalizeCurrency, detectCurrency, parseAmount } = require('./currency');
+
+const ORDER_SCHEMA_VERSION = 2;
+
+const FEE_TYPES = ['delivery', 'packaging', 'platform', 'surge', 'tip'];
+
+// Helper function to read an optional string value
+function toText(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  return text || null;
+}
+
+// Helper function to read a breakdown amount; a negative one is dropped like an unreadable one
+function toMoney(value) {
+  const amount = parseAmount(value);
+  return amount !== null && amount >= 0 ? amount : null;
+}
+
+function normalizeItems(items) {
+  if (!Array.isArray(items)) return [];
+
+  return items
+    .map(item => ({
+      name: toText(item?.name) || 'Item',
+      quantity: parseInt(item?.quantity, 10) || 1,
+      price: toMoney(item?.price)
+    }));
+}
+
+/**
+ * Build a current-version order from partial fields, filling everything unknown with null
+ * @param {Object} fields - Any subset of the order fields above
+ * @returns {Object} Order in the current schema version
+ */
+function createOrder(fields = {}) {
+  const fees = fields.fees || {};
+
+  return {
+    ...fields,
+    schemaVersion: ORDER_SCHEMA_VERSION,
+    orderId: toText(fields.orderId),
+    platform: toText(fields.platform),
+    date: fields.date || null,
+    timestamp: fields.timestamp || null,
+    restaurant: toText(fields.restaurant) || 'Unknown',
+    amount: parseAmount(fields.amount),
+    currency: normalizeCurrency(fields.currency) || detectCurrency(fields.amount) || DEFAULT_CURRENCY,
+    items: normalizeItems(fields.items),
+    fees: FEE_TYPES.reduce((acc, type) => {
+      acc[type] = toMoney(fees[type]);
+      return acc;
+    }, {}),
+    discount: {
+      amount: toMoney(fields.discount?.amount),
+      coupon: toText(fields.discount?.coupon)
+    },
+    membership: {
+      name: toText(fields.membership?.name),
+      savings: toMoney(fields.membership?.savings)
+    },
+    taxes: toMoney(fields.taxes),
+    paymentMethod: toText(fields.paymentMethod),
+    deliveryAddressLabel: toText(fields.deliveryAddressLabel)
+  };
+}
+
+/**
+ * Bring an order of any known version up to the current schema. Orders without a
+ * schemaVersion are treated as version 1.
+ * @param {Object} order - Order as received from a client, file or scraper
+ * @returns {Object} Order in the current schema version
+ */
+function upgradeOrder(order) {
+  const version = order?.schemaVersion || 1;
+  if (version > ORDER_SCHEMA_VERSION) {
+    throw new Error(`Unsupported order schema version ${version}`);
+  }
+  return createOrder(order);
+}
+
+module.exports = {
+  ORDER_SCHEMA_VERSION,
+  FEE_TYPES,
+  createOrder,
+  upgradeOrder
+};
@@ -0,0 +1,307 @@
+const db = require('./db');
+const { upgradeOrder } = require('./order-schema');
+const { validateOrders } = require('./order-validation');
+const { applyCategory } = require('./categories');
+const { listRules } = require('./category-store');
+const { applyReimbursement, withoutClaimData } = require('./reimbursements');
+const { reconcileSplit } = require('./settlement');
+const reimbursementRuleStore = require('./reimbursement-rule-store');
+const { localDateTime } = require('./dates');
+
+/**
+ * SQLite store for orders, scoped per user.
+ *
+ * Each row keeps the full order as JSON plus the columns needed to query and de-duplicate it.
+ * `order_key` identifies an order the same way the frontend import merge does: platform + order ID
+ * when there is an ID, otherwise a fingerprint of date, amount and restaurant.
+ * Whenever an order is saved its split is checked against its amount and it is tagged with the
+ * owner's category and reimbursement rules.
+ */
+
+// Helper function to build the date + amount + restaurant fingerprint
+function orderFingerprint(order) {
+  return [
+    String(order.date || '').slice(0, 10),
+    Number(order.amount || 0).toFixed(2),
+    String(order.restaurant || '').trim().toLowerCase().replace(/\s+/g, ' ')
+  ].join('|');
+}
+
+function orderKey(order) {
+  return order.orderId ? `id:${order.platform || ''}:${order.orderId}` : `fp:${orderFingerprint(order)}`;
+}
+
+// Helper function to get an order ready to store: split reconciled, then tagged with a user's rules
+function tagOrder(rules, order) {
+  return applyReimbursement(rules.reimbursement, applyCategory(rules.category, reconcileSplit(order)));
+}
+
+function rowToOrder(row) {
+  return { ...JSON.parse(row.data), id: row.id };
+}
+
+// Helper function to fill fields the existing order does not have yet
+function fillMissing(existing, incoming) {
+  const filled = { ...existing };
+  Object.entries(incoming).forEach(([field, value]) => {
+    const current = filled[field];
+    const isEmpty = current === null || current === undefined ||
+      (Array.isArray(current) && current.length === 0) ||
+      (typeof current === 'object' && !Array.isArray(current) && Object.values(current).every(v => v === null));
+    if (isEmpty) {
+      filled[field] = value;
+    }
+  });
+  return filled;
+}
+
+const statements = {
+  byKey: db.prepare('SELECT * FROM orders WHERE user_id = ? AND order_key = ?'),
+  byFingerprint: db.prepare('SELECT * FROM orders WHERE user_id = ? AND fingerprint = ? ORDER BY id LIMIT 1'),
+  byFingerprintWithoutId: db.prepare(
+    'SELECT * FROM orders WHERE user_id = ? AND fingerprint = ? AND order_id IS NULL ORDER BY id LIMIT 1'
+  ),
+  byId: db.prepare('SELECT * FROM orders WHERE user_id = ? AND id = ?'),
+  allRows: db.prepare('SELECT * FROM orders WHERE user_id = ?'),
+  insert: db.prepare(`
+    INSERT INTO orders (user_id, order_key, fingerprint, order_id, platform, date, amount, restaurant, data)
+    VALUES (@userId, @orderKey, @fingerprint, @orderId, @platform, @date, @amount, @restaurant, @data)
+  `),
+  update: db.prepare(`
+    UPDATE orders
+    SET order_key = @orderKey, fingerprint = @fingerprint, order_id = @orderId, platform = @platform,
+        date = @date, amount = @amount, restaurant = @restaurant, data = @data, updated_at = datetime('now')
+    WHERE id = @id
+  `),
+  remove: db.prepare('DELETE FROM orders WHERE user_id = ? AND id = ?'),
+  removeAll: db.prepare('DELETE FROM orders WHERE user_id = ?')
+};
+
+function rulesOf(userId) {
+  return { category: listRules(userId), reimbursement: reimbursementRuleStore.listRules(userId) };
+}
+
+function toRow(order) {
+  return {
+    orderKey: orderKey(order),
+    fingerprint: orderFingerprint(order),
+    orderId: order.orderId,
+    platform: order.platform,
+    date: String(order.date).slice(0, 10),
+    amount: order.amount,
+    restaurant: order.restaurant,
+    data: JSON.stringify(order)
+  };
+}
+
+/**
+ * List stored orders, oldest first
+ * @param {number} userId - Owner of the orders
+ * @param {Object} [filter]
+ * @param {string} [filter.startDate] - YYYY-MM-DD, inclusive
+ * @param {string} [filter.endDate] - YYYY-MM-DD, inclusive
+ * @returns {Array<Object>} Orders with their store `id`
+ */
+function listOrders(userId, { startDate, endDate } = {}) {
+  const clauses = ['user_id = @userId'];
+  const params = { userId };
+  if (startDate) {
+    clauses.push('date >= @startDate');
+    params.startDate = startDate;
+  }
+  if (endDate) {
+    clauses.push('date <= @endDate');
+    params.endDate = endDate;
+  }
+  return db.prepare(`SELECT * FROM orders WHERE ${clauses.join(' AND ')} ORDER BY date, id`)
+    .all(params)
+    .map(rowToOrder);
+}
+
+/**
+ * Get one stored order
+ * @param {number} userId - Owner of the order
+ * @param {number} id - Store ID
+ * @returns {Object|null}
+ */
+function getOrder(userId, id) {
+  const row = statements.byId.get(userId, id);
+  return row ? rowToOrder(row) : null;
+}
+
+/**
+ * Insert or merge orders. Matching follows the frontend import merge: an order matched by
+ * platform + order ID takes the incoming values, one matched only by fingerprint keeps its
+ * values and gains the fields it was missing.
+ * Reimbursement flags and claims sent with the orders are ignored: new orders are flagged by the
+ * reimbursement rules and a matched order keeps its claim.
+ * Orders that fail validation are not stored; in strict mode one failure keeps the whole batch out.
+ * @param {number} userId - Owner of the orders
+ * @param {Array<Object>} orders - Orders of any schema version
+ * @param {Object} [options]
+ * @param {string} [options.mode] - Validation mode, 'strict' or 'lenient'
+ * @returns {{added: number, updated: number, skipped: number, rejected: Array<Object>, warnings: Array<Object>}}
+ *   rejected and warnings are the validation problems as {index, field, reason}
+ */
+const saveOrders = db.transaction((userId, orders, { mode } = {}) => {
+  const { orders: valid, report } = validateOrders(orders, { mode });
+  const summary = { added: 0, updated: 0, skipped: 0, rejected: report.errors, warnings: report.warnings };
+  const rules = rulesOf(userId);
+
+  valid.forEach(rawOrder => {
+    const { id: _ignored, ...incoming } = upgradeOrder(withoutClaimData(rawOrder));
+    let existingRow = statements.byKey.get(userId, orderKey(incoming));
+    const matchedById = Boolean(existingRow && incoming.orderId);
+    // Fall back to the fingerprint, but never pair two orders with different IDs
+    if (!existingRow) {
+      const fingerprint = orderFingerprint(incoming);
+      existingRow = incoming.orderId
+        ? statements.byFingerprintWithoutId.get(userId, fingerprint)
+        : statements.byFingerprint.get(userId, fingerprint);
+    }
+
+    if (!existingRow) {
+      statements.insert.run({ ...toRow(tagOrder(rules, incoming)), userId });
+      summary.added++;
+      return;
+    }
+
+    const existing = JSON.parse(existingRow.data);
+    const merged = tagOrder(rules, matchedById ? { ...existing, ...incoming } : fillMissing(existing, incoming));
+    if (JSON.stringify(merged) === existingRow.data) {
+      summary.skipped++;
+      return;
+    }
+
+    statements.update.run({ ...toRow(merged), id: existingRow.id });
+    summary.updated++;
+  });
+
+  return summary;
+});
+
+/**
+ * Replace a stored order
+ * @param {number} userId - Owner of the order
+ * @param {number} id - Store ID
+ * @param {Object} order - New order fields
+ * @returns {Object|null} Updated order, or null if the user has no such order
+ */
+function updateOrder(userId, id, order) {
+  if (!statements.byId.get(userId, id)) return null;
+
+  const { id: _ignored, ...fields } = upgradeOrder(order);
+  statements.update.run({ ...toRow(tagOrder(rulesOf(userId), fields)), id });
+  return getOrder(userId, id);
+}
+
+/**
+ * Replace several stored orders at once; either all of them are saved or none is
+ * @param {number} userId - Owner of the orders
+ * @param {Array<Object>} orders - Orders with their store `id`, each one owned by the user
+ * @returns {Array<Object>} Updated orders
+ */
+const updateOrders = db.transaction((userId, orders) => orders.map(order => updateOrder(userId, order.id, order)));
+
+/**
+ * Re-tag every order of a user from the current rules, e.g. after the rules changed.
+ * Manually categorized orders keep their category.
+ * @param {number} userId - Owner of the orders
+ * @returns {number} Number of orders whose category changed
+ */
+const recategorizeOrders = db.transaction((userId) => {
+  const rules = listRules(userId);
+  let changed = 0;
+
+  statements.allRows.all(userId).forEach(row => {
+    const order = JSON.parse(row.data);
+    const tagged = applyCategory(rules, order);
+    if (tagged.category !== order.category || tagged.categorySource !== order.categorySource) {
+      statements.update.run({ ...toRow(tagged), id: row.id });
+      changed++;
+    }
+  });
+
+  return changed;
+});
+
+/**
+ * Re-flag every order of a user from the current reimbursement rules, e.g. after the rules changed.
+ * Manual decisions and submitted or paid claims are kept.
+ * @param {number} userId - Owner of the orders
+ * @returns {number} Number of orders whose flag changed
+ */
+const reflagOrders = db.transaction((userId) => {
+  const rules = reimbursementRuleStore.listRules(userId);
+  let changed = 0;
+
+  statements.allRows.all(userId).forEach(row => {
+    const order = JSON.parse(row.data);
+    const flagged = applyReimbursement(rules, order);
+    if (flagged.reimbursable !== order.reimbursable || flagged.reimbursableRule !== order.reimbursableRule) {
+      statements.update.run({ ...toRow(flagged), id: row.id });
+      changed++;
+    }
+  });
+
+  return changed;
+});
+
+/**
+ * Move every order of a user whose timestamp is an instant to its date and wall-clock time in a
+ * time zone, e.g. after the time zone setting changed, and re-tag it since the weekday and meal
+ * may have changed too. An order that would then match another stored order is left as it was.
+ * @param {number} userId - Owner of the orders
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Number of orders re-dated
+ */
+const redateOrders = db.transaction((userId, timeZone) => {
+  const rules = rulesOf(userId);
+  let changed = 0;
+
+  statements.allRows.all(userId).forEach(row => {
+    const order = JSON.parse(row.data);
+    const local = localDateTime(order, timeZone);
+    if (local.date === order.date && local.timestamp === order.timestamp) return;
+    try {
+      statements.update.run({ ...toRow(tagOrder(rules, { ...order, ...local })), id: row.id });
+      changed++;
+    } catch (error) {
+      if (error.code !== 'SQLITE_CONSTRAINT_UNIQUE') throw error;
+    }
+  });
+
+  return changed;
+});
+
+/**
+ * Delete one stored order
+ * @param {number} userId - Owner of the order
+ * @param {number} id - Store ID
+ * @returns {boolean} Whether an order was deleted
+ */
+function deleteOrder(userId, id) {
+  return statements.remove.run(userId, id).changes > 0;
+}
+
+/**
+ * Delete every stored order of a user
+ * @param {number} userId - Owner of the orders
+ * @returns {number} Number of orders deleted
+ */
+function deleteAllOrders(userId) {
+  return statements.removeAll.run(userId).changes;
+}
+
+module.exports = {
+  listOrders,
+  getOrder,
+  saveOrders,
+  updateOrder,
+  updateOrders,
+  recategorizeOrders,
+  reflagOrders,
+  redateOrders,
+  deleteOrder,
+  deleteAllOrders
+};
@@ -0,0 +1,231 @@
+/**
+ * Order validation shared by every import path and analysis endpoint.
+ *
+ * ORDER_RULES describes an order in the style of a JSON Schema: `type`, `format`, `required`,
+ * `minimum`/`maximum`, `properties` and `items`, plus `severity`. Absent (null or undefined) values
+ * are fine unless the field is required. A problem in an `error` field leaves the whole order out;
+ * a problem anywhere else is a warning and only that value is dropped (the order schema fills it
+ * with null). Every problem is reported as {index, field, reason}, `field` being a path such as
+ * "items[0].price".
+ *
+ * Two modes:
+ *   strict  - any error rejects the whole batch, so nothing is stored or counted
+ *   lenient - orders with errors are left out, the rest go ahead, and the report says what was left out
+ */
+
+const { ORDER_SCHEMA_VERSION, FEE_TYPES } = require('./order-schema');
+const { toLocalDate } = require('./dates');
+const { normalizeCurrency, detectCurrency, parseAmount } = require('./currency');
+const { normalizeSplit } = require('./settlement');
+
+const VALIDATION_MODES = ['strict', 'lenient'];
+const DEFAULT_VALIDATION_MODE = 'lenient';
+
+const TEXT = { type: ['string', 'number'] };
+// Refunds and credits are not orders, so no money field may be negative
+const MONEY = { type: 'money', minimum: 0 };
+
+const ORDER_RULES = {
+  type: 'object',
+  required: ['date', 'amount'],
+  properties: {
+    schemaVersion: { type: 'integer', minimum: 1, maximum: ORDER_SCHEMA_VERSION, severity: 'error' },
+    orderId: TEXT,
+    platform: TEXT,
+    date: { type: 'string', format: 'date', severity: 'error' },
+    timestamp: { type: 'string', format: 'date-time' },
+    restaurant: TEXT,
+    amount: { ...MONEY, severity: 'error' },
+    currency: { type: 'string', format: 'currency', severity: 'error' },
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { name: TEXT, quantity: { type: 'integer', minimum: 1 }, price: MONEY }
+      }
+    },
+    fees: { type: 'object', properties: Object.fromEntries(FEE_TYPES.map(type => [type, MONEY])) },
+    discount: { type: 'object', properties: { amount: MONEY, coupon: TEXT } },
+    membership: { type: 'object', properties: { name: TEXT, savings: MONEY } },
+    taxes: MONEY,
+    paymentMethod: TEXT,
+    deliveryAddressLabel: TEXT
+  }
+};
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value) || (typeof value === 'string' && /^\d+$/.test(value.trim())),
+  money: value => parseAmount(value) !== null,
+  object: value => typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value)
+};
+
+const TYPE_NAMES = {
+  string: 'text',
+  number: 'a number',
+  integer: 'a whole number',
+  money: 'an amount',
+  object: 'an object',
+  array: 'a list'
+};
+
+const FORMAT_CHECKS = {
+  date: value => toLocalDate(value) !== null,
+  'date-time': value => toLocalDate(value) !== null,
+  currency: value => normalizeCurrency(value) !== null
+};
+
+const FORMAT_NAMES = {
+  date: 'a date (YYYY-MM-DD)',
+  'date-time': 'a date and time',
+  currency: 'a currency code such as INR'
+};
+
+const isAbsent = (value) => value === null || value === undefined || value === '';
+
+// Helper function to show a rejected value in a reason without flooding it
+function describe(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+// Helper function to check one value against its rule, adding every problem to `problems`
+function checkValue(value, rule, field, severity, problems) {
+  const level = rule.severity || severity;
+  const fail = (reason) => problems.push({ field, reason, severity: level });
+
+  const types = [].concat(rule.type);
+  if (!types.some(type => TYPE_CHECKS[type](value))) {
+    const expected = types.map(type => TYPE_NAMES[type]).join(' or ');
+    return fail(`${describe(value)} is not ${expected}`);
+  }
+  if (rule.format && !FORMAT_CHECKS[rule.format](value)) {
+    return fail(`${describe(value)} is not ${FORMAT_NAMES[rule.format]}`);
+  }
+  const number = rule.type === 'money' ? parseAmount(value) : Number(value);
+  if (rule.minimum !== undefined && number < rule.minimum) {
+    return fail(`must be at least ${rule.minimum}`);
+  }
+  if (rule.maximum !== undefined && number > rule.maximum) {
+    return fail(`must be at most ${rule.maximum}`);
+  }
+
+  (rule.required || []).forEach(name => {
+    if (isAbsent(value[name])) {
+      problems.push({ field: field ? `${field}.${name}` : name, reason: 'is required', severity: 'error' });
+    }
+  });
+  Object.entries(rule.properties || {}).forEach(([name, child]) => {
+    if (!isAbsent(value[name])) {
+      checkValue(value[name], child, field ? `${field}.${name}` : name, level, problems);
+    }
+  });
+  if (rule.items) {
+    value.forEach((entry, i) => {
+      if (!isAbsent(entry)) checkValue(entry, rule.items, `${field}[${i}]`, level, problems);
+    });
+  }
+}
+
+/**
+ * Check one order
+ * @param {*} order - Order of any schema version, as sent by a client or built by an importer
+ * @returns {{errors: Array<{field: string|null, reason: string}>, warnings: Array<{field: string, reason: string}>}}
+ */
+function validateOrder(order) {
+  if (!order || typeof order !== 'object' || Array.isArray(order)) {
+    return { errors: [{ field: null, reason: 'Order must be an object' }], warnings: [] };
+  }
+
+  const problems = [];
+  checkValue(order, ORDER_RULES, '', 'warning', problems);
+
+  // An amount written with a symbol ("$12") under another currency code is counted in the code
+  const written = detectCurrency(order.amount);
+  const declared = normalizeCurrency(order.currency);
+  if (written && declared && written !== declared) {
+    problems.push({
+      field: 'currency',
+      reason: `amount is written in ${written} but currency is ${declared}; ${declared} is used`,
+      severity: 'warning'
+    });
+  }
+
+  // A split must fit the amount; one that does not is dropped when the order is stored
+  const amount = parseAmount(order.amount);
+  if (!isAbsent(order.split) && amount !== null) {
+    const { error } = normalizeSplit(order.split, amount);
+    if (error) problems.push({ field: 'split', reason: `${error}; the split is dropped`, severity: 'warning' });
+  }
+
+  const pick = (severity) => problems
+    .filter(problem => problem.severity === severity)
+    .map(({ field, reason }) => ({ field, reason }));
+  return { errors: pick('error'), warnings: pick('warning') };
+}
+
+/**
+ * Read the validation mode of a request
+ * @param {*} value - 'strict', 'lenient', or undefined for the default
+ * @returns {{mode: string|null, error: string|null}}
+ */
+function normalizeValidationMode(value) {
+  if (value === undefined || value === null) return { mode: DEFAULT_VALIDATION_MODE, error: null };
+  if (!VALIDATION_MODES.includes(value)) {
+    return { mode: null, error: `validation must be one of ${VALIDATION_MODES.join(', ')}` };
+  }
+  return { mode: value, error: null };
+}
+
+/**
+ * Check a batch of orders
+ * @param {Array<*>} orders
+ * @param {Object} [options]
+ * @param {string} [options.mode] - 'strict' or 'lenient'
+ * @returns {{orders: Array<Object>, indexes: number[], report: Object}}
+ *   orders: the orders to go ahead with (none when a strict batch is rejected)
+ *   indexes: position in the batch of each order in `orders`
+ *   report: {mode, checked, excluded, rejected, errors, warnings}; `excluded` counts the orders left
+ *     out, `rejected` is true when strict mode turned the whole batch down, and errors and warnings
+ *     are {index, field, reason}
+ */
+function validateOrders(orders, { mode = DEFAULT_VALIDATION_MODE } = {}) {
+  const valid = [];
+  const indexes = [];
+  const errors = [];
+  const warnings = [];
+
+  orders.forEach((order, index) => {
+    const result = validateOrder(order);
+    errors.push(...result.errors.map(problem => ({ index, ...problem })));
+    warnings.push(...result.warnings.map(problem => ({ index, ...problem })));
+    if (result.errors.length === 0) {
+      valid.push(order);
+      indexes.push(index);
+    }
+  });
+
+  const rejected = mode === 'strict' && errors.length > 0;
+  return {
+    orders: rejected ? [] : valid,
+    indexes: rejected ? [] : indexes,
+    report: {
+      mode,
+      checked: orders.length,
+      excluded: rejected ? orders.length : orders.length - valid.length,
+      rejected,
+      errors,
+      warnings
+    }
+  };
+}
+
+module.exports = {
+  VALIDATION_MODES,
+  ORDER_RULES,
+  validateOrder,
+  validateOrders,
+  normalizeValidationMode
+};
@@ -0,0 +1,111 @@
+/**
+ * When orders are placed: spend and order counts by hour, weekday and meal slot.
+ *
+ * The hour is read from the order's timestamp as written, i.e. the local time shown by the platform,
+ * so an order at 23:30 IST counts as late night whatever the server's time zone. Orders that only
+ * have a date still count towards weekdays but not towards hours or meal slots.
+ */
+
+const { weekdayOf } = require('./dates');
+const { round2 } = require('./helpers');
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Meal slots by starting hour; late night wraps around midnight
+const MEAL_SLOTS = [
+  { slot: 'breakfast', label: 'Breakfast', from: 5, to: 11 },
+  { slot: 'lunch', label: 'Lunch', from: 11, to: 17 },
+  { slot: 'dinner', label: 'Dinner', from: 17, to: 23 },
+  { slot: 'lateNight', label: 'Late night', from: 23, to: 5 }
+];
+
+const emptyBucket = () => ({ orderCount: 0, spend: 0 });
+
+/**
+ * Local hour of an order, read from a timestamp such as 2024-01-20T20:07:00+05:30
+ * @returns {number|null} null when the order has no time
+ */
+function orderHour(order) {
+  const match = String(order.timestamp || '').match(/T(\d{2}):/);
+  return match ? Number(match[1]) : null;
+}
+
+// Helper function to get the weekday index (0 = Monday) of a YYYY-MM-DD date
+function orderWeekday(order) {
+  const day = weekdayOf(String(order.date).slice(0, 10));
+  return isNaN(day) ? null : day;
+}
+
+/**
+ * Meal slot an hour falls in
+ * @param {number} hour - 0-23
+ * @returns {string} Slot name, e.g. 'lunch'
+ */
+function mealSlotOf(hour) {
+  return MEAL_SLOTS.find(({ from, to }) => (from < to ? hour >= from && hour < to : hour >= from || hour < to)).slot;
+}
+
+function addTo(bucket, amount) {
+  bucket.orderCount++;
+  bucket.spend += amount;
+}
+
+const finish = (bucket) => ({ ...bucket, spend: round2(bucket.spend) });
+
+/**
+ * Bucket orders by hour, weekday, weekday × hour and meal slot
+ * @param {Array<Object>} orders
+ * @returns {Object} byHour (24 entries), byWeekday (Mon-Sun), heatmap (heatmap[weekday][hour]),
+ *   byMealSlot (with each slot's share of spend), ordersWithTime and ordersWithoutTime
+ */
+function calculateSpendingPatterns(orders) {
+  const byHour = Array.from({ length: 24 }, emptyBucket);
+  const byWeekday = WEEKDAYS.map(emptyBucket);
+  const heatmap = WEEKDAYS.map(() => Array.from({ length: 24 }, emptyBucket));
+  const byMealSlot = Object.fromEntries(MEAL_SLOTS.map(({ slot }) => [slot, emptyBucket()]));
+  let ordersWithTime = 0;
+  let ordersWithoutTime = 0;
+
+  orders.forEach(order => {
+    const amount = parseFloat(order.amount);
+    const weekday = orderWeekday(order);
+    if (isNaN(amount) || weekday === null) return;
+
+    addTo(byWeekday[weekday], amount);
+
+    const hour = orderHour(order);
+    if (hour === null) {
+      ordersWithoutTime++;
+      return;
+    }
+    ordersWithTime++;
+    addTo(byHour[hour], amount);
+    addTo(heatmap[weekday][hour], amount);
+    addTo(byMealSlot[mealSlotOf(hour)], amount);
+  });
+
+  const timedSpend = Object.values(byMealSlot).reduce((sum, bucket) => sum + bucket.spend, 0);
+
+  return {
+    byHour: byHour.map((bucket, hour) => ({ hour, ...finish(bucket) })),
+    byWeekday: byWeekday.map((bucket, index) => ({ weekday: WEEKDAYS[index], ...finish(bucket) })),
+    heatmap: heatmap.map(row => row.map(finish)),
+    byMealSlot: MEAL_SLOTS.map(({ slot, label, from, to }) => ({
+      slot,
+      label,
+      hours: `${String(from).padStart(2, '0')}:00-${String(to).padStart(2, '0')}:00`,
+      ...finish(byMealSlot[slot]),
+      shareOfSpend: timedSpend > 0 ? round2(byMealSlot[slot].spend / timedSpend) : 0
+    })),
+    ordersWithTime,
+    ordersWithoutTime
+  };
+}
+
+module.exports = {
+  WEEKDAYS,
+  MEAL_SLOTS,
+  orderHour,
+  mealSlotOf,
+  calculateSpendingPatterns
+};
@@ -0,0 +1,76 @@
+const swiggy = require('./swiggy-scraper');
+const zomato = require('./zomato-scraper');
+
+/**
+ * Registry of delivery platforms the server can log into and scrape.
+ *
+ * A provider is a plain object:
+ *   name         - URL-safe identifier used in /api/providers/:name/...
+ *   label        - Human readable platform name
+ *   login        - (mobileNumber, sessionId) => Promise<{success, sessionId, needsOtp, message}>
+ *   submitOtp    - (sessionId, otp) => Promise<{success, message}>
+ *   scrapeOrders - (sessionId, {since, maxPages, maxDurationMs}) => Promise<{success, orders, history, message}>
+ *   cleanup      - (sessionId) => Promise<void>
+ *
+ * Every result may also carry a debugLog array, which the frontend shows as-is.
+ */
+const REQUIRED_METHODS = ['login', 'submitOtp', 'scrapeOrders', 'cleanup'];
+const providers = new Map();
+
+/**
+ * Add a provider to the registry
+ * @param {Object} provider - Provider implementation (see above)
+ */
+function registerProvider(provider) {
+  if (!provider?.name || !/^[a-z0-9-]+$/.test(provider.name)) {
+    throw new Error('Provider name must be a lowercase URL-safe string');
+  }
+
+  const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Provider "${provider.name}" is missing: ${missing.join(', ')}`);
+  }
+
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Look up a provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|undefined}
+ */
+function getProvider(name) {
+  return providers.get(name);
+}
+
+/**
+ * List registered providers in registration order
+ * @returns {Array<{name: string, label: string}>}
+ */
+function listProviders() {
+  return Array.from(providers.values()).map(({ name, label }) => ({ name, label }));
+}
+
+registerProvider({
+  name: 'swiggy',
+  label: 'Swiggy',
+  login: swiggy.initSwiggyLogin,
+  submitOtp: swiggy.submitOTP,
+  scrapeOrders: swiggy.scrapeOrders,
+  cleanup: swiggy.cleanupSession
+});
+
+registerProvider({
+  name: 'zomato',
+  label: 'Zomato',
+  login: zomato.initZomatoLogin,
+  submitOtp: zomato.submitOTP,
+  scrapeOrders: zomato.scrapeOrders,
+  cleanup: zomato.cleanupSession
+});
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders
+};
@@ -0,0 +1,204 @@
+/**
+ * Pull order details out of the plain text of a Swiggy or Zomato receipt (an order email or an
+ * invoice). Receipts are read line by line: a line is classified by its label ("Delivery fee",
+ * "Grand Total", ...) and takes the amount on the same line, or on the next line when the receipt
+ * puts labels and amounts in separate table cells. Amounts need a currency symbol or code (₹, Rs,
+ * $, EUR, ...), and the one on the total sets the order's currency.
+ */
+
+const { CURRENCY_PREFIX, detectCurrency } = require('./currency');
+const { round2 } = require('./helpers');
+
+const MONEY = String.raw`${CURRENCY_PREFIX}\s*(-?[\d,]+(?:\.\d{1,2})?)`;
+const MONEY_PATTERN = new RegExp(MONEY, 'i');
+const BARE_MONEY_PATTERN = new RegExp(`^-?\\s*${MONEY}$`, 'i');
+
+// Checked in order; the first label that matches decides what the line is
+const LINE_LABELS = [
+  { field: 'itemTotal', pattern: /^(item|items|sub)\s*-?total\b/i },
+  { field: 'total', pattern: /^(grand total|order total|bill total|total paid|total amount|amount paid|total payable|net payable|paid|total)\b(?!\s+(tax|taxes|gst|discount|savings)\b)/i },
+  { field: 'membership', pattern: /swiggy one|zomato gold|\bgold (discount|savings|benefit)|member(ship)? (discount|savings)/i },
+  { field: 'tip', pattern: /\btip\b/i },
+  { field: 'packaging', pattern: /packag|packing/i },
+  { field: 'platform', pattern: /platform fee|convenience fee|handling (fee|charge)|service (fee|charge)/i },
+  { field: 'surge', pattern: /surge|rain fee|peak (hour )?(fee|charge)|late night fee|bad weather/i },
+  { field: 'delivery', pattern: /delivery (fee|charge|partner fee)|delivery$/i },
+  { field: 'taxComponent', pattern: /^(cgst|sgst|igst|utgst)\b/i },
+  { field: 'taxes', pattern: /\b(taxes|tax|gst)\b/i },
+  { field: 'discount', pattern: /discount|coupon|offer|savings|promo/i }
+];
+
+const ITEM_PATTERNS = [
+  // "2 x Paneer Tikka ₹300.00"
+  { pattern: new RegExp(`^(\\d+)\\s*[x×]\\s+(.+?)\\s+${MONEY}$`, 'i'), quantity: 1, name: 2, price: 3 },
+  // "Paneer Tikka x 2 ₹300.00" or "Paneer Tikka (x2) ₹300.00"
+  { pattern: new RegExp(`^(.+?)\\s+\\(?[x×]\\s*(\\d+)\\)?\\s+${MONEY}$`, 'i'), quantity: 2, name: 1, price: 3 }
+];
+
+const MEMBERSHIP_NAMES = [
+  { name: 'Swiggy One', pattern: /swiggy one/i },
+  { name: 'Zomato Gold', pattern: /zomato gold|\bgold\b/i }
+];
+
+const ORDER_ID_PATTERN = /order\s*(?:no|number|id|#)\.?\s*[:#-]?\s*#?\s*([A-Z0-9-]*\d[A-Z0-9-]{4,})/i;
+const RESTAURANT_PATTERN = /(?:ordered from|order from|restaurant name|restaurant)\s*[:-]?\s+(.+)/i;
+const COUPON_PATTERN = /[Cc]oupon(?:\s*[Cc]ode)?\s*(?:[Aa]pplied)?\s*[:-]?\s*\(?([A-Z0-9]{4,})\)?/;
+const PAYMENT_PATTERN = /(?:paid (?:via|using|by|with)|payment (?:method|mode))\s*[:-]?\s*([A-Za-z][A-Za-z0-9 ]{1,30})/i;
+
+const DATE_LINE_PATTERN = /(?:order|invoice|bill)\s*date\s*(?:&\s*time)?\s*[:-]?\s*(.*)/i;
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const toNumber = (text) => parseFloat(text.replace(/,/g, ''));
+const pad = (n) => String(n).padStart(2, '0');
+
+// Helper function to read a receipt date: YYYY-MM-DD, DD-MM-YYYY, DD/MM/YYYY, "31 Jan 2024" or "Jan 31, 2024".
+// Numeric dates are day-first, as on Indian invoices.
+function parseDateText(text) {
+  let match;
+  let year;
+  let month;
+  let day;
+
+  if ((match = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/))) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = text.match(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})\b/))) {
+    [, day, month, year] = match.map(Number);
+  } else if ((match = text.match(/\b(\d{1,2})(?:st|nd|rd|th)?[\s-]+([a-z]{3})[a-z]*,?[\s-]+(\d{4})\b/i))) {
+    day = Number(match[1]);
+    month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    year = Number(match[3]);
+  } else if ((match = text.match(/\b([a-z]{3})[a-z]*\s+(\d{1,2}),?\s+(\d{4})\b/i))) {
+    month = MONTHS.indexOf(match[1].toLowerCase()) + 1;
+    day = Number(match[2]);
+    year = Number(match[3]);
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (month < 1 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Read a date with an optional time of day, as shown on receipts and order history pages
+ * ("Sat, Jan 20, 2024, 08:07 PM", "05 Feb 2024 at 20:10", "31-01-2024 13:45"). Times are taken
+ * as Indian Standard Time, which is what both platforms display.
+ * @param {string} text
+ * @returns {{date: string, timestamp: string|null}|null}
+ */
+function parseDateTimeText(text) {
+  const date = parseDateText(String(text || ''));
+  if (!date) return null;
+
+  const time = String(text).match(/\b(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?\b/i);
+  if (!time) return { date, timestamp: null };
+
+  let hours = Number(time[1]);
+  const meridiem = (time[4] || '').toLowerCase();
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  if (hours > 23 || Number(time[2]) > 59) return { date, timestamp: null };
+
+  return { date, timestamp: `${date}T${pad(hours)}:${time[2]}:${time[3] || '00'}+05:30` };
+}
+
+// Helper function to split receipt text into trimmed, non-empty lines
+function toLines(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse receipt text into order fields
+ * @param {string} text - Plain text of the receipt
+ * @returns {Object} Fields for createOrder (orderId, date, timestamp, restaurant, amount, currency,
+ *   items, fees, discount, membership, taxes, paymentMethod); anything not found is left out or null
+ */
+function parseReceiptText(text) {
+  const lines = toLines(text);
+  const fields = { items: [], fees: {}, discount: {} };
+  let taxComponents = null;
+
+  lines.forEach((line, index) => {
+    if (!fields.orderId) {
+      const match = line.match(ORDER_ID_PATTERN);
+      if (match) fields.orderId = match[1];
+    }
+    if (!fields.date) {
+      const match = line.match(DATE_LINE_PATTERN);
+      const when = match && parseDateTimeText(match[1] || lines[index + 1] || '');
+      if (when) Object.assign(fields, when);
+    }
+    if (!fields.restaurant) {
+      const match = line.match(RESTAURANT_PATTERN);
+      if (match && !MONEY_PATTERN.test(match[1])) fields.restaurant = match[1].trim();
+    }
+    if (!fields.discount.coupon) {
+      const match = line.match(COUPON_PATTERN);
+      if (match) fields.discount.coupon = match[1];
+    }
+    if (!fields.paymentMethod) {
+      const match = line.match(PAYMENT_PATTERN);
+      if (match) fields.paymentMethod = match[1].trim();
+    }
+
+    const item = ITEM_PATTERNS
+      .map(({ pattern, quantity, name, price }) => {
+        const match = line.match(pattern);
+        return match && { name: match[name], quantity: parseInt(match[quantity], 10), price: toNumber(match[price]) };
+      })
+      .find(Boolean);
+    if (item) {
+      fields.items.push(item);
+      return;
+    }
+
+    const label = LINE_LABELS.find(({ pattern }) => pattern.test(line));
+    if (!label) return;
+
+    const money = line.match(MONEY_PATTERN) || (lines[index + 1] || '').match(BARE_MONEY_PATTERN);
+    if (!money) return;
+    const value = Math.abs(toNumber(money[1]));
+
+    switch (label.field) {
+      case 'total':
+        // The last total on a receipt is the amount actually paid
+        fields.amount = value;
+        fields.currency = detectCurrency(money[0]);
+        break;
+      case 'taxComponent':
+        taxComponents = (taxComponents || 0) + value;
+        break;
+      case 'taxes':
+        fields.taxes = (fields.taxes || 0) + value;
+        break;
+      case 'discount':
+        fields.discount.amount = (fields.discount.amount || 0) + value;
+        break;
+      case 'membership':
+        fields.membership = {
+          name: fields.membership?.name || MEMBERSHIP_NAMES.find(({ pattern }) => pattern.test(line))?.name || null,
+          savings: (fields.membership?.savings || 0) + value
+        };
+        break;
+      case 'itemTotal':
+        break;
+      default:
+        fields.fees[label.field] = (fields.fees[label.field] || 0) + value;
+    }
+  });
+
+  if (fields.taxes === undefined && taxComponents !== null) {
+    fields.taxes = round2(taxComponents);
+  }
+
+  return fields;
+}
+
+module.exports = {
+  parseReceiptText,
+  parseDateTimeText
+};
@@ -0,0 +1,59 @@
+const db = require('./db');
+
+/**
+ * Per-user reimbursement rules (see reimbursements.js for their shape), kept in priority order
+ */
+
+const statements = {
+  list: db.prepare(`
+    SELECT name, weekdays, meal_slots AS mealSlots, address_labels AS addressLabels, platforms
+    FROM reimbursement_rules WHERE user_id = ? ORDER BY position
+  `),
+  insert: db.prepare(`
+    INSERT INTO reimbursement_rules (user_id, position, name, weekdays, meal_slots, address_labels, platforms)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `),
+  removeAll: db.prepare('DELETE FROM reimbursement_rules WHERE user_id = ?')
+};
+
+/**
+ * Get a user's rules in priority order
+ * @param {number} userId - Owner of the rules
+ * @returns {Array<{name: string, weekdays: string[], mealSlots: string[], addressLabels: string[], platforms: string[]}>}
+ */
+function listRules(userId) {
+  return statements.list.all(userId).map(row => ({
+    name: row.name,
+    weekdays: JSON.parse(row.weekdays),
+    mealSlots: JSON.parse(row.mealSlots),
+    addressLabels: JSON.parse(row.addressLabels),
+    platforms: JSON.parse(row.platforms)
+  }));
+}
+
+/**
+ * Replace all of a user's rules
+ * @param {number} userId - Owner of the rules
+ * @param {Array<Object>} rules - Validated rules, highest priority first
+ * @returns {Array<Object>} The stored rules
+ */
+const replaceRules = db.transaction((userId, rules) => {
+  statements.removeAll.run(userId);
+  rules.forEach((rule, position) => {
+    statements.insert.run(
+      userId,
+      position,
+      rule.name,
+      JSON.stringify(rule.weekdays),
+      JSON.stringify(rule.mealSlots),
+      JSON.stringify(rule.addressLabels),
+      JSON.stringify(rule.platforms)
+    );
+  });
+  return listRules(userId);
+});
+
+module.exports = {
+  listRules,
+  replaceRules
+};
@@ -0,0 +1,353 @@
+/**
+ * Expense reimbursement: work meals an employer pays back.
+ *
+ * Orders carry `reimbursable` (true or false) and `reimbursableSource`: 'rule' when a reimbursement
+ * rule flagged the order, 'manual' for a user's decision, which rules never replace. A reimbursable
+ * order has a `claim`:
+ *
+ *   status      - 'pending' (not claimed yet), 'submitted' or 'paid'
+ *   submittedOn - YYYY-MM-DD the claim was submitted, or null
+ *   paidOn      - YYYY-MM-DD the claim was paid back, or null
+ *   note        - Free text, or null
+ *
+ * A rule is {name, weekdays, mealSlots, addressLabels, platforms}. Each list narrows the rule and an
+ * empty list matches anything, so "Office lunch" = {weekdays: Mon-Fri, mealSlots: [lunch],
+ * addressLabels: [Work]}. The first matching rule flags the order. Once a claim is submitted the
+ * order keeps its flag even if the rules change, so claims already sent stay in the claims report.
+ */
+
+const { WEEKDAYS, MEAL_SLOTS, orderHour, mealSlotOf } = require('./patterns');
+const { weekdayOf, toLocalDate } = require('./dates');
+const { round2, csvField } = require('./helpers');
+
+const CLAIM_STATUSES = ['pending', 'submitted', 'paid'];
+const CLAIM_FIELDS = ['reimbursable', 'reimbursableSource', 'reimbursableRule', 'claim'];
+const REIMBURSABLE_SOURCES = ['rule', 'manual'];
+const MEAL_SLOT_NAMES = MEAL_SLOTS.map(({ slot }) => slot);
+const MAX_NOTE_LENGTH = 200;
+
+const emptyTotal = () => ({ orderCount: 0, spend: 0 });
+
+// Helper function to read an optional list of strings, trimmed, without blanks or duplicates
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string')) return null;
+  return [...new Set(value.map(entry => entry.trim()).filter(Boolean))];
+}
+
+/**
+ * Check a rule as sent by a client
+ * @returns {{rule: Object|null, error: string|null}} Trimmed rule, or an error message
+ */
+function normalizeReimbursementRule(rule) {
+  const name = typeof rule?.name === 'string' ? rule.name.trim() : '';
+  const weekdays = toList(rule?.weekdays);
+  const mealSlots = toList(rule?.mealSlots);
+  const addressLabels = toList(rule?.addressLabels);
+  const platforms = toList(rule?.platforms);
+
+  if (!name || name.length > 40) {
+    return { rule: null, error: 'Name must be 1-40 characters' };
+  }
+  if (!weekdays || weekdays.some(day => !WEEKDAYS.includes(day))) {
+    return { rule: null, error: `weekdays must be a list of ${WEEKDAYS.join(', ')}` };
+  }
+  if (!mealSlots || mealSlots.some(slot => !MEAL_SLOT_NAMES.includes(slot))) {
+    return { rule: null, error: `mealSlots must be a list of ${MEAL_SLOT_NAMES.join(', ')}` };
+  }
+  if (!addressLabels || addressLabels.some(label => label.length > 40)) {
+    return { rule: null, error: 'addressLabels must be a list of labels of up to 40 characters' };
+  }
+  if (!platforms || platforms.some(platform => platform.length > 40)) {
+    return { rule: null, error: 'platforms must be a list of platform names' };
+  }
+  if ([weekdays, mealSlots, addressLabels, platforms].every(list => list.length === 0)) {
+    return { rule: null, error: 'A rule needs at least one weekday, meal slot, address label or platform' };
+  }
+
+  return {
+    rule: {
+      name,
+      // Weekdays in calendar order, whatever order they were picked in
+      weekdays: WEEKDAYS.filter(day => weekdays.includes(day)),
+      mealSlots,
+      addressLabels,
+      platforms: platforms.map(platform => platform.toLowerCase())
+    },
+    error: null
+  };
+}
+
+// Helper function to compare labels and names regardless of case and spacing
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Find the first rule that flags an order
+ * @param {Array<Object>} rules - Rules in priority order
+ * @param {Object} order
+ * @returns {Object|null} The matching rule
+ */
+function matchReimbursementRule(rules, order) {
+  const day = weekdayOf(String(order.date || '').slice(0, 10));
+  const weekday = isNaN(day) ? null : WEEKDAYS[day];
+  const hour = orderHour(order);
+  const mealSlot = hour === null ? null : mealSlotOf(hour);
+
+  return rules.find(rule =>
+    (rule.weekdays.length === 0 || rule.weekdays.includes(weekday)) &&
+    (rule.mealSlots.length === 0 || rule.mealSlots.includes(mealSlot)) &&
+    (rule.addressLabels.length === 0 || rule.addressLabels.some(label => sameText(label, order.deliveryAddressLabel))) &&
+    (rule.platforms.length === 0 || rule.platforms.some(platform => sameText(platform, order.platform)))
+  ) || null;
+}
+
+const newClaim = () => ({ status: 'pending', submittedOn: null, paidOn: null, note: null });
+
+const isAbsent = (value) => value === null || value === undefined;
+
+/**
+ * Check the reimbursement fields of an order sent by a client in full (see the shape above)
+ * @param {Object} order
+ * @returns {string|null} An error message, or null when the fields are valid or absent
+ */
+function checkClaimFields({ reimbursable, reimbursableSource, reimbursableRule, claim }) {
+  if (!isAbsent(reimbursable) && typeof reimbursable !== 'boolean') {
+    return 'reimbursable must be true or false';
+  }
+  if (!isAbsent(reimbursableSource) && !REIMBURSABLE_SOURCES.includes(reimbursableSource)) {
+    return `reimbursableSource must be one of ${REIMBURSABLE_SOURCES.join(', ')} or null`;
+  }
+  if (!isAbsent(reimbursableRule) && typeof reimbursableRule !== 'string') {
+    return 'reimbursableRule must be text or null';
+  }
+  if (isAbsent(claim)) return null;
+
+  if (typeof claim !== 'object' || Array.isArray(claim)) {
+    return 'claim must be an object or null';
+  }
+  if (reimbursable !== true) {
+    return 'Only reimbursable orders have a claim';
+  }
+  if (!CLAIM_STATUSES.includes(claim.status)) {
+    return `claim.status must be one of ${CLAIM_STATUSES.join(', ')}`;
+  }
+  const badDate = ['submittedOn', 'paidOn'].find(field => !isAbsent(claim[field]) && toLocalDate(claim[field]) !== claim[field]);
+  if (badDate) {
+    return `claim.${badDate} must be YYYY-MM-DD or null`;
+  }
+  if (!isAbsent(claim.note) && (typeof claim.note !== 'string' || claim.note.length > MAX_NOTE_LENGTH)) {
+    return `claim.note must be text of at most ${MAX_NOTE_LENGTH} characters or null`;
+  }
+  return null;
+}
+
+/**
+ * Drop the reimbursement fields from an order, so imported orders are flagged by the rules and
+ * claims only change through the claim endpoints
+ * @param {Object} order
+ * @returns {Object}
+ */
+function withoutClaimData(order) {
+  if (!order || typeof order !== 'object') return order;
+  const stripped = { ...order };
+  CLAIM_FIELDS.forEach(field => delete stripped[field]);
+  return stripped;
+}
+
+/**
+ * Flag an order from the rules, leaving manual decisions and submitted or paid claims alone
+ * @returns {Object} The order with `reimbursable`, `reimbursableSource`, `reimbursableRule` and `claim` set
+ */
+function applyReimbursement(rules, order) {
+  if (order.reimbursableSource === 'manual') return order;
+  if (order.reimbursable && order.claim && order.claim.status !== 'pending') return order;
+
+  const rule = matchReimbursementRule(rules, order);
+  if (!rule) {
+    return { ...order, reimbursable: false, reimbursableSource: null, reimbursableRule: null, claim: null };
+  }
+  return {
+    ...order,
+    reimbursable: true,
+    reimbursableSource: 'rule',
+    reimbursableRule: rule.name,
+    claim: order.claim || newClaim()
+  };
+}
+
+/**
+ * Apply a user's change to an order's reimbursement and claim
+ * @param {Object} order - Stored order
+ * @param {Object} change
+ * @param {boolean|null} [change.reimbursable] - true or false decides by hand, null hands the order
+ *   back to the rules
+ * @param {string} [change.status] - New claim status; submitting or paying stamps today's date
+ * @param {string|null} [change.note] - Claim note
+ * @param {string} today - YYYY-MM-DD in the user's time zone
+ * @returns {{order: Object|null, error: string|null}} The changed order, or an error message
+ */
+function changeReimbursement(order, { reimbursable, status, note }, today) {
+  let changed = { ...order };
+
+  if (reimbursable === null) {
+    // The store runs the rules again when the order is saved
+    changed = { ...changed, reimbursable: false, reimbursableSource: null, reimbursableRule: null, claim: null };
+  } else if (reimbursable !== undefined) {
+    if (typeof reimbursable !== 'boolean') {
+      return { order: null, error: 'reimbursable must be true, false or null' };
+    }
+    changed = {
+      ...changed,
+      reimbursable,
+      reimbursableSource: 'manual',
+      reimbursableRule: null,
+      claim: reimbursable ? changed.claim || newClaim() : null
+    };
+  }
+
+  if (status === undefined && note === undefined) {
+    return { order: changed, error: null };
+  }
+  if (!changed.reimbursable || !changed.claim) {
+    return { order: null, error: 'Only reimbursable orders have a claim' };
+  }
+
+  const claim = { ...changed.claim };
+  if (status !== undefined) {
+    if (!CLAIM_STATUSES.includes(status)) {
+      return { order: null, error: `status must be one of ${CLAIM_STATUSES.join(', ')}` };
+    }
+    claim.status = status;
+    claim.submittedOn = status === 'pending' ? null : claim.submittedOn || today;
+    claim.paidOn = status === 'paid' ? claim.paidOn || today : null;
+  }
+  if (note !== undefined) {
+    if (note !== null && typeof note !== 'string') {
+      return { order: null, error: 'note must be text or null' };
+    }
+    const text = note === null ? '' : note.trim();
+    if (text.length > MAX_NOTE_LENGTH) {
+      return { order: null, error: `note must be at most ${MAX_NOTE_LENGTH} characters` };
+    }
+    claim.note = text || null;
+  }
+  return { order: { ...changed, claim }, error: null };
+}
+
+// Helper function to get the claim status of a reimbursable order
+function claimStatusOf(order) {
+  return CLAIM_STATUSES.includes(order.claim?.status) ? order.claim.status : 'pending';
+}
+
+/**
+ * Personal vs reimbursable spend
+ * @param {Array<Object>} orders - Flagged orders in the reporting currency
+ * @returns {{personal: Object, reimbursable: Object, byStatus: Object}} Each total is
+ *   {orderCount, spend}; byStatus splits the reimbursable spend into pending, submitted and paid
+ */
+function calculateReimbursementSplit(orders) {
+  const personal = emptyTotal();
+  const reimbursable = emptyTotal();
+  const byStatus = Object.fromEntries(CLAIM_STATUSES.map(status => [status, emptyTotal()]));
+  const add = (total, amount) => {
+    total.orderCount++;
+    total.spend += amount;
+  };
+
+  orders.forEach(order => {
+    const amount = order.amount || 0;
+    if (order.reimbursable) {
+      add(reimbursable, amount);
+      add(byStatus[claimStatusOf(order)], amount);
+    } else {
+      add(personal, amount);
+    }
+  });
+
+  const finish = (total) => ({ ...total, spend: round2(total.spend) });
+  return {
+    personal: finish(personal),
+    reimbursable: finish(reimbursable),
+    byStatus: Object.fromEntries(CLAIM_STATUSES.map(status => [status, finish(byStatus[status])]))
+  };
+}
+
+/**
+ * Build the claims report of a period
+ * @param {Array<Object>} orders - Validated orders of the period with localized dates, in the reporting currency
+ * @param {Object} options
+ * @param {{month: string|null, startDate: string|null, endDate: string|null}} options.period
+ * @param {string} options.currency - Reporting currency
+ * @param {string} options.generatedOn - YYYY-MM-DD
+ * @param {string} [options.status] - Only claims with this status
+ * @param {Map<number, Array<Object>>} [options.attachments] - Attachment details by order store ID
+ * @returns {Object} period, currency, generatedOn, totals ({orderCount, spend} per status and in
+ *   all), claims (one per reimbursable order, oldest first) and withoutInvoice (claims with no file)
+ */
+function buildClaimsReport(orders, { period, currency, generatedOn, status, attachments = new Map() }) {
+  const claimed = orders
+    .filter(order => order.reimbursable === true && (!status || claimStatusOf(order) === status))
+    .sort((a, b) => a.date.localeCompare(b.date) || String(a.timestamp || '').localeCompare(String(b.timestamp || '')));
+  const claims = claimed.map(order => {
+    const time = String(order.timestamp || '').match(/T(\d{2}:\d{2})/);
+    return {
+      id: order.id ?? null,
+      date: order.date,
+      time: time ? time[1] : null,
+      platform: order.platform || null,
+      orderId: order.orderId || null,
+      restaurant: order.restaurant || 'Unknown',
+      deliveryAddressLabel: order.deliveryAddressLabel || null,
+      amount: order.amount,
+      originalAmount: order.originalAmount ?? null,
+      originalCurrency: order.originalCurrency || null,
+      flaggedBy: order.reimbursableSource === 'rule' ? order.reimbursableRule || 'Rule' : 'Manual',
+      status: claimStatusOf(order),
+      submittedOn: order.claim?.submittedOn || null,
+      paidOn: order.claim?.paidOn || null,
+      note: order.claim?.note || null,
+      attachments: attachments.get(order.id) || []
+    };
+  });
+
+  const { reimbursable, byStatus } = calculateReimbursementSplit(claimed);
+  return {
+    period,
+    currency,
+    generatedOn,
+    totals: { all: reimbursable, ...byStatus },
+    claims,
+    withoutInvoice: claims.filter(claim => claim.attachments.length === 0).length
+  };
+}
+
+/**
+ * The claims report as CSV, one row per claim
+ * @returns {string}
+ */
+function claimsToCsv(report) {
+  const header = [
+    'Date', 'Time', 'Platform', 'Order ID', 'Restaurant', 'Address', `Amount (${report.currency})`,
+    'Original amount', 'Original currency', 'Flagged by', 'Status', 'Submitted on', 'Paid on', 'Note', 'Invoices'
+  ];
+  const rows = report.claims.map(claim => [
+    claim.date, claim.time, claim.platform, claim.orderId, claim.restaurant, claim.deliveryAddressLabel,
+    claim.amount.toFixed(2), claim.originalAmount, claim.originalCurrency, claim.flaggedBy, claim.status,
+    claim.submittedOn, claim.paidOn, claim.note, claim.attachments.map(file => file.fileName).join('; ')
+  ]);
+  const total = ['', '', '', '', 'Total', '', report.totals.all.spend.toFixed(2)];
+  return [header, ...rows, total].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  CLAIM_STATUSES,
+  checkClaimFields,
+  withoutClaimData,
+  normalizeReimbursementRule,
+  matchReimbursementRule,
+  applyReimbursement,
+  changeReimbursement,
+  calculateReimbursementSplit,
+  buildClaimsReport,
+  claimsToCsv
+};
@@ -0,0 +1,79 @@
+/**
+ * Per-restaurant spend and loyalty statistics.
+ *
+ * Restaurants are grouped by name, ignoring case and extra spaces; the name shown is the one used
+ * on the most recent order. "Days between orders" is the average gap between consecutive order
+ * dates at a restaurant, so it is only known for restaurants ordered from on at least two days.
+ */
+
+const { todayIn, daysBetween } = require('./dates');
+const { round2 } = require('./helpers');
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * @param {Array<Object>} orders - Orders with date, amount and restaurant
+ * @param {Object} [options]
+ * @param {number} [options.topN=10] - Length of the top lists
+ * @param {string} [options.currentMonth] - YYYY-MM the "new this month" list is for (default: this month in India)
+ * @returns {Object} restaurants (sorted by spend), topBySpend, topByOrders, newRestaurantsByMonth,
+ *   newThisMonth and repeatRestaurantShare
+ */
+function calculateRestaurantStats(orders, { topN = 10, currentMonth = todayIn().slice(0, 7) } = {}) {
+  const groups = new Map();
+
+  orders
+    .filter(order => order.date && !isNaN(parseFloat(order.amount)))
+    .forEach(order => {
+      const key = normalizeName(order.restaurant) || 'unknown';
+      const group = groups.get(key) || { name: 'Unknown', latestDate: '', dates: [], totalSpend: 0 };
+      const date = String(order.date).slice(0, 10);
+      if (date >= group.latestDate && normalizeName(order.restaurant)) {
+        group.name = String(order.restaurant).trim();
+        group.latestDate = date;
+      }
+      group.dates.push(date);
+      group.totalSpend += parseFloat(order.amount);
+      groups.set(key, group);
+    });
+
+  const restaurants = Array.from(groups.values()).map(({ name, dates, totalSpend }) => {
+    const sorted = [...dates].sort();
+    const days = [...new Set(sorted)];
+    const gaps = days.slice(1).map((date, index) => daysBetween(days[index], date));
+
+    return {
+      restaurant: name,
+      orderCount: dates.length,
+      totalSpend: round2(totalSpend),
+      averageTicket: round2(totalSpend / dates.length),
+      firstOrder: sorted[0],
+      lastOrder: sorted[sorted.length - 1],
+      averageDaysBetweenOrders: gaps.length > 0
+        ? Math.round((gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length) * 10) / 10
+        : null
+    };
+  }).sort((a, b) => b.totalSpend - a.totalSpend);
+
+  const newRestaurantsByMonth = {};
+  restaurants.forEach(({ restaurant, firstOrder }) => {
+    const month = firstOrder.slice(0, 7);
+    (newRestaurantsByMonth[month] = newRestaurantsByMonth[month] || []).push(restaurant);
+  });
+
+  const byOrders = [...restaurants].sort((a, b) => b.orderCount - a.orderCount || b.totalSpend - a.totalSpend);
+  const repeatCount = restaurants.filter(r => r.orderCount > 1).length;
+
+  return {
+    restaurants,
+    topBySpend: restaurants.slice(0, topN).map(r => r.restaurant),
+    topByOrders: byOrders.slice(0, topN).map(r => r.restaurant),
+    newRestaurantsByMonth,
+    newThisMonth: newRestaurantsByMonth[currentMonth] || [],
+    repeatRestaurantShare: restaurants.length > 0 ? round2(repeatCount / restaurants.length) : 0
+  };
+}
+
+module.exports = {
+  calculateRestaurantStats
+};
@@ -0,0 +1,171 @@
+const { FEE_TYPES, upgradeOrder } = require('./order-schema');
+const { DEFAULT_CURRENCY, normalizeCurrency, convertAmount } = require('./currency');
+const { round2, sumOf } = require('./helpers');
+const { toLocalDate } = require('./dates');
+
+/**
+ * Savings, discounts, memberships and fees.
+ *
+ * "Saved" is the coupon/offer discount plus the membership savings reported on an order. Rates and
+ * averages only use orders that report a breakdown, so orders imported without one (CSV, version 1
+ * data) neither count as full-price nor as fee-free.
+ *
+ * A membership is {platform, name, cost, currency, startDate, endDate}: what was paid for e.g.
+ * Swiggy One and the period it covered. Its benefit is the membership savings on that platform's
+ * orders in the period, so it is worth it when the benefit is at least the cost. A cost in another
+ * currency than the orders is converted with the rate on the start date.
+ */
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : 0);
+
+/**
+ * Check a membership as sent by a client
+ * @param {Object} membership
+ * @param {string} [defaultCurrency] - Currency of a cost sent without one
+ * @returns {{membership: Object|null, error: string|null}}
+ */
+function normalizeMembership(membership, defaultCurrency = DEFAULT_CURRENCY) {
+  const platform = typeof membership?.platform === 'string' ? membership.platform.trim().toLowerCase() : '';
+  const name = typeof membership?.name === 'string' ? membership.name.trim() : '';
+  const cost = parseFloat(membership?.cost);
+  const currency = membership?.currency ? normalizeCurrency(membership.currency) : defaultCurrency;
+  const { startDate, endDate } = membership || {};
+
+  if (!platform) {
+    return { membership: null, error: 'platform is required' };
+  }
+  if (!name) {
+    return { membership: null, error: 'name is required' };
+  }
+  if (isNaN(cost) || cost < 0) {
+    return { membership: null, error: 'cost must be a number of 0 or more' };
+  }
+  if (!currency) {
+    return { membership: null, error: 'currency must be a currency code such as INR' };
+  }
+  const isDate = (date) => typeof date === 'string' && toLocalDate(date) === date;
+  if (!isDate(startDate) || !isDate(endDate)) {
+    return { membership: null, error: 'startDate and endDate must be YYYY-MM-DD' };
+  }
+  if (endDate < startDate) {
+    return { membership: null, error: 'endDate must not be before startDate' };
+  }
+  return { membership: { platform, name, cost: round2(cost), currency, startDate, endDate }, error: null };
+}
+
+// Helper function to check whether an order reports any part of its breakdown
+const hasBreakdown = (order) => order.discount.amount !== null
+  || order.membership.savings !== null
+  || FEE_TYPES.some(type => order.fees[type] !== null);
+
+/**
+ * @param {Array<Object>} orders - Orders of any schema version, all in one currency
+ * @param {Array<Object>} memberships - Normalized memberships
+ * @param {Object} [options]
+ * @param {string} [options.currency] - Currency of the orders; membership costs are converted into it
+ * @param {Array<Object>} [options.rates] - Normalized exchange rates
+ * @returns {Object} totals, byCoupon, byMonth, memberships and fees. A membership whose cost was
+ *   converted keeps originalCost and originalCurrency; one with no rate for its currency has null
+ *   net, worthIt and ordersToBreakEven
+ */
+function calculateSavings(orders, memberships = [], { currency = DEFAULT_CURRENCY, rates = [] } = {}) {
+  const detailed = orders
+    .map(upgradeOrder)
+    .filter(order => order.date && order.amount !== null && hasBreakdown(order));
+
+  const totals = { paid: 0, discounts: 0, membershipSavings: 0 };
+  const coupons = new Map();
+  const months = new Map();
+
+  detailed.forEach(order => {
+    const discount = order.discount.amount || 0;
+    const memberSaved = order.membership.savings || 0;
+    totals.paid += order.amount;
+    totals.discounts += discount;
+    totals.membershipSavings += memberSaved;
+
+    if (discount > 0) {
+      const coupon = order.discount.coupon ? order.discount.coupon.toUpperCase() : null;
+      const entry = coupons.get(coupon) || { coupon, orderCount: 0, total: 0 };
+      entry.orderCount++;
+      entry.total += discount;
+      coupons.set(coupon, entry);
+    }
+
+    const month = String(order.date).slice(0, 7);
+    const entry = months.get(month) || { month, orderCount: 0, paid: 0, discounts: 0, membershipSavings: 0 };
+    entry.orderCount++;
+    entry.paid += order.amount;
+    entry.discounts += discount;
+    entry.membershipSavings += memberSaved;
+    months.set(month, entry);
+  });
+
+  const saved = totals.discounts + totals.membershipSavings;
+
+  const membershipReport = memberships.map(membership => {
+    const covered = detailed.filter(order => (order.platform || '').toLowerCase() === membership.platform
+      && order.date >= membership.startDate && order.date <= membership.endDate);
+    const benefit = covered.reduce((sum, order) => sum + (order.membership.savings || 0), 0);
+    const perOrder = covered.length > 0 ? benefit / covered.length : 0;
+    const costCurrency = membership.currency || currency;
+    const cost = convertAmount(membership.cost, costCurrency, currency, rates, membership.startDate);
+    if (cost === null) {
+      return { ...membership, orderCount: covered.length, savings: round2(benefit), net: null, worthIt: null, ordersToBreakEven: null };
+    }
+    return {
+      ...membership,
+      ...(costCurrency === currency ? {} : { cost, currency, originalCost: membership.cost, originalCurrency: costCurrency }),
+      orderCount: covered.length,
+      savings: round2(benefit),
+      net: round2(benefit - cost),
+      worthIt: benefit >= cost,
+      ordersToBreakEven: perOrder > 0 ? Math.ceil(cost / perOrder) : null
+    };
+  });
+
+  const withFees = detailed.filter(order => FEE_TYPES.some(type => order.fees[type] !== null));
+  const feeTotals = FEE_TYPES.reduce((acc, type) => ({
+    ...acc,
+    [type]: withFees.reduce((sum, order) => sum + (order.fees[type] || 0), 0)
+  }), {});
+  const allFees = sumOf(Object.values(feeTotals));
+  const paidWithFees = withFees.reduce((sum, order) => sum + order.amount, 0);
+  const average = (value) => (withFees.length > 0 ? round2(value / withFees.length) : 0);
+
+  return {
+    totals: {
+      ordersWithSavingsInfo: detailed.length,
+      discounts: round2(totals.discounts),
+      membershipSavings: round2(totals.membershipSavings),
+      saved: round2(saved),
+      effectiveDiscountRate: rate(saved, totals.paid + saved)
+    },
+    byCoupon: Array.from(coupons.values())
+      .map(entry => ({ ...entry, total: round2(entry.total) }))
+      .sort((a, b) => b.total - a.total),
+    byMonth: Array.from(months.values())
+      .sort((a, b) => a.month.localeCompare(b.month))
+      .map(entry => ({
+        month: entry.month,
+        orderCount: entry.orderCount,
+        paid: round2(entry.paid),
+        discounts: round2(entry.discounts),
+        membershipSavings: round2(entry.membershipSavings),
+        effectiveDiscountRate: rate(entry.discounts + entry.membershipSavings, entry.paid + entry.discounts + entry.membershipSavings)
+      })),
+    memberships: membershipReport,
+    fees: {
+      ordersWithFees: withFees.length,
+      totals: Object.fromEntries(Object.entries(feeTotals).map(([type, value]) => [type, round2(value)])),
+      perOrder: Object.fromEntries(Object.entries(feeTotals).map(([type, value]) => [type, average(value)])),
+      totalPerOrder: average(allFees),
+      shareOfSpend: rate(allFees, paidWithFees)
+    }
+  };
+}
+
+module.exports = {
+  normalizeMembership,
+  calculateSavings
+};
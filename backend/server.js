@@ -2,7 +2,53 @@ const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const rateLimit = require('express-rate-limit');
-const { initSwiggyLogin, submitOTP, scrapeOrders, cleanupSession } = require('./swiggy-scraper');
+const multer = require('multer');
+const { getProvider, listProviders } = require('./providers');
+const { getSession } = require('./browser-session');
+const { FEE_TYPES, upgradeOrder } = require('./order-schema');
+const { validateOrder, validateOrders, normalizeValidationMode } = require('./order-validation');
+const orderStore = require('./order-store');
+const settingsStore = require('./settings-store');
+const categoryStore = require('./category-store');
+const reimbursementRuleStore = require('./reimbursement-rule-store');
+const attachmentStore = require('./attachment-store');
+const { calculateRestaurantStats } = require('./restaurant-stats');
+const { calculateSpendingPatterns } = require('./patterns');
+const { calculateTrends } = require('./trends');
+const { MAX_HORIZON, forecastSpend } = require('./forecast');
+const { detectAnomalies } = require('./anomalies');
+const membershipStore = require('./membership-store');
+const exchangeRateStore = require('./exchange-rate-store');
+const { DEFAULT_CURRENCY, isValidCurrency, normalizeRate, convertOrders, parseAmount } = require('./currency');
+const { normalizeMembership, calculateSavings } = require('./savings');
+const budgetStore = require('./budget-store');
+const { normalizeBudget, calculateBudgetReport } = require('./budgets');
+const { normalizeRule, applyCategory, calculateCategoryBreakdown } = require('./categories');
+const {
+  CLAIM_STATUSES,
+  checkClaimFields,
+  normalizeReimbursementRule,
+  applyReimbursement,
+  changeReimbursement,
+  calculateReimbursementSplit,
+  buildClaimsReport,
+  claimsToCsv
+} = require('./reimbursements');
+const { importEmails } = require('./email-import');
+const { importInvoices } = require('./invoice-import');
+const { normalizeSplit, reconcileSplit, calculateBalances, settleBalances, settlementToCsv } = require('./settlement');
+const {
+  STATEMENT_FORMATS,
+  STATEMENT_SCOPES,
+  buildStatement,
+  statementFileName,
+  statementToCsv,
+  statementToXlsx,
+  statementToPdf
+} = require('./statement');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, todayIn, toLocalDate, localizeOrders, monthOf, isInRange, addMonths, daysInMonth } = require('./dates');
+const auth = require('./auth');
+const { requireAuth } = auth;
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -24,45 +70,206 @@ const otpLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // Limit each IP to 20 signup/login attempts per windowMs
+  message: 'Too many account login attempts from this IP, please try again after 15 minutes',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Upper bounds on how long a single scrape may keep loading order history
+const MAX_SCRAPE_PAGES = 200;
+const MAX_SCRAPE_DURATION_MS = 10 * 60 * 1000;
+
+// JSON bodies carry whole order histories (300 orders are over 100KB, body-parser's default limit)
+const MAX_JSON_BODY = '10mb';
+
+const MB = 1024 * 1024;
+
+// Upload limits for imported email and invoice files. They are kept in memory, never written to
+// disk, so the whole request is capped too: that is what one upload can cost in memory.
+const MAX_UPLOAD_FILE_BYTES = 50 * MB;
+const MAX_UPLOAD_FILES = 500;
+const MAX_UPLOAD_REQUEST_BYTES = 200 * MB;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_FILE_BYTES, files: MAX_UPLOAD_FILES }
+});
+
+// Invoice files attached to orders are kept in the database, so they get tighter limits
+const MAX_ATTACHMENT_BYTES = 10 * MB;
+const MAX_ATTACHMENT_FILES = 20;
+const MAX_ATTACHMENT_REQUEST_BYTES = 50 * MB;
+
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_BYTES, files: MAX_ATTACHMENT_FILES }
+});
+
 // Middleware
 app.use(cors());
-app.use(bodyParser.json());
 
-// Helper function to parse date from various formats
-function parseDate(dateStr) {
-  return new Date(dateStr);
+// JSON bodies, answering a body that is too large or not JSON with its status and a JSON error
+const parseJson = bodyParser.json({ limit: MAX_JSON_BODY });
+app.use((req, res, next) => {
+  parseJson(req, res, (error) => {
+    if (error) {
+      const message = error.type === 'entity.too.large' ? `Request body is larger than ${MAX_JSON_BODY}` : error.message;
+      return res.status(error.status || 400).json({ error: message });
+    }
+    next();
+  });
+});
+
+// Helper function to build middleware that accepts multipart uploads in the `files` field. A request
+// is turned down by its Content-Length before anything is buffered; upload errors are answered with 400.
+function acceptUploads(uploader, { maxFileBytes, maxRequestBytes }) {
+  return (req, res, next) => {
+    if (req.headers['content-length'] === undefined) {
+      return res.status(411).json({ error: 'Uploads need a Content-Length header' });
+    }
+    if (Number(req.headers['content-length']) > maxRequestBytes) {
+      return res.status(413).json({ error: `Uploads can be at most ${maxRequestBytes / MB} MB in total` });
+    }
+    uploader.array('files')(req, res, (error) => {
+      if (error) {
+        const message = error.code === 'LIMIT_FILE_SIZE' ? `Files can be at most ${maxFileBytes / MB} MB each` : error.message;
+        return res.status(400).json({ error: message });
+      }
+      next();
+    });
+  };
+}
+
+const acceptFiles = acceptUploads(upload, { maxFileBytes: MAX_UPLOAD_FILE_BYTES, maxRequestBytes: MAX_UPLOAD_REQUEST_BYTES });
+const acceptAttachments = acceptUploads(attachmentUpload, {
+  maxFileBytes: MAX_ATTACHMENT_BYTES,
+  maxRequestBytes: MAX_ATTACHMENT_REQUEST_BYTES
+});
+
+// Helper function to get the user's time zone setting
+function timeZoneOf(userId) {
+  const { timezone } = settingsStore.getSettings(userId);
+  return isValidTimeZone(timezone) ? timezone : DEFAULT_TIME_ZONE;
+}
+
+// Helper function to get today's date as YYYY-MM-DD in the user's time zone
+function todayFor(userId) {
+  return todayIn(timeZoneOf(userId));
+}
+
+// Helper function to get the user's reporting currency setting
+function reportingCurrencyOf(userId) {
+  const { reportingCurrency } = settingsStore.getSettings(userId);
+  return isValidCurrency(reportingCurrency) ? reportingCurrency : DEFAULT_CURRENCY;
 }
 
-// Helper function to calculate monthly spend
+// Helper function to validate orders, localize them and convert them into the user's reporting
+// currency. Orders that fail validation are left out and reported in `validation`, orders with no
+// exchange rate for their currency are left out and listed in `unconverted`.
+function ordersForAnalysis(userId, orders, mode) {
+  const currency = reportingCurrencyOf(userId);
+  const { orders: valid, indexes, report } = validateOrders(orders, { mode });
+  const localized = localizeOrders(valid, timeZoneOf(userId));
+  const converted = convertOrders(localized, currency, exchangeRateStore.listRates(userId));
+  // Report positions in the orders as sent, not in the validated subset
+  const unconverted = converted.unconverted.map(order => ({ ...order, index: indexes[order.index] }));
+  // Position as sent of each analyzed order, for findings that point back at orders
+  const leftOut = new Set(converted.unconverted.map(order => order.index));
+  const positions = indexes.filter((_, index) => !leftOut.has(index));
+  return { currency, ...converted, unconverted, positions, validation: report };
+}
+
+// Helper function to report the orders of anomaly findings at their positions as sent
+function atSentPositions(findings, positions) {
+  return findings.map(finding => (finding.orders
+    ? { ...finding, orders: finding.orders.map(ref => ({ ...ref, index: positions[ref.index] })) }
+    : finding));
+}
+
+// Helper function to describe a batch of orders turned down by strict validation
+function validationFailure(errors) {
+  const count = new Set(errors.map(problem => problem.index)).size;
+  return `${count} ${count === 1 ? 'order fails' : 'orders fail'} validation`;
+}
+
+// Helper function to read the period of a report from ?month=YYYY-MM or ?startDate=&endDate=.
+// Both days are included in full; either may be left open.
+function readPeriod(req) {
+  const { month, startDate: start, endDate: end } = req.query;
+
+  if (month) {
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return { period: null, error: 'month must be YYYY-MM' };
+    }
+    return { period: { month, startDate: `${month}-01`, endDate: `${month}-${daysInMonth(month)}` }, error: null };
+  }
+
+  const timeZone = timeZoneOf(req.user.id);
+  const startDate = start ? toLocalDate(start, timeZone) : null;
+  const endDate = end ? toLocalDate(end, timeZone) : null;
+  if ((start && !startDate) || (end && !endDate)) {
+    return { period: null, error: 'startDate and endDate must be valid dates (YYYY-MM-DD)' };
+  }
+  if (startDate && endDate && startDate > endDate) {
+    return { period: null, error: 'Start date must not be after end date' };
+  }
+  return { period: { month: null, startDate, endDate }, error: null };
+}
+
+// Helper function to calculate monthly spend (orders must come from ordersForAnalysis)
 function calculateMonthlySpend(orders) {
   const monthlyData = {};
   
   orders.forEach(order => {
-    if (order.date && order.amount) {
-      const date = parseDate(order.date);
-      const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-      
-      if (!monthlyData[monthKey]) {
-        monthlyData[monthKey] = 0;
-      }
-      monthlyData[monthKey] += parseFloat(order.amount);
+    const monthKey = monthOf(order.date);
+    
+    if (!monthlyData[monthKey]) {
+      monthlyData[monthKey] = 0;
     }
+    monthlyData[monthKey] += order.amount;
   });
   
   return monthlyData;
 }
 
-// Helper function to calculate spend in date range
+// Helper function to calculate spend in date range, both end days included
+// (orders must come from ordersForAnalysis)
 function calculateSpendInRange(orders, startDate, endDate) {
-  const start = new Date(startDate);
-  const end = new Date(endDate);
-  
   return orders
-    .filter(order => {
-      const orderDate = parseDate(order.date);
-      return orderDate >= start && orderDate <= end;
-    })
-    .reduce((total, order) => total + parseFloat(order.amount), 0);
+    .filter(order => isInRange(order.date, startDate, endDate))
+    .reduce((total, order) => total + order.amount, 0);
+}
+
+// Helper function to split spend into food, fees, taxes and discounts.
+// Only orders that report a breakdown (schema version 2 fields) contribute.
+function calculateSpendBreakdown(orders) {
+  const breakdown = {
+    items: 0,
+    fees: FEE_TYPES.reduce((acc, type) => ({ ...acc, [type]: 0 }), {}),
+    taxes: 0,
+    discounts: 0,
+    ordersWithBreakdown: 0
+  };
+
+  orders.forEach(rawOrder => {
+    const order = upgradeOrder(rawOrder);
+    const itemTotal = order.items.reduce((sum, item) => sum + (item.price || 0), 0);
+    const hasBreakdown = order.items.length > 0 || FEE_TYPES.some(type => order.fees[type] !== null);
+    if (!hasBreakdown) return;
+
+    breakdown.ordersWithBreakdown++;
+    breakdown.items += itemTotal;
+    FEE_TYPES.forEach(type => {
+      breakdown.fees[type] += order.fees[type] || 0;
+    });
+    breakdown.taxes += order.taxes || 0;
+    breakdown.discounts += order.discount.amount || 0;
+  });
+
+  return breakdown;
 }
 
 // API Routes
@@ -72,8 +279,131 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'Server is running' });
 });
 
-// Initialize Swiggy login
-app.post('/api/swiggy/login', loginLimiter, async (req, res) => {
+// Create an account
+app.post('/api/auth/signup', authLimiter, (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const problem = auth.validateCredentials(username, password);
+    
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    res.status(201).json(auth.createUser(username, password));
+  } catch (error) {
+    if (error.code === 'USERNAME_TAKEN') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Error signing up:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Log in to an account
+app.post('/api/auth/login', authLimiter, (req, res) => {
+  try {
+    const { username, password } = req.body;
+    
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    const result = auth.login(username, password);
+    if (!result) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Log out (revokes the current token)
+app.post('/api/auth/logout', requireAuth, (req, res) => {
+  try {
+    auth.logout(req.authToken);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Current user
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+// Get the current user's settings
+app.get('/api/settings', requireAuth, (req, res) => {
+  try {
+    res.json({ settings: settingsStore.getSettings(req.user.id) });
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update the current user's settings (null removes a setting)
+app.put('/api/settings', requireAuth, (req, res) => {
+  try {
+    const { settings } = req.body;
+    
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return res.status(400).json({ error: 'Settings object is required' });
+    }
+
+    const invalidKey = Object.keys(settings).find(key => !/^[a-zA-Z][a-zA-Z0-9_]{0,63}$/.test(key));
+    if (invalidKey) {
+      return res.status(400).json({ error: `Invalid setting name: ${invalidKey}` });
+    }
+    if (settings.timezone != null && !isValidTimeZone(settings.timezone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA time zone name such as Asia/Kolkata' });
+    }
+    if (settings.reportingCurrency != null && !isValidCurrency(settings.reportingCurrency)) {
+      return res.status(400).json({ error: 'reportingCurrency must be a currency code such as INR' });
+    }
+
+    const updated = settingsStore.updateSettings(req.user.id, settings);
+    // Orders with a timestamp belong to the day it falls on in the new zone
+    const redated = 'timezone' in settings ? orderStore.redateOrders(req.user.id, timeZoneOf(req.user.id)) : 0;
+    res.json({ settings: updated, redated });
+  } catch (error) {
+    console.error('Error updating settings:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Resolve the :name route parameter to a registered provider
+function resolveProvider(req, res, next) {
+  const provider = getProvider(req.params.name);
+  if (!provider) {
+    return res.status(404).json({ error: `Unknown provider: ${req.params.name}` });
+  }
+  req.provider = provider;
+  next();
+}
+
+// Helper function to reject session IDs that were created by another provider or user
+function sessionBelongsTo(sessionId, provider, user) {
+  const session = getSession(sessionId);
+  return !session || (session.platform === provider.name && session.userId === user.id);
+}
+
+// Helper function to cap a client-supplied limit; undefined leaves the scraper default in place
+function clampLimit(value, max) {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? Math.min(parsed, max) : undefined;
+}
+
+// List available providers
+app.get('/api/providers', (req, res) => {
+  res.json({ providers: listProviders() });
+});
+
+// Initialize provider login
+app.post('/api/providers/:name/login', loginLimiter, requireAuth, resolveProvider, async (req, res) => {
   try {
     const { mobileNumber } = req.body;
     
@@ -84,16 +414,22 @@ app.post('/api/swiggy/login', loginLimiter, async (req, res) => {
     // Generate session ID
     const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
-    const result = await initSwiggyLogin(mobileNumber, sessionId);
+    const result = await req.provider.login(mobileNumber, sessionId);
+
+    // Remember which account started the browser session
+    const session = getSession(sessionId);
+    if (session) {
+      session.userId = req.user.id;
+    }
     res.json(result);
   } catch (error) {
-    console.error('Error in Swiggy login:', error);
+    console.error(`Error in ${req.provider.label} login:`, error);
     res.status(500).json({ error: 'Login failed', message: error.message });
   }
 });
 
 // Submit OTP
-app.post('/api/swiggy/submit-otp', otpLimiter, async (req, res) => {
+app.post('/api/providers/:name/submit-otp', otpLimiter, requireAuth, resolveProvider, async (req, res) => {
   try {
     const { sessionId, otp } = req.body;
     
@@ -101,33 +437,59 @@ app.post('/api/swiggy/submit-otp', otpLimiter, async (req, res) => {
       return res.status(400).json({ error: 'Session ID and OTP are required' });
     }
 
-    const result = await submitOTP(sessionId, otp);
+    if (!sessionBelongsTo(sessionId, req.provider, req.user)) {
+      return res.status(400).json({ error: `Session does not belong to ${req.provider.label}` });
+    }
+
+    const result = await req.provider.submitOtp(sessionId, otp);
     res.json(result);
   } catch (error) {
-    console.error('Error submitting OTP:', error);
+    console.error(`Error submitting ${req.provider.label} OTP:`, error);
     res.status(500).json({ error: 'OTP verification failed', message: error.message });
   }
 });
 
-// Scrape orders from Swiggy
-app.post('/api/swiggy/scrape-orders', async (req, res) => {
+// Scrape orders from a provider
+app.post('/api/providers/:name/scrape-orders', requireAuth, resolveProvider, async (req, res) => {
   try {
-    const { sessionId } = req.body;
+    const { sessionId, since, maxPages, maxDurationMs } = req.body;
     
     if (!sessionId) {
       return res.status(400).json({ error: 'Session ID is required' });
     }
 
-    const result = await scrapeOrders(sessionId);
+    if (since && !/^\d{4}-\d{2}-\d{2}$/.test(since)) {
+      return res.status(400).json({ error: 'since must be a YYYY-MM-DD date' });
+    }
+
+    if (!sessionBelongsTo(sessionId, req.provider, req.user)) {
+      return res.status(400).json({ error: `Session does not belong to ${req.provider.label}` });
+    }
+
+    const result = await req.provider.scrapeOrders(sessionId, {
+      since: since || null,
+      maxPages: clampLimit(maxPages, MAX_SCRAPE_PAGES),
+      maxDurationMs: clampLimit(maxDurationMs, MAX_SCRAPE_DURATION_MS)
+    });
+
+    // Scraped orders go straight into the store; a store failure still returns the orders
+    if (result.success && result.orders?.length > 0) {
+      try {
+        result.saved = orderStore.saveOrders(req.user.id, localizeOrders(result.orders, timeZoneOf(req.user.id)));
+      } catch (error) {
+        console.error('Error saving scraped orders:', error);
+        result.saveError = error.message;
+      }
+    }
     res.json(result);
   } catch (error) {
-    console.error('Error scraping orders:', error);
+    console.error(`Error scraping ${req.provider.label} orders:`, error);
     res.status(500).json({ error: 'Order scraping failed', message: error.message });
   }
 });
 
 // Cancel/cleanup session
-app.post('/api/swiggy/cancel-session', async (req, res) => {
+app.post('/api/providers/:name/cancel-session', requireAuth, resolveProvider, async (req, res) => {
   try {
     const { sessionId } = req.body;
     
@@ -135,46 +497,760 @@ app.post('/api/swiggy/cancel-session', async (req, res) => {
       return res.status(400).json({ error: 'Session ID is required' });
     }
 
-    await cleanupSession(sessionId);
+    if (!sessionBelongsTo(sessionId, req.provider, req.user)) {
+      return res.status(400).json({ error: `Session does not belong to ${req.provider.label}` });
+    }
+
+    await req.provider.cleanup(sessionId);
     res.json({ success: true, message: 'Session cleaned up' });
   } catch (error) {
-    console.error('Error cleaning up session:', error);
+    console.error(`Error cleaning up ${req.provider.label} session:`, error);
     res.status(500).json({ error: 'Cleanup failed', message: error.message });
   }
 });
 
-// Analyze orders
-app.post('/api/analyze', (req, res) => {
+// Helper function to parse the numeric :id route parameter
+function parseOrderId(req) {
+  const id = parseInt(req.params.id, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// List stored orders
+app.get('/api/orders', requireAuth, (req, res) => {
+  try {
+    const { period, error: periodError } = readPeriod(req);
+    if (periodError) {
+      return res.status(400).json({ error: periodError });
+    }
+    res.json({ orders: orderStore.listOrders(req.user.id, period) });
+  } catch (error) {
+    console.error('Error listing orders:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get one stored order
+app.get('/api/orders/:id', requireAuth, (req, res) => {
+  try {
+    const id = parseOrderId(req);
+    const order = id && orderStore.getOrder(req.user.id, id);
+    
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json({ order });
+  } catch (error) {
+    console.error('Error loading order:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add orders to the store, merging duplicates
+app.post('/api/orders', requireAuth, (req, res) => {
   try {
     const { orders } = req.body;
     
     if (!orders || !Array.isArray(orders)) {
       return res.status(400).json({ error: 'Orders array is required' });
     }
+    const { mode, error: modeError } = normalizeValidationMode(req.body.validation);
+    if (modeError) {
+      return res.status(400).json({ error: modeError });
+    }
+
+    const summary = orderStore.saveOrders(req.user.id, localizeOrders(orders, timeZoneOf(req.user.id)), { mode });
+    if (mode === 'strict' && summary.rejected.length > 0) {
+      return res.status(400).json({ error: `${validationFailure(summary.rejected)}; nothing was saved`, summary });
+    }
+    res.json({ summary, orders: orderStore.listOrders(req.user.id) });
+  } catch (error) {
+    console.error('Error saving orders:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Import orders from uploaded Swiggy/Zomato order emails (.eml files or mbox exports)
+app.post('/api/import/emails', requireAuth, acceptFiles, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'Upload one or more .eml or mbox files as "files"' });
+    }
+    const { mode, error: modeError } = normalizeValidationMode(req.body?.validation);
+    if (modeError) {
+      return res.status(400).json({ error: modeError });
+    }
+
+    const { messages, orders, skipped } = await importEmails(req.files);
+    const summary = orderStore.saveOrders(req.user.id, localizeOrders(orders, timeZoneOf(req.user.id)), { mode });
+    if (mode === 'strict' && summary.rejected.length > 0) {
+      return res.status(400).json({ error: `${validationFailure(summary.rejected)}; nothing was saved`, messages, summary });
+    }
+    res.json({ messages, found: orders.length, skipped, summary, orders: orderStore.listOrders(req.user.id) });
+  } catch (error) {
+    console.error('Error importing emails:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Import orders from uploaded Swiggy/Zomato invoice PDFs; invoices with gaps are imported and flagged
+app.post('/api/import/invoices', requireAuth, acceptFiles, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'Upload one or more invoice PDFs as "files"' });
+    }
+    const { mode, error: modeError } = normalizeValidationMode(req.body?.validation);
+    if (modeError) {
+      return res.status(400).json({ error: modeError });
+    }
+
+    const { orders, flagged, skipped } = await importInvoices(req.files);
+    const summary = orderStore.saveOrders(req.user.id, localizeOrders(orders, timeZoneOf(req.user.id)), { mode });
+    if (mode === 'strict' && summary.rejected.length > 0) {
+      return res.status(400).json({ error: `${validationFailure(summary.rejected)}; nothing was saved`, flagged, summary });
+    }
+    res.json({ found: orders.length, flagged, skipped, summary, orders: orderStore.listOrders(req.user.id) });
+  } catch (error) {
+    console.error('Error importing invoices:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace a stored order
+app.put('/api/orders/:id', requireAuth, (req, res) => {
+  try {
+    const id = parseOrderId(req);
+    const { order } = req.body;
+    
+    if (!order || typeof order !== 'object') {
+      return res.status(400).json({ error: 'Order is required' });
+    }
+
+    const [problem] = validateOrder(order).errors;
+    if (problem) {
+      return res.status(400).json({ error: `${problem.field}: ${problem.reason}` });
+    }
+    if (order.split) {
+      const { error } = normalizeSplit(order.split, parseAmount(order.amount));
+      if (error) {
+        return res.status(400).json({ error: `split: ${error}` });
+      }
+    }
+    const claimError = checkClaimFields(order);
+    if (claimError) {
+      return res.status(400).json({ error: claimError });
+    }
+
+    const [localized] = localizeOrders([order], timeZoneOf(req.user.id));
+    const updated = id && orderStore.updateOrder(req.user.id, id, localized);
+    if (!updated) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json({ order: updated });
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      return res.status(409).json({ error: 'Another stored order already has this order ID or date, amount and restaurant' });
+    }
+    console.error('Error updating order:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark a stored order as shared (or pass split: null to make it personal again)
+app.put('/api/orders/:id/split', requireAuth, (req, res) => {
+  try {
+    const id = parseOrderId(req);
+    const order = id && orderStore.getOrder(req.user.id, id);
+    
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const { split } = req.body;
+    const { split: _previous, ...personalOrder } = order;
+    if (split === null) {
+      return res.json({ order: orderStore.updateOrder(req.user.id, id, personalOrder) });
+    }
+
+    const { split: normalized, error } = normalizeSplit(split, order.amount);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json({ order: orderStore.updateOrder(req.user.id, id, { ...personalOrder, split: normalized }) });
+  } catch (error) {
+    console.error('Error updating split:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set an order's category by hand (or pass category: null to go back to the rules)
+app.put('/api/orders/:id/category', requireAuth, (req, res) => {
+  try {
+    const id = parseOrderId(req);
+    const order = id && orderStore.getOrder(req.user.id, id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const { category } = req.body;
+    if (category === null) {
+      return res.json({ order: orderStore.updateOrder(req.user.id, id, { ...order, categorySource: null }) });
+    }
+    if (typeof category !== 'string' || !category.trim() || category.trim().length > 40) {
+      return res.status(400).json({ error: 'Category must be 1-40 characters, or null' });
+    }
+    res.json({
+      order: orderStore.updateOrder(req.user.id, id, { ...order, category: category.trim(), categorySource: 'manual' })
+    });
+  } catch (error) {
+    console.error('Error updating category:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Flag an order as reimbursable or personal by hand (reimbursable: null goes back to the rules)
+// and/or set its claim status and note
+app.put('/api/orders/:id/reimbursement', requireAuth, (req, res) => {
+  try {
+    const id = parseOrderId(req);
+    const order = id && orderStore.getOrder(req.user.id, id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const { reimbursable, status, note } = req.body;
+    const { order: changed, error } = changeReimbursement(order, { reimbursable, status, note }, todayFor(req.user.id));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json({ order: orderStore.updateOrder(req.user.id, id, changed) });
+  } catch (error) {
+    console.error('Error updating reimbursement:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the invoice files attached to an order
+app.get('/api/orders/:id/attachments', requireAuth, (req, res) => {
+  try {
+    const id = parseOrderId(req);
+
+    if (!id || !orderStore.getOrder(req.user.id, id)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json({ attachments: attachmentStore.listAttachments(req.user.id, id) });
+  } catch (error) {
+    console.error('Error listing attachments:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Attach invoice files (PDFs or images) to an order
+app.post('/api/orders/:id/attachments', requireAuth, acceptAttachments, (req, res) => {
+  try {
+    const id = parseOrderId(req);
+
+    if (!id || !orderStore.getOrder(req.user.id, id)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'Upload one or more invoice files as "files"' });
+    }
+    for (const file of req.files) {
+      if (file.mimetype !== 'application/pdf' && !file.mimetype.startsWith('image/')) {
+        return res.status(400).json({ error: `${file.originalname}: only PDFs and images can be attached` });
+      }
+    }
+
+    res.json({ attachments: attachmentStore.addAttachments(req.user.id, id, req.files) });
+  } catch (error) {
+    console.error('Error attaching files:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download an attached file
+app.get('/api/attachments/:id', requireAuth, (req, res) => {
+  try {
+    const id = parseOrderId(req);
+    const attachment = id && attachmentStore.getAttachment(req.user.id, id);
+
+    if (!attachment) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    res.attachment(attachment.fileName);
+    res.type(attachment.mimeType).send(attachment.data);
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete an attached file
+app.delete('/api/attachments/:id', requireAuth, (req, res) => {
+  try {
+    const id = parseOrderId(req);
+
+    if (!id || !attachmentStore.deleteAttachment(req.user.id, id)) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting attachment:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a stored order
+app.delete('/api/orders/:id', requireAuth, (req, res) => {
+  try {
+    const id = parseOrderId(req);
+    
+    if (!id || !orderStore.deleteOrder(req.user.id, id)) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting order:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete all stored orders
+app.delete('/api/orders', requireAuth, (req, res) => {
+  try {
+    const deleted = orderStore.deleteAllOrders(req.user.id);
+    res.json({ success: true, deleted });
+  } catch (error) {
+    console.error('Error deleting orders:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Who owes whom across shared orders in a period; ?format=csv downloads the summary
+app.get('/api/settlements', requireAuth, (req, res) => {
+  try {
+    const { format } = req.query;
+    const { period, error: periodError } = readPeriod(req);
+    if (periodError) {
+      return res.status(400).json({ error: periodError });
+    }
+    const { startDate, endDate } = period;
+    const orders = orderStore.listOrders(req.user.id, { startDate, endDate })
+      .map(reconcileSplit)
+      .filter(order => order.split);
+    const balances = calculateBalances(orders);
+    const settlement = {
+      period: { startDate, endDate },
+      orders,
+      balances,
+      transfers: settleBalances(balances)
+    };
+
+    if (format === 'csv') {
+      res.attachment(`settlement-${startDate || 'start'}-to-${endDate || 'today'}.csv`);
+      return res.type('text/csv').send(settlementToCsv(settlement));
+    }
+    res.json(settlement);
+  } catch (error) {
+    console.error('Error calculating settlement:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Export a statement of the stored orders for a month or date range (JSON, CSV, XLSX or PDF);
+// ?scope=personal or reimbursable keeps only those orders
+app.get('/api/statement', requireAuth, async (req, res) => {
+  try {
+    const { format = 'json', scope = 'all' } = req.query;
+
+    if (!STATEMENT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${STATEMENT_FORMATS.join(', ')}` });
+    }
+    if (!STATEMENT_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `scope must be one of ${STATEMENT_SCOPES.join(', ')}` });
+    }
+    const { period, error } = readPeriod(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const inScope = orderStore.listOrders(req.user.id, period)
+      .filter(order => scope === 'all' || Boolean(order.reimbursable) === (scope === 'reimbursable'));
+    const { orders, currency, unconverted, validation } = ordersForAnalysis(req.user.id, inScope);
+    const statement = buildStatement(orders, {
+      period,
+      scope,
+      currency,
+      generatedOn: todayFor(req.user.id),
+      leftOut: { invalid: validation.excluded, unconverted: unconverted.length }
+    });
+    const fileName = statementFileName(statement);
+
+    if (format === 'csv') {
+      res.attachment(`${fileName}.csv`);
+      return res.type('text/csv').send(statementToCsv(statement));
+    }
+    if (format === 'xlsx') {
+      res.attachment(`${fileName}.xlsx`);
+      return res.send(await statementToXlsx(statement));
+    }
+    if (format === 'pdf') {
+      res.attachment(`${fileName}.pdf`);
+      return res.send(await statementToPdf(statement));
+    }
+    res.json(statement);
+  } catch (error) {
+    console.error('Error exporting statement:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Claims report of the reimbursable orders in a month or date range; ?status= keeps one claim
+// status and ?format=csv downloads it
+app.get('/api/claims', requireAuth, (req, res) => {
+  try {
+    const { status, format = 'json' } = req.query;
+
+    if (status !== undefined && !CLAIM_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${CLAIM_STATUSES.join(', ')}` });
+    }
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ error: 'format must be one of json, csv' });
+    }
+    const { period, error } = readPeriod(req);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const claimed = orderStore.listOrders(req.user.id, period).filter(order => order.reimbursable);
+    const { orders, currency, unconverted, validation } = ordersForAnalysis(req.user.id, claimed);
+    const report = {
+      ...buildClaimsReport(orders, {
+        period,
+        currency,
+        status,
+        generatedOn: todayFor(req.user.id),
+        attachments: attachmentStore.attachmentsByOrder(req.user.id)
+      }),
+      leftOut: { invalid: validation.excluded, unconverted: unconverted.length }
+    };
+
+    if (format === 'csv') {
+      res.attachment(period.month
+        ? `claims-${period.month}.csv`
+        : `claims-${period.startDate || 'start'}-to-${period.endDate || 'today'}.csv`);
+      return res.type('text/csv').send(claimsToCsv(report));
+    }
+    res.json(report);
+  } catch (error) {
+    console.error('Error building claims report:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set the claim status of several reimbursable orders at once, e.g. when a claim is submitted
+app.put('/api/claims/status', requireAuth, (req, res) => {
+  try {
+    const { ids, status } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ error: 'ids must be a list of order IDs' });
+    }
+    if (new Set(ids).size !== ids.length) {
+      return res.status(400).json({ error: 'ids must not repeat an order ID' });
+    }
+    if (!CLAIM_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${CLAIM_STATUSES.join(', ')}` });
+    }
+
+    const today = todayFor(req.user.id);
+    const changed = [];
+    for (const id of ids) {
+      const order = Number.isInteger(id) && orderStore.getOrder(req.user.id, id);
+      if (!order) {
+        return res.status(404).json({ error: `Order ${id} not found` });
+      }
+      const { order: updated, error } = changeReimbursement(order, { status }, today);
+      if (error) {
+        return res.status(400).json({ error: `Order ${id}: ${error}` });
+      }
+      changed.push(updated);
+    }
+
+    res.json({ orders: orderStore.updateOrders(req.user.id, changed) });
+  } catch (error) {
+    console.error('Error updating claims:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the category rules, highest priority first
+app.get('/api/categories/rules', requireAuth, (req, res) => {
+  try {
+    res.json({ rules: categoryStore.listRules(req.user.id) });
+  } catch (error) {
+    console.error('Error loading category rules:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the category rules and re-tag stored orders with them
+app.put('/api/categories/rules', requireAuth, (req, res) => {
+  try {
+    const { rules } = req.body;
+
+    if (!Array.isArray(rules)) {
+      return res.status(400).json({ error: 'Rules array is required' });
+    }
+
+    const normalized = [];
+    for (const [index, rule] of rules.entries()) {
+      const { rule: checked, error } = normalizeRule(rule);
+      if (error) {
+        return res.status(400).json({ error: `Rule ${index + 1}: ${error}` });
+      }
+      normalized.push(checked);
+    }
+
+    const stored = categoryStore.replaceRules(req.user.id, normalized);
+    res.json({ rules: stored, recategorized: orderStore.recategorizeOrders(req.user.id) });
+  } catch (error) {
+    console.error('Error saving category rules:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the reimbursement rules, highest priority first
+app.get('/api/reimbursements/rules', requireAuth, (req, res) => {
+  try {
+    res.json({ rules: reimbursementRuleStore.listRules(req.user.id) });
+  } catch (error) {
+    console.error('Error loading reimbursement rules:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the reimbursement rules and re-flag stored orders with them
+app.put('/api/reimbursements/rules', requireAuth, (req, res) => {
+  try {
+    const { rules } = req.body;
+
+    if (!Array.isArray(rules)) {
+      return res.status(400).json({ error: 'Rules array is required' });
+    }
+
+    const normalized = [];
+    for (const [index, rule] of rules.entries()) {
+      const { rule: checked, error } = normalizeReimbursementRule(rule);
+      if (error) {
+        return res.status(400).json({ error: `Rule ${index + 1}: ${error}` });
+      }
+      normalized.push(checked);
+    }
+
+    const stored = reimbursementRuleStore.replaceRules(req.user.id, normalized);
+    res.json({ rules: stored, reflagged: orderStore.reflagOrders(req.user.id) });
+  } catch (error) {
+    console.error('Error saving reimbursement rules:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the budgets with this month's budget-vs-actual status and warnings
+app.get('/api/budgets', requireAuth, (req, res) => {
+  try {
+    const budgets = budgetStore.listBudgets(req.user.id);
+    const { orders, currency } = ordersForAnalysis(req.user.id, orderStore.listOrders(req.user.id));
+    const rates = exchangeRateStore.listRates(req.user.id);
+    const report = calculateBudgetReport(orders, budgets, todayFor(req.user.id), { currency, rates });
+    res.json({ budgets, currency, current: report.current, warnings: report.warnings });
+  } catch (error) {
+    console.error('Error loading budgets:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the budgets
+app.put('/api/budgets', requireAuth, (req, res) => {
+  try {
+    const { budgets } = req.body;
+
+    if (!Array.isArray(budgets)) {
+      return res.status(400).json({ error: 'Budgets array is required' });
+    }
+
+    const normalized = [];
+    const seen = new Set();
+    const reportingCurrency = reportingCurrencyOf(req.user.id);
+    for (const [index, budget] of budgets.entries()) {
+      const { budget: checked, error } = normalizeBudget(budget, reportingCurrency);
+      if (error) {
+        return res.status(400).json({ error: `Budget ${index + 1}: ${error}` });
+      }
+      const key = [checked.month, checked.scope, (checked.scopeValue || '').toLowerCase()].join('|');
+      if (seen.has(key)) {
+        return res.status(400).json({ error: `Budget ${index + 1}: duplicates an earlier budget` });
+      }
+      seen.add(key);
+      normalized.push(checked);
+    }
+
+    const stored = budgetStore.replaceBudgets(req.user.id, normalized);
+    const { orders, currency } = ordersForAnalysis(req.user.id, orderStore.listOrders(req.user.id));
+    const rates = exchangeRateStore.listRates(req.user.id);
+    const report = calculateBudgetReport(orders, stored, todayFor(req.user.id), { currency, rates });
+    res.json({ budgets: stored, currency, current: report.current, warnings: report.warnings });
+  } catch (error) {
+    console.error('Error saving budgets:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the paid memberships
+app.get('/api/memberships', requireAuth, (req, res) => {
+  try {
+    res.json({ memberships: membershipStore.listMemberships(req.user.id) });
+  } catch (error) {
+    console.error('Error loading memberships:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the paid memberships
+app.put('/api/memberships', requireAuth, (req, res) => {
+  try {
+    const { memberships } = req.body;
+
+    if (!Array.isArray(memberships)) {
+      return res.status(400).json({ error: 'Memberships array is required' });
+    }
+
+    const normalized = [];
+    const reportingCurrency = reportingCurrencyOf(req.user.id);
+    for (const [index, membership] of memberships.entries()) {
+      const { membership: checked, error } = normalizeMembership(membership, reportingCurrency);
+      if (error) {
+        return res.status(400).json({ error: `Membership ${index + 1}: ${error}` });
+      }
+      normalized.push(checked);
+    }
+
+    res.json({ memberships: membershipStore.replaceMemberships(req.user.id, normalized) });
+  } catch (error) {
+    console.error('Error saving memberships:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the exchange rates used to convert orders into the reporting currency
+app.get('/api/exchange-rates', requireAuth, (req, res) => {
+  try {
+    res.json({ reportingCurrency: reportingCurrencyOf(req.user.id), rates: exchangeRateStore.listRates(req.user.id) });
+  } catch (error) {
+    console.error('Error loading exchange rates:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the exchange rates
+app.put('/api/exchange-rates', requireAuth, (req, res) => {
+  try {
+    const { rates } = req.body;
+
+    if (!Array.isArray(rates)) {
+      return res.status(400).json({ error: 'Rates array is required' });
+    }
+
+    const normalized = [];
+    for (const [index, entry] of rates.entries()) {
+      const { rate, error } = normalizeRate(entry);
+      if (error) {
+        return res.status(400).json({ error: `Rate ${index + 1}: ${error}` });
+      }
+      normalized.push(rate);
+    }
+
+    res.json({ reportingCurrency: reportingCurrencyOf(req.user.id), rates: exchangeRateStore.replaceRates(req.user.id, normalized) });
+  } catch (error) {
+    console.error('Error saving exchange rates:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Analyze orders (stored orders unless the request body carries its own)
+app.post('/api/analyze', requireAuth, (req, res) => {
+  try {
+    const { orders: sentOrders = orderStore.listOrders(req.user.id), topN, validation: requestedMode } = req.body || {};
+    
+    if (!sentOrders || !Array.isArray(sentOrders)) {
+      return res.status(400).json({ error: 'Orders array is required' });
+    }
+    const { mode, error: modeError } = normalizeValidationMode(requestedMode);
+    if (modeError) {
+      return res.status(400).json({ error: modeError });
+    }
+
+    // Totals are in the reporting currency and leave out the orders that fail validation
+    const { orders, currency, byCurrency, unconverted, positions, validation } = ordersForAnalysis(req.user.id, sentOrders, mode);
+    if (validation.rejected) {
+      return res.status(400).json({ error: validationFailure(validation.errors), validation });
+    }
     
     // Calculate total spend
-    const totalSpend = orders.reduce((sum, order) => sum + parseFloat(order.amount || 0), 0);
+    const totalSpend = orders.reduce((sum, order) => sum + order.amount, 0);
     
     // Calculate monthly spend
     const monthlySpend = calculateMonthlySpend(orders);
     
+    // Rolling averages and month-to-month change
+    const trends = calculateTrends(monthlySpend, { currentMonth: todayFor(req.user.id).slice(0, 7) });
+
     // Calculate average order value
     const averageOrderValue = orders.length > 0 ? totalSpend / orders.length : 0;
+
+    // Split spend into food vs fees where orders carry a breakdown
+    const spendBreakdown = calculateSpendBreakdown(orders);
+
+    // Spend per category; orders sent without a category are tagged with the rules on the fly
+    const rules = categoryStore.listRules(req.user.id);
+    const taggedOrders = orders.map(order => (order.category ? order : applyCategory(rules, order)));
+    const categoryBreakdown = calculateCategoryBreakdown(taggedOrders);
+
+    // Personal vs reimbursable spend; orders sent without a flag are flagged with the rules on the fly
+    const reimbursementRules = reimbursementRuleStore.listRules(req.user.id);
+    const reimbursement = calculateReimbursementSplit(orders.map(order =>
+      (typeof order.reimbursable === 'boolean' ? order : applyReimbursement(reimbursementRules, order))));
     
     // Find date range
-    const dates = orders.map(o => parseDate(o.date)).filter(d => !isNaN(d));
-    const minDate = dates.length > 0 ? new Date(Math.min(...dates)) : null;
-    const maxDate = dates.length > 0 ? new Date(Math.max(...dates)) : null;
+    const dates = orders.map(o => o.date).filter(date => toLocalDate(date) === date).sort();
+
+    // Budgets and membership costs in another currency are converted like the orders
+    const rates = exchangeRateStore.listRates(req.user.id);
     
     res.json({
       totalSpend: totalSpend.toFixed(2),
       monthlySpend,
+      trends,
       averageOrderValue: averageOrderValue.toFixed(2),
       orderCount: orders.length,
+      spendBreakdown,
+      categoryBreakdown,
+      reimbursement,
+      restaurantStats: calculateRestaurantStats(orders, {
+        topN: clampLimit(topN, 50) || 10,
+        currentMonth: todayFor(req.user.id).slice(0, 7)
+      }),
+      budgetReport: calculateBudgetReport(taggedOrders, budgetStore.listBudgets(req.user.id), todayFor(req.user.id), { currency, rates }),
+      anomalies: atSentPositions(detectAnomalies(orders, { months: trends.months, currency }), positions),
+      savings: calculateSavings(orders, membershipStore.listMemberships(req.user.id), { currency, rates }),
       dateRange: {
-        start: minDate ? minDate.toISOString().split('T')[0] : null,
-        end: maxDate ? maxDate.toISOString().split('T')[0] : null
-      }
+        start: dates.length > 0 ? dates[0] : null,
+        end: dates.length > 0 ? dates[dates.length - 1] : null
+      },
+      currency: { reporting: currency, byCurrency, unconverted },
+      validation
     });
   } catch (error) {
     console.error('Error analyzing orders:', error);
@@ -182,26 +1258,45 @@ app.post('/api/analyze', (req, res) => {
   }
 });
 
-// Analyze orders in specific date range
-app.post('/api/analyze-range', (req, res) => {
+// Analyze orders in specific date range (stored orders unless the request body carries its own)
+app.post('/api/analyze-range', requireAuth, (req, res) => {
   try {
-    const { orders, startDate, endDate } = req.body;
+    const {
+      orders: sentOrders = orderStore.listOrders(req.user.id),
+      startDate: start,
+      endDate: end,
+      validation: requestedMode
+    } = req.body || {};
     
-    if (!orders || !Array.isArray(orders)) {
+    if (!sentOrders || !Array.isArray(sentOrders)) {
       return res.status(400).json({ error: 'Orders array is required' });
     }
+    const { mode, error: modeError } = normalizeValidationMode(requestedMode);
+    if (modeError) {
+      return res.status(400).json({ error: modeError });
+    }
     
-    if (!startDate || !endDate) {
+    if (!start || !end) {
       return res.status(400).json({ error: 'Start date and end date are required' });
     }
-    
+
+    // Both days are included in full, in the user's time zone
+    const timeZone = timeZoneOf(req.user.id);
+    const startDate = toLocalDate(start, timeZone);
+    const endDate = toLocalDate(end, timeZone);
+    if (!startDate || !endDate) {
+      return res.status(400).json({ error: 'Start date and end date must be valid dates (YYYY-MM-DD)' });
+    }
+    if (startDate > endDate) {
+      return res.status(400).json({ error: 'Start date must not be after end date' });
+    }
+
+    const { orders, currency, validation } = ordersForAnalysis(req.user.id, sentOrders, mode);
+    if (validation.rejected) {
+      return res.status(400).json({ error: validationFailure(validation.errors), validation });
+    }
     const spendInRange = calculateSpendInRange(orders, startDate, endDate);
-    const filteredOrders = orders.filter(order => {
-      const orderDate = parseDate(order.date);
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-      return orderDate >= start && orderDate <= end;
-    });
+    const filteredOrders = orders.filter(order => isInRange(order.date, startDate, endDate));
     
     const monthlySpend = calculateMonthlySpend(filteredOrders);
     
@@ -212,7 +1307,9 @@ app.post('/api/analyze-range', (req, res) => {
       dateRange: {
         start: startDate,
         end: endDate
-      }
+      },
+      currency,
+      validation
     });
   } catch (error) {
     console.error('Error analyzing date range:', error);
@@ -220,6 +1317,69 @@ app.post('/api/analyze-range', (req, res) => {
   }
 });
 
+// Forecast the coming months (stored orders unless the request body carries its own)
+app.post('/api/forecast', requireAuth, (req, res) => {
+  try {
+    const { orders: sentOrders = orderStore.listOrders(req.user.id), months = 3, validation: requestedMode } = req.body || {};
+
+    if (!sentOrders || !Array.isArray(sentOrders)) {
+      return res.status(400).json({ error: 'Orders array is required' });
+    }
+    const { mode, error: modeError } = normalizeValidationMode(requestedMode);
+    if (modeError) {
+      return res.status(400).json({ error: modeError });
+    }
+    if (!Number.isInteger(months) || months < 1 || months > MAX_HORIZON) {
+      return res.status(400).json({ error: `months must be a whole number from 1 to ${MAX_HORIZON}` });
+    }
+
+    // The month in progress would read as a drop in spend, so only complete months are used;
+    // quiet months up to last month count as zero spend
+    const currentMonth = todayFor(req.user.id).slice(0, 7);
+    const { orders, currency, validation } = ordersForAnalysis(req.user.id, sentOrders, mode);
+    if (validation.rejected) {
+      return res.status(400).json({ error: validationFailure(validation.errors), validation });
+    }
+    const monthlySpend = calculateMonthlySpend(orders);
+    const lastComplete = addMonths(currentMonth, -1);
+    if (Object.keys(monthlySpend).some(month => month < lastComplete)) {
+      monthlySpend[lastComplete] = monthlySpend[lastComplete] || 0;
+    }
+    const history = calculateTrends(monthlySpend).months
+      .filter(entry => entry.month < currentMonth)
+      .map(({ month, spend }) => ({ month, spend }));
+
+    res.json({ currency, validation, history, ...forecastSpend(history, months) });
+  } catch (error) {
+    console.error('Error forecasting spend:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Spend by hour, weekday and meal slot (stored orders unless the request body carries its own)
+app.post('/api/analyze-patterns', requireAuth, (req, res) => {
+  try {
+    const { orders = orderStore.listOrders(req.user.id), validation: requestedMode } = req.body || {};
+
+    if (!orders || !Array.isArray(orders)) {
+      return res.status(400).json({ error: 'Orders array is required' });
+    }
+    const { mode, error: modeError } = normalizeValidationMode(requestedMode);
+    if (modeError) {
+      return res.status(400).json({ error: modeError });
+    }
+
+    const { orders: converted, currency, validation } = ordersForAnalysis(req.user.id, orders, mode);
+    if (validation.rejected) {
+      return res.status(400).json({ error: validationFailure(validation.errors), validation });
+    }
+    res.json({ currency, validation, ...calculateSpendingPatterns(converted) });
+  } catch (error) {
+    console.error('Error analyzing spending patterns:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
 });
@@ -0,0 +1,48 @@
+const db = require('./db');
+
+/**
+ * Per-user settings, stored as one JSON value per key
+ */
+
+const statements = {
+  list: db.prepare('SELECT key, value FROM user_settings WHERE user_id = ?'),
+  upsert: db.prepare(`
+    INSERT INTO user_settings (user_id, key, value) VALUES (?, ?, ?)
+    ON CONFLICT (user_id, key) DO UPDATE SET value = excluded.value
+  `),
+  remove: db.prepare('DELETE FROM user_settings WHERE user_id = ? AND key = ?')
+};
+
+/**
+ * Get all settings of a user
+ * @param {number} userId - Owner of the settings
+ * @returns {Object} Settings keyed by name
+ */
+function getSettings(userId) {
+  return statements.list.all(userId).reduce((settings, row) => {
+    settings[row.key] = JSON.parse(row.value);
+    return settings;
+  }, {});
+}
+
+/**
+ * Merge settings into a user's settings; a null value removes the key
+ * @param {number} userId - Owner of the settings
+ * @param {Object} changes - Settings to set
+ * @returns {Object} All settings after the update
+ */
+const updateSettings = db.transaction((userId, changes) => {
+  Object.entries(changes).forEach(([key, value]) => {
+    if (value === null) {
+      statements.remove.run(userId, key);
+    } else {
+      statements.upsert.run(userId, key, JSON.stringify(value));
+    }
+  });
+  return getSettings(userId);
+});
+
+module.exports = {
+  getSettings,
+  updateSettings
+};
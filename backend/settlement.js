@@ -0,0 +1,203 @@
+/**
+ * Shared orders and "who owes whom" settlement.
+ *
+ * An order is shared when it carries a split:
+ *   {
+ *     paidBy: 'Asha',
+ *     mode: 'equal' | 'custom',
+ *     participants: [{name: 'Asha', share: 150}, {name: 'Ravi', share: 200}]
+ *   }
+ * `share` is what each participant's part of the order cost. The payer is normally one of the
+ * participants too. For equal splits the shares are computed here, in paise, with any leftover
+ * paise going to the first participants so the shares always add up to the order amount.
+ *
+ * Friends settle in the currency they paid in, so nothing is converted: balances and the payments
+ * that settle them are worked out separately for each currency.
+ */
+
+const { DEFAULT_CURRENCY } = require('./currency');
+const { csvField } = require('./helpers');
+
+const toPaise = (amount) => Math.round(parseFloat(amount) * 100);
+const fromPaise = (paise) => paise / 100;
+
+/**
+ * Validate a split against its order amount and fill in equal shares
+ * @param {Object} split - Split as sent by the client
+ * @param {number} amount - Order amount
+ * @returns {{split: Object|null, error: string|null}}
+ */
+function normalizeSplit(split, amount) {
+  if (!split || typeof split !== 'object') {
+    return { split: null, error: 'Split must be an object' };
+  }
+
+  const paidBy = typeof split.paidBy === 'string' ? split.paidBy.trim() : '';
+  if (!paidBy) {
+    return { split: null, error: 'paidBy is required' };
+  }
+
+  const mode = split.mode || 'equal';
+  if (mode !== 'equal' && mode !== 'custom') {
+    return { split: null, error: 'mode must be "equal" or "custom"' };
+  }
+
+  const participants = Array.isArray(split.participants) ? split.participants : [];
+  const names = participants.map(p => (typeof p?.name === 'string' ? p.name.trim() : ''));
+  if (names.length === 0 || names.some(name => !name)) {
+    return { split: null, error: 'Every participant needs a name' };
+  }
+  if (new Set(names.map(name => name.toLowerCase())).size !== names.length) {
+    return { split: null, error: 'Participant names must be unique' };
+  }
+
+  const totalPaise = toPaise(amount);
+  let sharesPaise;
+
+  if (mode === 'equal') {
+    const base = Math.floor(totalPaise / names.length);
+    const remainder = totalPaise - base * names.length;
+    sharesPaise = names.map((_, index) => base + (index < remainder ? 1 : 0));
+  } else {
+    sharesPaise = participants.map(p => toPaise(p.share));
+    if (sharesPaise.some(share => isNaN(share) || share < 0)) {
+      return { split: null, error: 'Custom shares must be non-negative amounts' };
+    }
+    const sum = sharesPaise.reduce((acc, share) => acc + share, 0);
+    if (sum !== totalPaise) {
+      return {
+        split: null,
+        error: `Custom shares add up to ${fromPaise(sum).toFixed(2)}, order amount is ${fromPaise(totalPaise).toFixed(2)}`
+      };
+    }
+  }
+
+  return {
+    split: {
+      paidBy,
+      mode,
+      participants: names.map((name, index) => ({ name, share: fromPaise(sharesPaise[index]) }))
+    },
+    error: null
+  };
+}
+
+/**
+ * Check an order's split against its current amount: equal shares are worked out again, and a
+ * split that is no longer valid (custom shares that do not add up to a changed amount) is dropped
+ * @param {Object} order
+ * @returns {Object} The order with a valid split, or without one
+ */
+function reconcileSplit(order) {
+  if (!order.split) return order;
+  const { split: _previous, ...personalOrder } = order;
+  const { split } = normalizeSplit(order.split, order.amount);
+  return split ? { ...personalOrder, split } : personalOrder;
+}
+
+/**
+ * Net balance per person and currency over the shared orders: positive means the person is owed money
+ * @param {Array<Object>} orders - Orders, of which only those with a valid split count
+ * @returns {Array<{name: string, currency: string, paid: number, share: number, balance: number}>}
+ *   Sorted by currency, then by balance, highest first
+ */
+function calculateBalances(orders) {
+  const people = new Map();
+  const person = (name, currency) => {
+    const key = `${currency}:${name.toLowerCase()}`;
+    if (!people.has(key)) {
+      people.set(key, { name, currency, paidPaise: 0, sharePaise: 0 });
+    }
+    return people.get(key);
+  };
+
+  orders.map(reconcileSplit).filter(order => order.split).forEach(order => {
+    const currency = order.currency || DEFAULT_CURRENCY;
+    person(order.split.paidBy, currency).paidPaise += toPaise(order.amount);
+    order.split.participants.forEach(participant => {
+      person(participant.name, currency).sharePaise += toPaise(participant.share);
+    });
+  });
+
+  return Array.from(people.values())
+    .map(({ name, currency, paidPaise, sharePaise }) => ({
+      name,
+      currency,
+      paid: fromPaise(paidPaise),
+      share: fromPaise(sharePaise),
+      balance: fromPaise(paidPaise - sharePaise)
+    }))
+    .sort((a, b) => a.currency.localeCompare(b.currency) || b.balance - a.balance);
+}
+
+/**
+ * Turn balances into a short list of payments that settles everyone up, currency by currency,
+ * by repeatedly matching the largest debtor with the largest creditor
+ * @param {Array<{name: string, currency: string, balance: number}>} balances
+ * @returns {Array<{from: string, to: string, currency: string, amount: number}>}
+ */
+function settleBalances(balances) {
+  const currencies = [...new Set(balances.map(b => b.currency))];
+  return currencies.flatMap(currency => settleCurrency(balances.filter(b => b.currency === currency))
+    .map(({ from, to, amount }) => ({ from, to, currency, amount })));
+}
+
+// Helper function to settle the balances of one currency
+function settleCurrency(balances) {
+  const creditors = balances.filter(b => b.balance > 0).map(b => ({ name: b.name, paise: toPaise(b.balance) }));
+  const debtors = balances.filter(b => b.balance < 0).map(b => ({ name: b.name, paise: -toPaise(b.balance) }));
+  const transfers = [];
+
+  while (creditors.length > 0 && debtors.length > 0) {
+    creditors.sort((a, b) => b.paise - a.paise);
+    debtors.sort((a, b) => b.paise - a.paise);
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const paise = Math.min(creditor.paise, debtor.paise);
+
+    transfers.push({ from: debtor.name, to: creditor.name, amount: fromPaise(paise) });
+    creditor.paise -= paise;
+    debtor.paise -= paise;
+    if (creditor.paise === 0) creditors.shift();
+    if (debtor.paise === 0) debtors.shift();
+  }
+
+  return transfers;
+}
+
+/**
+ * Settlement summary as CSV: shared orders, balances and the payments to make
+ * @param {Object} settlement - Result of the /api/settlements endpoint
+ * @returns {string}
+ */
+function settlementToCsv({ period, orders, balances, transfers }) {
+  const rows = [
+    ['Settlement', period.startDate || 'all time', period.endDate || ''],
+    [],
+    ['Date', 'Restaurant', 'Currency', 'Amount', 'Paid by', 'Split'],
+    ...orders.map(order => [
+      order.date,
+      order.restaurant,
+      order.currency || DEFAULT_CURRENCY,
+      order.amount,
+      order.split.paidBy,
+      order.split.participants.map(p => `${p.name} ${p.share.toFixed(2)}`).join('; ')
+    ]),
+    [],
+    ['Person', 'Currency', 'Paid', 'Share', 'Balance'],
+    ...balances.map(b => [b.name, b.currency, b.paid.toFixed(2), b.share.toFixed(2), b.balance.toFixed(2)]),
+    [],
+    ['From', 'To', 'Currency', 'Amount'],
+    ...transfers.map(t => [t.from, t.to, t.currency, t.amount.toFixed(2)])
+  ];
+
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  normalizeSplit,
+  reconcileSplit,
+  calculateBalances,
+  settleBalances,
+  settlementToCsv
+};
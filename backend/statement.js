@@ -0,0 +1,493 @@
+/**
+ * Statements: the orders of a period with computed columns, plus the summary shown on the analysis
+ * page (stats cards, spend per month, top restaurants and categories), exported as CSV, XLSX or PDF.
+ *
+ * A statement covers all orders, or only the personal or the reimbursable ones (scope); the
+ * reimbursable scope is titled as a claim, to hand in with a meal reimbursement.
+ *
+ * Every amount is in the reporting currency; orders converted from another currency keep their
+ * original amount, currency and rate in their own columns. The standard PDF fonts have no ₹ glyph,
+ * so the PDF writes amounts with the currency code ("INR 1,240.50").
+ */
+
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { FEE_TYPES } = require('./order-schema');
+const { WEEKDAYS } = require('./patterns');
+const { weekdayOf, monthOf, monthRange } = require('./dates');
+const { calculateRestaurantStats } = require('./restaurant-stats');
+const { calculateCategoryBreakdown } = require('./categories');
+const { round2, sumOf, csvField } = require('./helpers');
+
+const STATEMENT_FORMATS = ['json', 'csv', 'xlsx', 'pdf'];
+const STATEMENT_SCOPES = ['all', 'personal', 'reimbursable'];
+
+const TITLES = {
+  all: 'Food delivery statement',
+  personal: 'Personal food delivery statement',
+  reimbursable: 'Meal reimbursement claim'
+};
+
+// Order columns of the CSV and XLSX exports; `money` columns are in the reporting currency
+const ORDER_COLUMNS = [
+  { key: 'date', header: 'Date', width: 12 },
+  { key: 'weekday', header: 'Weekday', width: 9 },
+  { key: 'time', header: 'Time', width: 7 },
+  { key: 'platform', header: 'Platform', width: 10 },
+  { key: 'orderId', header: 'Order ID', width: 16 },
+  { key: 'restaurant', header: 'Restaurant', width: 28 },
+  { key: 'category', header: 'Category', width: 16 },
+  { key: 'itemCount', header: 'Items', width: 7 },
+  { key: 'itemsTotal', header: 'Food & items', width: 13, money: true },
+  { key: 'fees', header: 'Fees & tips', width: 12, money: true },
+  { key: 'taxes', header: 'Taxes', width: 10, money: true },
+  { key: 'discount', header: 'Discount', width: 10, money: true },
+  { key: 'amount', header: 'Total', width: 12, money: true },
+  { key: 'runningTotal', header: 'Running total', width: 14, money: true },
+  { key: 'originalAmount', header: 'Original amount', width: 15 },
+  { key: 'originalCurrency', header: 'Original currency', width: 16 },
+  { key: 'exchangeRate', header: 'Exchange rate', width: 13 },
+  { key: 'paymentMethod', header: 'Payment method', width: 15 },
+  { key: 'deliveryAddressLabel', header: 'Address', width: 12 },
+  { key: 'claimStatus', header: 'Claim', width: 10 }
+];
+
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+// Helper function to add up the known values, or null when none is known
+function knownTotal(values) {
+  const known = values.filter(isNumber);
+  return known.length > 0 ? round2(sumOf(known)) : null;
+}
+
+function statementRow(order, runningTotal) {
+  const items = Array.isArray(order.items) ? order.items : [];
+  const time = String(order.timestamp || '').match(/T(\d{2}:\d{2})/);
+
+  return {
+    date: order.date,
+    weekday: WEEKDAYS[weekdayOf(order.date)],
+    time: time ? time[1] : null,
+    platform: order.platform || null,
+    orderId: order.orderId || null,
+    restaurant: order.restaurant || 'Unknown',
+    category: order.category || null,
+    itemCount: items.length > 0 ? sumOf(items.map(item => item.quantity || 1)) : null,
+    itemsTotal: knownTotal(items.map(item => item.price)),
+    fees: knownTotal(FEE_TYPES.map(type => order.fees?.[type])),
+    taxes: isNumber(order.taxes) ? order.taxes : null,
+    discount: isNumber(order.discount?.amount) ? order.discount.amount : null,
+    amount: order.amount,
+    runningTotal,
+    originalAmount: order.originalAmount ?? null,
+    originalCurrency: order.originalCurrency || null,
+    exchangeRate: order.exchangeRate ?? null,
+    paymentMethod: order.paymentMethod || null,
+    deliveryAddressLabel: order.deliveryAddressLabel || null,
+    claimStatus: order.reimbursable ? order.claim?.status || 'pending' : null
+  };
+}
+
+/**
+ * Build a statement
+ * @param {Array<Object>} orders - Validated orders with localized dates, in the reporting currency
+ * @param {Object} options
+ * @param {{month: string|null, startDate: string|null, endDate: string|null}} options.period - Inclusive
+ *   dates, null for open ends; `month` is set when the statement covers one calendar month
+ * @param {string} [options.scope='all'] - Which orders the statement covers (see STATEMENT_SCOPES);
+ *   the orders are expected to be filtered already
+ * @param {string} options.currency - Reporting currency
+ * @param {string} options.generatedOn - YYYY-MM-DD
+ * @param {number} [options.topN=10] - Length of the top restaurant list
+ * @param {{invalid: number, unconverted: number}} [options.leftOut] - Orders of the period left out
+ *   of the statement because they failed validation or had no exchange rate
+ * @returns {Object} period, scope, title, currency, generatedOn, summary, months, topRestaurants, categories,
+ *   orders (rows with the ORDER_COLUMNS keys) and leftOut
+ */
+function buildStatement(orders, { period, scope = 'all', currency, generatedOn, topN = 10, leftOut = { invalid: 0, unconverted: 0 } }) {
+  const sorted = [...orders].sort((a, b) => a.date.localeCompare(b.date) ||
+    String(a.timestamp || '').localeCompare(String(b.timestamp || '')));
+  let running = 0;
+  const rows = sorted.map(order => {
+    running = round2(running + order.amount);
+    return statementRow(order, running);
+  });
+
+  const totalSpend = round2(sumOf(rows.map(row => row.amount)));
+  const spendByMonth = new Map();
+  rows.forEach(row => {
+    const month = monthOf(row.date);
+    const entry = spendByMonth.get(month) || { orderCount: 0, spend: 0 };
+    entry.orderCount++;
+    entry.spend += row.amount;
+    spendByMonth.set(month, entry);
+  });
+  const monthKeys = [...spendByMonth.keys()].sort();
+  const months = monthKeys.length === 0 ? [] : monthRange(monthKeys[0], monthKeys[monthKeys.length - 1])
+    .map(month => {
+      const entry = spendByMonth.get(month) || { orderCount: 0, spend: 0 };
+      return { month, orderCount: entry.orderCount, spend: round2(entry.spend) };
+    });
+
+  const { restaurants } = calculateRestaurantStats(sorted, { topN });
+
+  return {
+    period,
+    scope,
+    title: TITLES[scope],
+    currency,
+    generatedOn,
+    summary: {
+      totalSpend,
+      orderCount: rows.length,
+      averageOrderValue: rows.length > 0 ? round2(totalSpend / rows.length) : 0,
+      itemsTotal: round2(sumOf(rows.map(row => row.itemsTotal || 0))),
+      fees: round2(sumOf(rows.map(row => row.fees || 0))),
+      taxes: round2(sumOf(rows.map(row => row.taxes || 0))),
+      discounts: round2(sumOf(rows.map(row => row.discount || 0)))
+    },
+    months,
+    topRestaurants: restaurants.slice(0, topN)
+      .map(({ restaurant, orderCount, totalSpend: spend, averageTicket }) => ({ restaurant, orderCount, spend, averageTicket })),
+    categories: calculateCategoryBreakdown(sorted).map(entry => ({
+      ...entry,
+      share: totalSpend > 0 ? round2(entry.total / totalSpend) : 0
+    })),
+    orders: rows,
+    leftOut
+  };
+}
+
+/**
+ * Name for the exported file, without the extension
+ */
+function statementFileName({ period, scope }) {
+  const prefix = { all: 'statement', personal: 'personal-statement', reimbursable: 'claim' }[scope];
+  return period.month
+    ? `${prefix}-${period.month}`
+    : `${prefix}-${period.startDate || 'start'}-to-${period.endDate || 'today'}`;
+}
+
+/**
+ * The statement's orders as CSV, one row per order with the computed columns
+ * @returns {string}
+ */
+function statementToCsv(statement) {
+  const header = ORDER_COLUMNS.map(column => column.money ? `${column.header} (${statement.currency})` : column.header);
+  const rows = statement.orders.map(row => ORDER_COLUMNS.map(({ key, money }) => {
+    const value = row[key];
+    return money && isNumber(value) ? value.toFixed(2) : value;
+  }));
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * The statement as an XLSX workbook: a Summary sheet and an Orders sheet with a total row
+ * @returns {Promise<Buffer>}
+ */
+async function statementToXlsx(statement) {
+  const { currency, summary } = statement;
+  const workbook = new ExcelJS.Workbook();
+  const moneyFormat = '#,##0.00';
+  const bold = { bold: true };
+
+  const overview = workbook.addWorksheet('Summary');
+  overview.columns = [{ width: 28 }, { width: 14 }, { width: 16 }, { width: 16 }];
+  overview.addRow([statement.title]).font = { bold: true, size: 14 };
+  overview.addRow(['Period', periodLabel(statement.period)]);
+  overview.addRow(['Currency', currency]);
+  overview.addRow(['Generated on', statement.generatedOn]);
+  overview.addRow([]);
+  [
+    ['Total spend', summary.totalSpend],
+    ['Orders', summary.orderCount],
+    ['Average order value', summary.averageOrderValue],
+    ['Food & items', summary.itemsTotal],
+    ['Fees & tips', summary.fees],
+    ['Taxes', summary.taxes],
+    ['Discounts', summary.discounts]
+  ].forEach(([label, value]) => {
+    const row = overview.addRow([label, value]);
+    if (label !== 'Orders') row.getCell(2).numFmt = moneyFormat;
+  });
+
+  // formats: number format per column number
+  const addTable = (header, rows, formats) => {
+    overview.addRow([]);
+    overview.addRow(header).font = bold;
+    rows.forEach(values => {
+      const row = overview.addRow(values);
+      Object.entries(formats).forEach(([column, numFmt]) => { row.getCell(Number(column)).numFmt = numFmt; });
+    });
+  };
+  addTable(
+    ['Month', 'Orders', `Spend (${currency})`],
+    statement.months.map(m => [m.month, m.orderCount, m.spend]),
+    { 3: moneyFormat }
+  );
+  addTable(
+    ['Top restaurants', 'Orders', `Spend (${currency})`, `Average (${currency})`],
+    statement.topRestaurants.map(r => [r.restaurant, r.orderCount, r.spend, r.averageTicket]),
+    { 3: moneyFormat, 4: moneyFormat }
+  );
+  addTable(
+    ['Category', 'Orders', `Spend (${currency})`, 'Share'],
+    statement.categories.map(c => [c.category, c.orderCount, c.total, c.share]),
+    { 3: moneyFormat, 4: '0%' }
+  );
+
+  const sheet = workbook.addWorksheet('Orders', { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = ORDER_COLUMNS.map(({ key, header, width, money }) => ({
+    key,
+    header: money ? `${header} (${currency})` : header,
+    width,
+    style: money ? { numFmt: moneyFormat } : {}
+  }));
+  sheet.getRow(1).font = bold;
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: ORDER_COLUMNS.length } };
+  sheet.addRows(statement.orders);
+
+  if (statement.orders.length > 0) {
+    const totalColumn = sheet.getColumn('amount').letter;
+    const lastRow = statement.orders.length + 1;
+    const total = sheet.addRow({ restaurant: 'Total' });
+    total.getCell('amount').value = { formula: `SUM(${totalColumn}2:${totalColumn}${lastRow})`, result: summary.totalSpend };
+    total.font = bold;
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function periodLabel({ startDate, endDate }) {
+  if (!startDate && !endDate) return 'All orders';
+  return `${startDate || 'First order'} to ${endDate || 'today'}`;
+}
+
+// Helper function to write an amount for the PDF, with the currency code instead of its symbol
+function pdfMoney(amount, currency) {
+  return new Intl.NumberFormat(currency === 'INR' ? 'en-IN' : 'en-US', {
+    style: 'currency',
+    currency,
+    currencyDisplay: 'code',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  }).format(amount).replace(/\u00a0/g, ' ');
+}
+
+const PDF_MARGIN = 40;
+const PDF_ACCENT = '#667eea';
+const PDF_MUTED = '#666666';
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Helper function to start a new page when the next block would not fit
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - PDF_MARGIN) {
+    doc.addPage();
+  }
+}
+
+function drawHeading(doc, text) {
+  ensureSpace(doc, 60);
+  doc.moveDown(1).font('Helvetica-Bold').fontSize(13).fillColor('#333333').text(text, PDF_MARGIN);
+  doc.moveDown(0.4);
+}
+
+function drawStatCards(doc, cards) {
+  const perRow = 4;
+  const gap = 10;
+  const width = (doc.page.width - 2 * PDF_MARGIN - gap * (perRow - 1)) / perRow;
+  const height = 46;
+
+  cards.forEach(([label, value], index) => {
+    if (index % perRow === 0) {
+      if (index > 0) doc.y += height + gap;
+      ensureSpace(doc, height);
+    }
+    const x = PDF_MARGIN + (index % perRow) * (width + gap);
+    const y = doc.y;
+    doc.roundedRect(x, y, width, height, 6).fill(PDF_ACCENT);
+    doc.font('Helvetica').fontSize(8).fillColor('#ffffff').text(label, x + 8, y + 8, { width: width - 16 });
+    doc.font('Helvetica-Bold').fontSize(12).text(value, x + 8, y + 22, { width: width - 16 });
+    doc.y = y;
+  });
+  doc.y += height;
+  doc.x = PDF_MARGIN;
+}
+
+function drawMonthlyChart(doc, months, currency) {
+  const height = 150;
+  const labelHeight = 14;
+  ensureSpace(doc, height + labelHeight + 20);
+
+  const top = doc.y + 12;
+  const left = PDF_MARGIN;
+  const width = doc.page.width - 2 * PDF_MARGIN;
+  const max = Math.max(...months.map(m => m.spend), 0) || 1;
+  const slot = width / months.length;
+  const barWidth = Math.min(slot * 0.7, 40);
+  // Label every month up to a year, then only some of them
+  const labelEvery = Math.ceil(months.length / 12);
+
+  doc.moveTo(left, top + height).lineTo(left + width, top + height).lineWidth(0.5).strokeColor('#cccccc').stroke();
+  months.forEach((entry, index) => {
+    const barHeight = (entry.spend / max) * (height - 14);
+    const x = left + index * slot + (slot - barWidth) / 2;
+    doc.rect(x, top + height - barHeight, barWidth, barHeight).fill(PDF_ACCENT);
+
+    if (index % labelEvery === 0) {
+      const [year, month] = entry.month.split('-');
+      doc.font('Helvetica').fontSize(7).fillColor(PDF_MUTED)
+        .text(`${MONTH_NAMES[Number(month) - 1]} ${year.slice(2)}`, left + index * slot, top + height + 3, { width: slot, align: 'center' });
+      if (months.length <= 12 && entry.spend > 0) {
+        doc.text(pdfMoney(entry.spend, currency).replace(/\.00$/, ''), left + index * slot - 10, top + height - barHeight - 10,
+          { width: slot + 20, align: 'center' });
+      }
+    }
+  });
+  doc.x = PDF_MARGIN;
+  doc.y = top + height + labelHeight + 4;
+}
+
+// Helper function to draw a table, repeating the header on every page it runs onto
+function drawTable(doc, columns, rows) {
+  const rowHeight = 16;
+  const totalWidth = doc.page.width - 2 * PDF_MARGIN;
+  const fixed = sumOf(columns.map(column => column.width || 0));
+  const flexible = columns.filter(column => !column.width).length;
+  const widths = columns.map(column => column.width || (totalWidth - fixed) / flexible);
+
+  const drawRow = (values, { header = false, shaded = false } = {}) => {
+    ensureSpace(doc, rowHeight);
+    const y = doc.y;
+    if (shaded) doc.rect(PDF_MARGIN, y, totalWidth, rowHeight).fill('#f4f4fb');
+    let x = PDF_MARGIN;
+    doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(8.5).fillColor(header ? '#333333' : '#222222');
+    values.forEach((value, index) => {
+      doc.text(value === null || value === undefined ? '' : String(value), x + 4, y + 4, {
+        width: widths[index] - 8,
+        height: rowHeight - 4,
+        align: columns[index].align || 'left',
+        ellipsis: true,
+        lineBreak: false
+      });
+      x += widths[index];
+    });
+    doc.x = PDF_MARGIN;
+    doc.y = y + rowHeight;
+    if (header) {
+      doc.moveTo(PDF_MARGIN, doc.y).lineTo(PDF_MARGIN + totalWidth, doc.y).lineWidth(0.5).strokeColor('#999999').stroke();
+    }
+  };
+
+  const header = columns.map(column => column.header);
+  drawRow(header, { header: true });
+  rows.forEach((values, index) => {
+    if (doc.y + rowHeight > doc.page.height - PDF_MARGIN) {
+      doc.addPage();
+      drawRow(header, { header: true });
+    }
+    drawRow(values, { shaded: index % 2 === 1 });
+  });
+}
+
+/**
+ * The statement as a PDF report: stats cards, monthly chart, top restaurants, categories and orders
+ * @returns {Promise<Buffer>}
+ */
+function statementToPdf(statement) {
+  const { currency, summary } = statement;
+  const money = (amount) => pdfMoney(amount, currency);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PDF_MARGIN, info: { Title: statement.title } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#333333').text(statement.title);
+    doc.font('Helvetica').fontSize(10).fillColor(PDF_MUTED)
+      .text(`${periodLabel(statement.period)}   |   Amounts in ${currency}   |   Generated on ${statement.generatedOn}`);
+    doc.moveDown(1);
+
+    drawStatCards(doc, [
+      ['Total Spend', money(summary.totalSpend)],
+      ['Total Orders', String(summary.orderCount)],
+      ['Average Order Value', money(summary.averageOrderValue)],
+      ['Food & Items', money(summary.itemsTotal)],
+      ['Fees & Tips', money(summary.fees)],
+      ['Taxes', money(summary.taxes)],
+      ['Discounts', money(summary.discounts > 0 ? -summary.discounts : 0)]
+    ]);
+
+    const { invalid, unconverted } = statement.leftOut;
+    if (invalid > 0 || unconverted > 0) {
+      const notes = [
+        invalid > 0 && `${invalid} ${invalid === 1 ? 'order fails' : 'orders fail'} validation`,
+        unconverted > 0 && `${unconverted} ${unconverted === 1 ? 'order has' : 'orders have'} no exchange rate to ${currency}`
+      ].filter(Boolean);
+      doc.moveDown(0.8).font('Helvetica').fontSize(9).fillColor('#b91c1c')
+        .text(`Not included: ${notes.join('; ')}.`, PDF_MARGIN);
+    }
+
+    if (statement.months.length > 0) {
+      drawHeading(doc, 'Monthly Spend');
+      drawMonthlyChart(doc, statement.months, currency);
+    }
+
+    if (statement.topRestaurants.length > 0) {
+      drawHeading(doc, 'Top Restaurants');
+      drawTable(doc, [
+        { header: 'Restaurant' },
+        { header: 'Orders', width: 60, align: 'right' },
+        { header: 'Spend', width: 110, align: 'right' },
+        { header: 'Average', width: 110, align: 'right' }
+      ], statement.topRestaurants.map(r => [r.restaurant, r.orderCount, money(r.spend), money(r.averageTicket)]));
+    }
+
+    if (statement.categories.length > 0) {
+      drawHeading(doc, 'Spend by Category');
+      drawTable(doc, [
+        { header: 'Category' },
+        { header: 'Orders', width: 60, align: 'right' },
+        { header: 'Spend', width: 110, align: 'right' },
+        { header: 'Share', width: 60, align: 'right' }
+      ], statement.categories.map(c => [c.category, c.orderCount, money(c.total), `${Math.round(c.share * 100)}%`]));
+    }
+
+    drawHeading(doc, 'Orders');
+    if (statement.orders.length === 0) {
+      doc.font('Helvetica').fontSize(10).fillColor(PDF_MUTED).text('No orders in this period.');
+    } else {
+      const optional = (value) => (value === null ? '' : money(value));
+      // A claim lists where each order stands instead of its category
+      const claims = statement.scope === 'reimbursable';
+      drawTable(doc, [
+        { header: 'Date', width: 62 },
+        { header: 'Restaurant' },
+        claims ? { header: 'Claim', width: 80 } : { header: 'Category', width: 80 },
+        { header: 'Fees', width: 70, align: 'right' },
+        { header: 'Taxes', width: 70, align: 'right' },
+        { header: 'Total', width: 80, align: 'right' }
+      ], [
+        ...statement.orders.map(row => [
+          row.date, row.restaurant, claims ? row.claimStatus : row.category, optional(row.fees), optional(row.taxes), money(row.amount)
+        ]),
+        ['', 'Total', '', '', '', money(summary.totalSpend)]
+      ]);
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  STATEMENT_FORMATS,
+  STATEMENT_SCOPES,
+  ORDER_COLUMNS,
+  buildStatement,
+  statementFileName,
+  statementToCsv,
+  statementToXlsx,
+  statementToPdf
+};
@@ -1,24 +1,10 @@
-const playwright = require('playwright-core');
-
-// Store active browser sessions
-const sessions = new Map();
-const DEBUG_LOG_LIMIT = 50;
-
-function addDebug(sessionId, message) {
-  const session = sessions.get(sessionId);
-  if (!session) return;
-  const entry = `[${new Date().toISOString()}] ${message}`;
-  session.debugLog = session.debugLog || [];
-  session.debugLog.push(entry);
-  if (session.debugLog.length > DEBUG_LOG_LIMIT) {
-    session.debugLog.shift();
-  }
-}
+const { addDebug, getDebugLog, getSession, createSession, closeSession, loadAllPages } = require('./browser-session');
+const { createOrder } = require('./order-schema');
+const { parseDateTimeText } = require('./receipt-parser');
 
-function getDebugLog(sessionId) {
-  const session = sessions.get(sessionId);
-  return session?.debugLog ? [...session.debugLog] : [];
-}
+const SWIGGY_ORDERS_URL = 'https://www.swiggy.com/my-account/orders';
+// Swiggy's orders page loads history from this internal endpoint, one page per request
+const ORDERS_API_PATTERN = /\/dapi\/order\/all/;
 
 /**
  * NOTE: This scraper relies on Swiggy's current DOM structure and may break if Swiggy updates their UI.
@@ -34,25 +20,11 @@ function getDebugLog(sessionId) {
  */
 async function initSwiggyLogin(mobileNumber, sessionId) {
   try {
-    // Launch browser
-    const browser = await playwright.chromium.launch({
-      headless: true,
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-
-    const context = await browser.newContext({
-      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-    });
-
-    const page = await context.newPage();
-
-    // Store session
-    sessions.set(sessionId, { browser, context, page, mobileNumber, debugLog: [] });
-    addDebug(sessionId, 'Browser launched in headless mode');
+    const { page } = await createSession(sessionId, { mobileNumber, platform: 'swiggy' });
     addDebug(sessionId, `Session ${sessionId} created for ${mobileNumber}`);
 
     // Navigate to Swiggy orders page
-    await page.goto('https://www.swiggy.com/my-account/orders', { 
+    await page.goto(SWIGGY_ORDERS_URL, { 
       waitUntil: 'networkidle',
       timeout: 30000 
     });
@@ -128,7 +100,7 @@ async function initSwiggyLogin(mobileNumber, sessionId) {
 
     return {
       success: true,
-      message: 'OTP sent to mobile number. Please submit OTP using /api/submit-otp endpoint',
+      message: 'OTP sent to mobile number. Please submit OTP to continue',
       sessionId,
       needsOtp: true,
       debugLog: getDebugLog(sessionId)
@@ -138,11 +110,7 @@ async function initSwiggyLogin(mobileNumber, sessionId) {
     // Clean up session on error
     addDebug(sessionId, `Login error: ${error.message}`);
     const debugLog = getDebugLog(sessionId);
-    const session = sessions.get(sessionId);
-    if (session) {
-      await session.browser.close().catch(() => {});
-      sessions.delete(sessionId);
-    }
+    await closeSession(sessionId);
 
     return {
       success: false,
@@ -161,7 +129,7 @@ async function initSwiggyLogin(mobileNumber, sessionId) {
  */
 async function submitOTP(sessionId, otp) {
   try {
-    const session = sessions.get(sessionId);
+    const session = getSession(sessionId);
     if (!session) {
       return {
         success: false,
@@ -242,14 +210,183 @@ async function submitOTP(sessionId, otp) {
   }
 }
 
+/**
+ * Record the JSON bodies of Swiggy's order-history API responses while the page loads
+ * @param {Page} page - Playwright page
+ * @param {string} sessionId - Session identifier, for debug logging
+ * @returns {{snapshot: function(): Promise<Array<Object>>, stop: function(): Promise<Array<Object>>}}
+ *   snapshot() returns the payloads captured so far; stop() also detaches the listener
+ */
+function captureOrderResponses(page, sessionId) {
+  const pending = [];
+
+  const onResponse = (response) => {
+    if (!ORDERS_API_PATTERN.test(response.url()) || !response.ok()) return;
+
+    pending.push(
+      response.json()
+        .then((payload) => {
+          addDebug(sessionId, `Captured order history response (${payload?.data?.orders?.length || 0} orders)`);
+          return payload;
+        })
+        .catch((error) => {
+          addDebug(sessionId, `Ignoring unreadable order history response: ${error.message}`);
+          return null;
+        })
+    );
+  };
+
+  page.on('response', onResponse);
+
+  const snapshot = async () => {
+    const payloads = await Promise.all(pending);
+    return payloads.filter(Boolean);
+  };
+
+  return {
+    snapshot,
+    stop: async () => {
+      page.off('response', onResponse);
+      return snapshot();
+    }
+  };
+}
+
+/**
+ * Map one entry of Swiggy's order-history payload to the shared order model.
+ * Field names vary between app versions, so each value is read from the known alternatives.
+ * @param {Object} apiOrder - Entry of data.orders in a /dapi/order/all response
+ * @returns {Object|null} Order, or null when the entry lacks an ID, date or total
+ */
+function orderFromApi(apiOrder) {
+  const orderId = apiOrder.order_id != null ? String(apiOrder.order_id) : null;
+  const amount = parseFloat(apiOrder.order_total ?? apiOrder.net_total);
+  // order_time is "YYYY-MM-DD HH:mm:ss" in Swiggy's local (IST) time
+  const [date, time] = typeof apiOrder.order_time === 'string' ? apiOrder.order_time.split(' ') : [];
+
+  if (!orderId || !date || isNaN(amount)) return null;
+
+  const charges = apiOrder.charges || {};
+  const items = Array.isArray(apiOrder.order_items) ? apiOrder.order_items : [];
+
+  return createOrder({
+    orderId,
+    platform: 'swiggy',
+    date,
+    timestamp: time ? `${date}T${time}+05:30` : null,
+    restaurant: apiOrder.restaurant_name,
+    amount,
+    items: items.map(item => ({
+      name: item.name,
+      quantity: item.quantity,
+      price: item.total ?? item.final_price ?? item.subtotal
+    })),
+    fees: {
+      delivery: apiOrder.order_delivery_charge ?? charges['Delivery Charges'],
+      packaging: apiOrder.order_packing_charges ?? charges['Packing Charges'],
+      platform: apiOrder.convenience_fee ?? charges['Convenience Fee'] ?? charges['Platform Fee'],
+      surge: apiOrder.surge_fee ?? charges['Surge Fee'] ?? charges['Rain Fee'],
+      tip: apiOrder.tip_amount ?? apiOrder.tip
+    },
+    discount: {
+      amount: apiOrder.order_discount ?? apiOrder.coupon_discount,
+      coupon: apiOrder.coupon_applied || apiOrder.coupon_code
+    },
+    membership: {
+      name: (apiOrder.swiggy_one_savings ?? apiOrder.subscription_discount) ? 'Swiggy One' : null,
+      savings: apiOrder.swiggy_one_savings ?? apiOrder.subscription_discount
+    },
+    taxes: apiOrder.order_tax ?? charges.GST,
+    paymentMethod: apiOrder.payment_method,
+    deliveryAddressLabel: apiOrder.delivery_address?.annotation
+  });
+}
+
+/**
+ * Build orders from captured order-history payloads, de-duplicated by order ID
+ * @param {Array<Object>} payloads - Parsed JSON bodies of /dapi/order/all responses
+ * @returns {Array<Object>} Orders in the shared order model
+ */
+function ordersFromPayloads(payloads) {
+  const orders = new Map();
+
+  payloads.forEach(payload => {
+    const apiOrders = Array.isArray(payload?.data?.orders) ? payload.data.orders : [];
+
+    apiOrders.forEach(apiOrder => {
+      const order = orderFromApi(apiOrder);
+      if (order) {
+        orders.set(order.orderId, order);
+      }
+    });
+  });
+
+  return Array.from(orders.values());
+}
+
+/**
+ * Fallback extraction from the rendered orders page text
+ * @param {Page} page - Playwright page
+ * @returns {Promise<Array<Object>>} Orders with date, time when shown, amount, restaurant and platform
+ */
+async function extractOrdersFromPage(page) {
+  const cards = await page.evaluate(() => {
+    const orderElements = document.querySelectorAll('[class*="order"]');
+    const extractedOrders = [];
+
+    orderElements.forEach(orderEl => {
+      try {
+        // Try to extract order information
+        const text = orderEl.innerText;
+        
+        // Extract amount (₹ symbol followed by numbers)
+        const amountMatch = text.match(/₹\s*(\d+(?:,\d+)*(?:\.\d+)?)/);
+        const amount = amountMatch ? parseFloat(amountMatch[1].replace(/,/g, '')) : null;
+
+        // Extract date and time ("Jan 20, 2024, 08:07 PM" or "20 Jan 2024"); parsed outside the page
+        const dateMatch = text.match(/(?:\d{1,2}\s+(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*,?\s+\d{4}|(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{1,2},?\s+\d{4})(?:[,\s]+(?:at\s+)?\d{1,2}:\d{2}\s*(?:AM|PM)?)?/i);
+        const dateText = dateMatch ? dateMatch[0] : null;
+
+        // Extract restaurant name (usually at the top)
+        const lines = text.split('\n').filter(l => l.trim());
+        const restaurant = lines.length > 0 ? lines[0] : 'Unknown';
+
+        if (amount && dateText) {
+          extractedOrders.push({
+            dateText,
+            amount,
+            restaurant: restaurant.trim(),
+            platform: 'swiggy'
+          });
+        }
+      } catch (e) {
+        // Skip this order if extraction fails
+      }
+    });
+
+    return extractedOrders;
+  });
+
+  return cards
+    .map(({ dateText, ...card }) => {
+      const when = parseDateTimeText(dateText);
+      return when && createOrder({ ...card, ...when });
+    })
+    .filter(Boolean);
+}
+
 /**
  * Scrape orders from Swiggy
  * @param {string} sessionId - Session identifier
- * @returns {Promise<{success: boolean, orders?: Array, message: string}>}
+ * @param {Object} [options]
+ * @param {string} [options.since] - YYYY-MM-DD; stop loading history once orders this old appear
+ * @param {number} [options.maxPages] - Cap on "show more" attempts
+ * @param {number} [options.maxDurationMs] - Cap on time spent loading history
+ * @returns {Promise<{success: boolean, orders?: Array, history?: Object, message: string}>}
  */
-async function scrapeOrders(sessionId) {
+async function scrapeOrders(sessionId, options = {}) {
   try {
-    const session = sessions.get(sessionId);
+    const session = getSession(sessionId);
     if (!session) {
       return {
         success: false,
@@ -260,85 +397,72 @@ async function scrapeOrders(sessionId) {
 
     const { page } = session;
 
-    // Navigate to orders page if not already there
-    const currentUrl = page.url();
-    if (!currentUrl.includes('my-account/orders')) {
-      await page.goto('https://www.swiggy.com/my-account/orders', {
-        waitUntil: 'networkidle',
-        timeout: 30000
-      });
-    }
+    // Listen before navigating so the first page of order history is captured too
+    const capture = captureOrderResponses(page, sessionId);
+
+    // Reload the orders page so it is fetched with the logged-in session
+    await page.goto(SWIGGY_ORDERS_URL, {
+      waitUntil: 'networkidle',
+      timeout: 30000
+    });
     addDebug(sessionId, `Arrived at URL: ${page.url()}`);
 
     await page.waitForTimeout(3000);
 
-    // Scroll to load more orders
-    for (let i = 0; i < 5; i++) {
-      await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
-      await page.waitForTimeout(1500);
-    }
-    addDebug(sessionId, 'Completed scrolling to load orders');
-
-    // Extract order data
-    const orders = await page.evaluate(() => {
-      const orderElements = document.querySelectorAll('[class*="order"]');
-      const extractedOrders = [];
-
-      orderElements.forEach(orderEl => {
-        try {
-          // Try to extract order information
-          const text = orderEl.innerText;
-          
-          // Extract amount (₹ symbol followed by numbers)
-          const amountMatch = text.match(/₹\s*(\d+(?:,\d+)*(?:\.\d+)?)/);
-          const amount = amountMatch ? parseFloat(amountMatch[1].replace(/,/g, '')) : null;
-
-          // Extract date
-          const dateMatch = text.match(/(\d{1,2}\s+(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)\s+\d{4})/i);
-          let date = null;
-          if (dateMatch) {
-            date = new Date(dateMatch[1]).toISOString().split('T')[0];
-          }
-
-          // Extract restaurant name (usually at the top)
-          const lines = text.split('\n').filter(l => l.trim());
-          const restaurant = lines.length > 0 ? lines[0] : 'Unknown';
-
-          if (amount && date) {
-            extractedOrders.push({
-              date,
-              amount,
-              restaurant: restaurant.trim()
-            });
-          }
-        } catch (e) {
-          // Skip this order if extraction fails
+    // Keep loading until Swiggy stops returning new orders
+    const history = await loadAllPages(page, sessionId, {
+      ...options,
+      loadMoreSelectors: ['button:has-text("Show More Orders")', 'text=Show More Orders'],
+      getProgress: async () => {
+        const apiOrders = ordersFromPayloads(await capture.snapshot());
+        if (apiOrders.length > 0) {
+          const oldestDate = apiOrders.reduce((oldest, o) => (o.date < oldest ? o.date : oldest), apiOrders[0].date);
+          return { count: apiOrders.length, oldestDate };
         }
-      });
-
-      return extractedOrders;
+        const count = await page.evaluate(() => document.querySelectorAll('[class*="order"]').length);
+        return { count, oldestDate: null };
+      }
     });
+    addDebug(sessionId, `Finished loading order history (${history.stopReason}, ${history.pagesLoaded} pages)`);
+
+    const payloads = await capture.stop();
+    let orders = ordersFromPayloads(payloads);
+    let source = 'api';
+    addDebug(sessionId, `Orders parsed from ${payloads.length} API responses: ${orders.length}`);
 
-    addDebug(sessionId, `Order elements extracted: ${orders.length}`);
+    if (orders.length === 0) {
+      addDebug(sessionId, 'No orders from API responses, falling back to page text');
+      orders = await extractOrdersFromPage(page);
+      source = 'dom';
+      addDebug(sessionId, `Order elements extracted: ${orders.length}`);
+    }
+
+    if (options.since) {
+      orders = orders.filter(order => order.date >= options.since);
+    }
 
     const debugLog = getDebugLog(sessionId);
     // Clean up session after successful scrape
-    await session.browser.close().catch(() => {});
-    sessions.delete(sessionId);
+    await closeSession(sessionId);
 
     if (orders.length === 0) {
       return {
         success: false,
         message: 'No orders found. Please make sure you have orders in your Swiggy account.',
         orders: [],
+        history,
         debugLog
       };
     }
 
     return {
       success: true,
-      message: `Successfully scraped ${orders.length} orders`,
+      message: history.complete
+        ? `Successfully scraped ${orders.length} orders`
+        : `Scraped ${orders.length} orders (history truncated: ${history.stopReason})`,
       orders,
+      source,
+      history,
       debugLog
     };
 
@@ -346,11 +470,7 @@ async function scrapeOrders(sessionId) {
     // Clean up session on error
     addDebug(sessionId, `Scraping error: ${error.message}`);
     const debugLog = getDebugLog(sessionId);
-    const session = sessions.get(sessionId);
-    if (session) {
-      await session.browser.close().catch(() => {});
-      sessions.delete(sessionId);
-    }
+    await closeSession(sessionId);
 
     return {
       success: false,
@@ -367,11 +487,7 @@ async function scrapeOrders(sessionId) {
  * @param {string} sessionId - Session identifier
  */
 async function cleanupSession(sessionId) {
-  const session = sessions.get(sessionId);
-  if (session) {
-    await session.browser.close().catch(() => {});
-    sessions.delete(sessionId);
-  }
+  await closeSession(sessionId);
 }
 
 module.exports = {
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectAnomalies } = require('../anomalies');
+
+const duplicates = (orders) => detectAnomalies(orders, { currency: 'INR' })
+  .filter(finding => finding.type === 'duplicate-charge')
+  .map(finding => finding.orders.map(ref => ref.index));
+
+test('charges minutes apart across midnight are duplicates', () => {
+  const orders = [
+    { date: '2024-01-10', timestamp: '2024-01-10T23:58:00+05:30', amount: 350, restaurant: 'Pizza Place' },
+    { date: '2024-01-11', timestamp: '2024-01-11T00:03:00+05:30', amount: 350, restaurant: 'pizza  place' }
+  ];
+  assert.deepEqual(duplicates(orders), [[0, 1]]);
+});
+
+test('charges on the same day further apart than the window are not duplicates', () => {
+  const orders = [
+    { date: '2024-01-10', timestamp: '2024-01-10T13:00:00+05:30', amount: 350, restaurant: 'Pizza Place' },
+    { date: '2024-01-10', timestamp: '2024-01-10T20:00:00+05:30', amount: 350, restaurant: 'Pizza Place' }
+  ];
+  assert.deepEqual(duplicates(orders), []);
+});
+
+test('orders without times are duplicates on the same date only', () => {
+  const orders = [
+    { date: '2024-01-11', amount: 350, restaurant: 'Pizza Place' },
+    { date: '2024-01-10', amount: 350, restaurant: 'Pizza Place' },
+    { date: '2024-01-10', amount: 350, restaurant: 'Pizza Place' },
+    { date: '2024-01-10', timestamp: '2024-01-10T13:00:00+05:30', amount: 350, restaurant: 'Pizza Place' }
+  ];
+  assert.deepEqual(duplicates(orders), [[1, 2]]);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeBudget, calculateBudgetReport } = require('../budgets');
+
+const rates = [{ date: '2024-01-01', from: 'USD', to: 'INR', rate: 80 }];
+const orders = [{ date: '2024-03-05', amount: 4500, currency: 'INR' }];
+
+test('normalizeBudget keeps the currency, defaulting to the one given', () => {
+  assert.equal(normalizeBudget({ amount: 50, currency: 'usd' }).budget.currency, 'USD');
+  assert.equal(normalizeBudget({ amount: 50 }, 'EUR').budget.currency, 'EUR');
+  assert.equal(normalizeBudget({ amount: 50, currency: 'dollars' }).error, 'currency must be a currency code such as INR');
+});
+
+test('budgets in another currency are converted before they are compared', () => {
+  const budgets = [{ month: null, scope: 'total', scopeValue: null, amount: 50, currency: 'USD' }];
+  const report = calculateBudgetReport(orders, budgets, '2024-03-10', { currency: 'INR', rates });
+  assert.deepEqual(report.current.lines[0], {
+    scope: 'total', scopeValue: null, budget: 4000, originalBudget: 50, originalCurrency: 'USD',
+    actual: 4500, projected: 13950, status: 'over'
+  });
+  assert.equal(report.months['2024-03'].budget, 4000);
+});
+
+test('a budget with no exchange rate is left out with a warning', () => {
+  const budgets = [{ month: null, scope: 'total', scopeValue: null, amount: 50, currency: 'EUR' }];
+  const report = calculateBudgetReport(orders, budgets, '2024-03-10', { currency: 'INR', rates });
+  assert.deepEqual(report.current.lines, []);
+  assert.equal(report.months['2024-03'].budget, null);
+  assert.match(report.warnings[0], /no exchange rate from EUR to INR/);
+});
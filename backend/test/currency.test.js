@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { convertOrders } = require('../currency');
+
+const rates = [{ date: '2024-01-01', from: 'USD', to: 'INR', rate: 83 }];
+
+test('convertOrders scales breakdown amounts written as text along with the amount', () => {
+  const order = {
+    date: '2024-01-10',
+    amount: 10,
+    currency: 'USD',
+    items: [{ name: 'Pizza', price: '$7' }],
+    fees: { delivery: '2', tip: null },
+    discount: { amount: '0.5', coupon: 'SAVE' },
+    membership: { name: null, savings: 1 },
+    taxes: '1'
+  };
+  const [converted] = convertOrders([order], 'INR', rates).orders;
+  assert.equal(converted.amount, 830);
+  assert.equal(converted.items[0].price, 581);
+  assert.deepEqual(converted.fees, { delivery: 166, tip: null });
+  assert.deepEqual(converted.discount, { amount: 41.5, coupon: 'SAVE' });
+  assert.equal(converted.membership.savings, 83);
+  assert.equal(converted.taxes, 83);
+});
+
+test('convertOrders leaves orders in the reporting currency and lists the ones without a rate', () => {
+  const result = convertOrders([
+    { date: '2024-01-10', amount: '₹500', restaurant: 'A' },
+    { date: '2024-01-10', amount: 5, currency: 'EUR', restaurant: 'B' }
+  ], 'INR', rates);
+  assert.deepEqual(result.orders.map(order => order.amount), [500]);
+  assert.deepEqual(result.unconverted, [{ index: 1, id: null, date: '2024-01-10', currency: 'EUR', amount: 5 }]);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toLocalDate, localDateTime, localizeOrders, monthOf, isInRange, daysInMonth, addMonths } = require('../dates');
+const { parseDateTimeText } = require('../receipt-parser');
+
+test('toLocalDate keeps calendar dates as written', () => {
+  assert.equal(toLocalDate('2024-01-31'), '2024-01-31');
+  assert.equal(toLocalDate(' 2024-12-31 '), '2024-12-31');
+  assert.equal(toLocalDate('2024-02-30'), null);
+  assert.equal(toLocalDate('2024-13-01'), null);
+  assert.equal(toLocalDate(''), null);
+  assert.equal(toLocalDate(null), null);
+});
+
+test('toLocalDate reads instants in the time zone, turning at IST midnight', () => {
+  // 18:30 UTC is 00:00 the next day in IST (+05:30)
+  assert.equal(toLocalDate('2024-01-31T18:29:59Z'), '2024-01-31');
+  assert.equal(toLocalDate('2024-01-31T18:30:00Z'), '2024-02-01');
+  assert.equal(toLocalDate('2024-12-31T18:30:00Z'), '2025-01-01');
+  assert.equal(toLocalDate('2024-02-01T00:15:00+05:30'), '2024-02-01');
+  assert.equal(toLocalDate(new Date('2024-01-31T18:30:00Z')), '2024-02-01');
+  assert.equal(toLocalDate('2024-01-31T18:30:00Z', 'UTC'), '2024-01-31');
+  assert.equal(toLocalDate('2024-01-31T18:30:00Z', 'America/New_York'), '2024-01-31');
+  assert.equal(toLocalDate(new Date('invalid')), null);
+});
+
+test('toLocalDate keeps the date of a wall-clock datetime, whatever the zone', () => {
+  assert.equal(toLocalDate('2024-01-31T23:30:00'), '2024-01-31');
+  assert.equal(toLocalDate('2024-01-31 23:30', 'UTC'), '2024-01-31');
+  assert.equal(toLocalDate('2024-02-30T10:00:00'), null);
+});
+
+test('toLocalDate reads dates with a spelled-out month', () => {
+  assert.equal(toLocalDate('31 Jan 2024'), '2024-01-31');
+  assert.equal(toLocalDate('5 September 2024'), '2024-09-05');
+  assert.equal(toLocalDate('31-Jan-2024'), '2024-01-31');
+  assert.equal(toLocalDate('Jan 31, 2024'), '2024-01-31');
+  assert.equal(toLocalDate('31 Feb 2024'), null);
+  assert.equal(toLocalDate('31 Jnu 2024'), null);
+});
+
+test('toLocalDate rejects anything else instead of guessing', () => {
+  assert.equal(toLocalDate('12'), null);
+  assert.equal(toLocalDate('Order 5'), null);
+  assert.equal(toLocalDate('hello 2024'), null);
+  assert.equal(toLocalDate('1/2/2024'), null);
+  assert.equal(toLocalDate('01-02-2024'), null);
+  assert.equal(toLocalDate('2024/01/31'), null);
+  assert.equal(toLocalDate('Wed Jan 31 2024'), null);
+});
+
+test('toLocalDate handles leap days', () => {
+  assert.equal(toLocalDate('2024-02-29'), '2024-02-29');
+  assert.equal(toLocalDate('2023-02-29'), null);
+  assert.equal(toLocalDate('2000-02-29'), '2000-02-29');
+  assert.equal(toLocalDate('1900-02-29'), null);
+  assert.equal(toLocalDate('2024-02-28T18:30:00Z'), '2024-02-29');
+  assert.equal(toLocalDate('2024-02-29T18:30:00Z'), '2024-03-01');
+});
+
+test('localDateTime takes the date from an instant timestamp in the time zone', () => {
+  const order = { date: '2024-01-20', timestamp: '2024-01-20T18:45:00Z' };
+  assert.deepEqual(localDateTime(order), { date: '2024-01-21', timestamp: '2024-01-21T00:15:00+05:30' });
+  assert.deepEqual(localDateTime(order, 'UTC'), { date: '2024-01-20', timestamp: '2024-01-20T18:45:00+00:00' });
+  // Re-dating an order already shown in IST to another zone
+  assert.deepEqual(localDateTime({ date: '2024-01-21', timestamp: '2024-01-21T00:15:00+05:30' }, 'UTC'),
+    { date: '2024-01-20', timestamp: '2024-01-20T18:45:00+00:00' });
+});
+
+test('localDateTime keeps plain dates and wall-clock timestamps as written', () => {
+  assert.deepEqual(localDateTime({ date: '2024-01-20', timestamp: null }, 'UTC'), { date: '2024-01-20', timestamp: null });
+  assert.deepEqual(localDateTime({ date: '2024-01-20', timestamp: '2024-01-20T23:30:00' }, 'UTC'),
+    { date: '2024-01-20', timestamp: '2024-01-20T23:30:00' });
+  assert.deepEqual(localDateTime({ date: '2024-01-31T18:30:00Z' }),
+    { date: '2024-02-01', timestamp: '2024-02-01T00:00:00+05:30' });
+  assert.deepEqual(localDateTime({ date: 'soon', timestamp: 'later' }), { date: 'soon', timestamp: 'later' });
+});
+
+test('localizeOrders dates imported IST receipts in the user\'s time zone', () => {
+  // Receipt times are IST; 00:30 IST on the 11th is still the 10th in London and New York
+  const [imported] = localizeOrders([parseDateTimeText('11/01/2024 12:30 AM')], 'Europe/London');
+  assert.deepEqual(imported, { date: '2024-01-10', timestamp: '2024-01-10T19:00:00+00:00' });
+  assert.equal(localizeOrders([{ date: '2024-01-11', timestamp: '2024-01-11T00:30:00+05:30' }], 'America/New_York')[0].date,
+    '2024-01-10');
+  // The same order sent with a UTC timestamp lands on the same date, so it de-duplicates
+  const [sent] = localizeOrders([{ date: '2024-01-10', timestamp: '2024-01-10T19:00:00Z' }], 'Europe/London');
+  assert.deepEqual(sent, imported);
+  assert.deepEqual(localizeOrders([null, { date: 'soon' }], 'UTC'), [null, { date: 'soon' }]);
+});
+
+test('monthOf buckets by the local date', () => {
+  assert.equal(monthOf('2024-01-31'), '2024-01');
+  assert.equal(monthOf('2024-01-31T18:30:00Z'), '2024-02');
+  assert.equal(monthOf('2024-01-31T18:30:00Z', 'UTC'), '2024-01');
+  assert.equal(monthOf('2024-02-29'), '2024-02');
+  assert.equal(monthOf('not a date'), null);
+});
+
+test('isInRange includes both end days in full', () => {
+  assert.equal(isInRange('2024-01-01', '2024-01-01', '2024-01-31'), true);
+  assert.equal(isInRange('2024-01-31', '2024-01-01', '2024-01-31'), true);
+  assert.equal(isInRange('2023-12-31', '2024-01-01', '2024-01-31'), false);
+  assert.equal(isInRange('2024-02-01', '2024-01-01', '2024-01-31'), false);
+  assert.equal(isInRange('2024-02-29', '2024-02-01', '2024-02-29'), true);
+});
+
+test('isInRange treats a missing bound as open', () => {
+  assert.equal(isInRange('1999-01-01', null, '2024-01-31'), true);
+  assert.equal(isInRange('2099-01-01', '2024-01-01', undefined), true);
+  assert.equal(isInRange('2024-01-15'), true);
+  assert.equal(isInRange(null, '2024-01-01', '2024-01-31'), false);
+});
+
+test('daysInMonth knows month lengths and leap years', () => {
+  assert.equal(daysInMonth('2024-01'), 31);
+  assert.equal(daysInMonth('2024-04'), 30);
+  assert.equal(daysInMonth('2024-02'), 29);
+  assert.equal(daysInMonth('2023-02'), 28);
+  assert.equal(daysInMonth('2000-02'), 29);
+  assert.equal(daysInMonth('2100-02'), 28);
+  assert.equal(daysInMonth('2024-12'), 31);
+});
+
+test('addMonths crosses year boundaries both ways', () => {
+  assert.equal(addMonths('2024-01', 1), '2024-02');
+  assert.equal(addMonths('2024-12', 1), '2025-01');
+  assert.equal(addMonths('2024-01', -1), '2023-12');
+  assert.equal(addMonths('2024-03', -14), '2023-01');
+  assert.equal(addMonths('2024-02', 12), '2025-02');
+  assert.equal(addMonths('2024-05', 0), '2024-05');
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { forecastSpend } = require('../forecast');
+const { addMonths } = require('../dates');
+
+// Monthly series starting at `first`, one spend per month
+const series = (first, spends) => spends.map((spend, index) => ({ month: addMonths(first, index), spend }));
+// The lower bound stops at 0, so the margin is read from the upper one
+const margin = (entry) => entry.upper - entry.spend;
+
+test('forecastSpend has no forecast without history', () => {
+  assert.deepEqual(forecastSpend([]), { method: null, parameters: {}, basedOnMonths: 0, confidence: 0.95, forecast: [] });
+});
+
+test('a short series is forecast with its mean', () => {
+  const result = forecastSpend(series('2023-11', [1000, 2000, 3000]), 2);
+  assert.equal(result.method, 'mean');
+  assert.equal(result.basedOnMonths, 3);
+  assert.deepEqual(result.forecast.map(entry => entry.month), ['2024-02', '2024-03']);
+  assert.deepEqual(result.forecast.map(entry => entry.spend), [2000, 2000]);
+  // sigma is the spread around the mean, sqrt(2/3 * 1000^2)
+  assert.equal(result.forecast[0].upper, Math.round((2000 + 1.96 * Math.sqrt(2e6 / 3)) * 100) / 100);
+});
+
+test('a flat series is forecast flat by Holt with a zero-width band', () => {
+  const result = forecastSpend(series('2024-01', [500, 500, 500, 500, 500, 500]), 3);
+  assert.equal(result.method, 'holt');
+  assert.deepEqual(Object.keys(result.parameters), ['alpha', 'beta']);
+  assert.deepEqual(result.forecast, [
+    { month: '2024-07', spend: 500, lower: 500, upper: 500 },
+    { month: '2024-08', spend: 500, lower: 500, upper: 500 },
+    { month: '2024-09', spend: 500, lower: 500, upper: 500 }
+  ]);
+});
+
+test('a seasonal series of two years or more is forecast with Holt-Winters and keeps its season', () => {
+  // 1000 a month, with December at 2500 and June at 400
+  const year = Array.from({ length: 12 }, (_, month) => (month === 11 ? 2500 : month === 5 ? 400 : 1000));
+  const result = forecastSpend(series('2021-01', [...year, ...year, ...year]), 6);
+  assert.equal(result.method, 'holt-winters');
+  assert.deepEqual(Object.keys(result.parameters), ['alpha', 'beta', 'gamma']);
+  assert.deepEqual(result.forecast.map(entry => [entry.month, entry.spend]), [
+    ['2024-01', 1000], ['2024-02', 1000], ['2024-03', 1000], ['2024-04', 1000], ['2024-05', 1000], ['2024-06', 400]
+  ]);
+  assert.equal(forecastSpend(series('2021-01', [...year, ...year]), 12).forecast.length, 6);
+});
+
+test('23 months are not enough for the seasonal model', () => {
+  assert.equal(forecastSpend(series('2022-01', Array(23).fill(1000))).method, 'holt');
+});
+
+test('the confidence band widens with the square root of the horizon and stops at 0', () => {
+  const result = forecastSpend(series('2024-01', [100, 900, 100, 900, 100, 900]), 4);
+  const [first, , , fourth] = result.forecast;
+  assert.ok(margin(first) > 0);
+  assert.ok(Math.abs(margin(fourth) / margin(first) - 2) < 0.01);
+  assert.ok(result.forecast.every(entry => entry.lower >= 0 && entry.lower <= entry.spend && entry.spend <= entry.upper));
+  assert.equal(first.lower, 0);
+});
+
+test('the horizon is kept between 1 and 6 months', () => {
+  const months = series('2024-01', [100, 200, 300]);
+  assert.equal(forecastSpend(months, 0).forecast.length, 1);
+  assert.equal(forecastSpend(months, 'x').forecast.length, 1);
+  assert.equal(forecastSpend(months).forecast.length, 3);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { round2, sumOf, csvField } = require('../helpers');
+
+test('round2 rounds to two decimals', () => {
+  assert.equal(round2(500.555), 500.56);
+  assert.equal(round2(0.1 + 0.2), 0.3);
+  assert.equal(round2(-250.284), -250.28);
+});
+
+test('sumOf adds a list and gives 0 for an empty one', () => {
+  assert.equal(sumOf([1, 2, 3.5]), 6.5);
+  assert.equal(sumOf([]), 0);
+});
+
+test('csvField quotes commas, quotes and line breaks', () => {
+  assert.equal(csvField('Pizza Place'), 'Pizza Place');
+  assert.equal(csvField('A, "B"'), '"A, ""B"""');
+  assert.equal(csvField('two\nlines'), '"two\nlines"');
+  assert.equal(csvField('two\rlines'), '"two\rlines"');
+  assert.equal(csvField(null), '');
+  assert.equal(csvField(undefined), '');
+  assert.equal(csvField(0), '0');
+});
+
+test('csvField keeps spreadsheet formulas from running', () => {
+  assert.equal(csvField('=HYPERLINK("http://x","y")'), '"\'=HYPERLINK(""http://x"",""y"")"');
+  assert.equal(csvField('+91 Cafe'), "'+91 Cafe");
+  assert.equal(csvField('-Special'), "'-Special");
+  assert.equal(csvField('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(csvField('\tTabbed'), "'\tTabbed");
+  assert.equal(csvField('\rReturn'), '"\'\rReturn"');
+  assert.equal(csvField('-250.28'), '-250.28');
+  assert.equal(csvField(-250.28), '-250.28');
+  assert.equal(csvField('+12'), '+12');
+});
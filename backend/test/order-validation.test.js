@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateOrder } = require('../order-validation');
+const { createOrder } = require('../order-schema');
+
+test('a negative amount is an error', () => {
+  const { errors } = validateOrder({ date: '2024-01-31', amount: '-₹250' });
+  assert.deepEqual(errors, [{ field: 'amount', reason: 'must be at least 0' }]);
+  assert.deepEqual(validateOrder({ date: '2024-01-31', amount: 0 }).errors, []);
+});
+
+test('negative fees, items, discounts and taxes are warnings', () => {
+  const { errors, warnings } = validateOrder({
+    date: '2024-01-31',
+    amount: 250,
+    items: [{ name: 'Dosa', price: -80 }],
+    fees: { delivery: '-₹20' },
+    discount: { amount: -10 },
+    membership: { savings: -5 },
+    taxes: '-12.50'
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings.map(warning => warning.field).sort(),
+    ['discount.amount', 'fees.delivery', 'items[0].price', 'membership.savings', 'taxes']);
+});
+
+test('createOrder drops negative breakdown amounts', () => {
+  const order = createOrder({ date: '2024-01-31', amount: 250, fees: { delivery: -20, tip: 10 }, taxes: -1 });
+  assert.equal(order.fees.delivery, null);
+  assert.equal(order.fees.tip, 10);
+  assert.equal(order.taxes, null);
+});
+
+test('a date in an unlisted format is an error', () => {
+  const { errors } = validateOrder({ date: '1/2/2024', amount: 250 });
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].field, 'date');
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseReceiptText, parseDateTimeText } = require('../receipt-parser');
+
+const receipt = (...lines) => lines.join('\n');
+
+test('parseDateTimeText reads numeric dates day-first', () => {
+  assert.deepEqual(parseDateTimeText('05/02/2024'), { date: '2024-02-05', timestamp: null });
+  assert.deepEqual(parseDateTimeText('31-01-2024 13:45'), { date: '2024-01-31', timestamp: '2024-01-31T13:45:00+05:30' });
+  assert.equal(parseDateTimeText('13/31/2024'), null);
+  assert.equal(parseDateTimeText('31/02/2024'), null);
+});
+
+test('parseDateTimeText reads spelled-out months and 12-hour times as IST', () => {
+  assert.deepEqual(parseDateTimeText('Sat, Jan 20, 2024, 08:07 PM'), { date: '2024-01-20', timestamp: '2024-01-20T20:07:00+05:30' });
+  assert.deepEqual(parseDateTimeText('05 Feb 2024 at 20:10'), { date: '2024-02-05', timestamp: '2024-02-05T20:10:00+05:30' });
+  assert.equal(parseDateTimeText('20 Jan 2024 12:15 AM').timestamp, '2024-01-20T00:15:00+05:30');
+  assert.equal(parseDateTimeText('20 Jan 2024 12:15 PM').timestamp, '2024-01-20T12:15:00+05:30');
+  assert.equal(parseDateTimeText('20 Jan 2024 11:59 pm').timestamp, '2024-01-20T23:59:00+05:30');
+  assert.deepEqual(parseDateTimeText('20 Jan 2024 25:00'), { date: '2024-01-20', timestamp: null });
+  assert.equal(parseDateTimeText('no date here'), null);
+});
+
+test('parseReceiptText reads the fields of a receipt', () => {
+  const fields = parseReceiptText(receipt(
+    'Order No: 123456789',
+    'Order Date: 20 Jan 2024, 08:07 PM',
+    'Ordered from: Pizza Place',
+    '2 x Margherita ₹300.00',
+    'Garlic Bread x 1 ₹120.00',
+    'Item Total ₹420.00',
+    'Delivery fee ₹35.00',
+    'Packaging charges ₹20.00',
+    'Coupon code applied (SAVE50) -₹50.00',
+    'Grand Total ₹425.00',
+    'Paid via UPI'
+  ));
+  assert.equal(fields.orderId, '123456789');
+  assert.equal(fields.date, '2024-01-20');
+  assert.equal(fields.timestamp, '2024-01-20T20:07:00+05:30');
+  assert.equal(fields.restaurant, 'Pizza Place');
+  assert.deepEqual(fields.items, [
+    { name: 'Margherita', quantity: 2, price: 300 },
+    { name: 'Garlic Bread', quantity: 1, price: 120 }
+  ]);
+  assert.deepEqual(fields.fees, { delivery: 35, packaging: 20 });
+  assert.deepEqual(fields.discount, { coupon: 'SAVE50', amount: 50 });
+  assert.equal(fields.amount, 425);
+  assert.equal(fields.currency, 'INR');
+  assert.equal(fields.paymentMethod, 'UPI');
+  assert.equal(parseReceiptText('Coupon Code: WELCOME60').discount.coupon, 'WELCOME60');
+  assert.equal(parseReceiptText('coupon applied - FEAST').discount.coupon, 'FEAST');
+});
+
+test('parseReceiptText takes an amount from the next line when the label stands alone', () => {
+  const fields = parseReceiptText(receipt(
+    'Invoice Date',
+    '31-01-2024',
+    'Delivery fee',
+    '₹ 40.00',
+    'Grand Total',
+    '₹ 1,240.50'
+  ));
+  assert.equal(fields.date, '2024-01-31');
+  assert.deepEqual(fields.fees, { delivery: 40 });
+  assert.equal(fields.amount, 1240.5);
+});
+
+test('parseReceiptText adds up CGST and SGST when there is no tax total', () => {
+  const fields = parseReceiptText(receipt('CGST ₹10.25', 'SGST ₹10.25', 'Grand Total ₹441.00'));
+  assert.equal(fields.taxes, 20.5);
+  assert.equal(fields.amount, 441);
+});
+
+test('parseReceiptText does not read a "Total taxes" line as the total', () => {
+  const fields = parseReceiptText(receipt('CGST ₹10.00', 'SGST ₹10.00', 'Total taxes ₹20.00', 'Grand Total ₹420.00'));
+  assert.equal(fields.taxes, 20);
+  assert.equal(fields.amount, 420);
+
+  const withoutTotal = parseReceiptText(receipt('Total taxes ₹20.00', 'Total discount ₹5.00'));
+  assert.equal(withoutTotal.amount, undefined);
+  assert.equal(withoutTotal.taxes, 20);
+  assert.equal(withoutTotal.discount.amount, 5);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkClaimFields, withoutClaimData, buildClaimsReport } = require('../reimbursements');
+
+const claim = (changes) => ({ status: 'pending', submittedOn: null, paidOn: null, note: null, ...changes });
+
+test('checkClaimFields accepts stored claim data and orders without it', () => {
+  assert.equal(checkClaimFields({ amount: 100 }), null);
+  assert.equal(checkClaimFields({ reimbursable: false, reimbursableSource: 'manual', claim: null }), null);
+  assert.equal(checkClaimFields({
+    reimbursable: true,
+    reimbursableSource: 'rule',
+    reimbursableRule: 'Office lunch',
+    claim: claim({ status: 'submitted', submittedOn: '2024-01-31', note: 'Client lunch' })
+  }), null);
+});
+
+test('checkClaimFields rejects values the claims report cannot use', () => {
+  assert.match(checkClaimFields({ reimbursable: 'yes' }), /reimbursable must be/);
+  assert.match(checkClaimFields({ reimbursableSource: 'import' }), /reimbursableSource/);
+  assert.match(checkClaimFields({ reimbursable: true, claim: claim({ status: 'bogus' }) }), /claim.status/);
+  assert.match(checkClaimFields({ reimbursable: true, claim: claim({ paidOn: '31/01/2024' }) }), /claim.paidOn/);
+  assert.match(checkClaimFields({ reimbursable: true, claim: claim({ note: 'x'.repeat(201) }) }), /claim.note/);
+  assert.match(checkClaimFields({ reimbursable: true, claim: 'paid' }), /claim must be/);
+  assert.match(checkClaimFields({ reimbursable: false, claim: claim() }), /Only reimbursable orders/);
+});
+
+test('withoutClaimData drops the reimbursement fields only', () => {
+  const order = { date: '2024-01-10', amount: 100, reimbursable: true, reimbursableSource: 'manual', reimbursableRule: null, claim: claim({ status: 'bogus' }) };
+  assert.deepEqual(withoutClaimData(order), { date: '2024-01-10', amount: 100 });
+  assert.equal(withoutClaimData(null), null);
+});
+
+test('buildClaimsReport counts only orders that are reimbursable', () => {
+  const report = buildClaimsReport([
+    { id: 1, date: '2024-01-10', amount: 100, restaurant: 'A', reimbursable: true, claim: claim() },
+    { id: 2, date: '2024-01-11', amount: 200, restaurant: 'B', reimbursable: 'yes', claim: claim() }
+  ], { period: { month: '2024-01' }, currency: 'INR', generatedOn: '2024-02-01' });
+  assert.deepEqual(report.claims.map(entry => entry.id), [1]);
+});
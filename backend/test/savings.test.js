@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeMembership, calculateSavings } = require('../savings');
+
+const membership = { platform: 'swiggy', name: 'Swiggy One', cost: 10, currency: 'USD', startDate: '2024-01-01', endDate: '2024-03-31' };
+const orders = [
+  { date: '2024-01-10', platform: 'swiggy', amount: 500, membership: { savings: 600 }, currency: 'INR' },
+  { date: '2024-02-10', platform: 'swiggy', amount: 500, membership: { savings: 300 }, currency: 'INR' }
+];
+
+test('normalizeMembership keeps the currency, defaulting to the one given', () => {
+  const fields = { platform: 'Swiggy', name: 'Swiggy One', cost: 299, startDate: '2024-01-01', endDate: '2024-03-31' };
+  assert.equal(normalizeMembership(fields, 'INR').membership.currency, 'INR');
+  assert.equal(normalizeMembership({ ...fields, currency: 'usd' }).membership.currency, 'USD');
+  assert.equal(normalizeMembership({ ...fields, currency: 'x' }).error, 'currency must be a currency code such as INR');
+});
+
+test('normalizeMembership rejects dates that are not on the calendar', () => {
+  const fields = { platform: 'swiggy', name: 'Swiggy One', cost: 299, startDate: '2024-01-01', endDate: '2024-03-31' };
+  const error = 'startDate and endDate must be YYYY-MM-DD';
+  assert.equal(normalizeMembership({ ...fields, endDate: '2024-02-31' }).error, error);
+  assert.equal(normalizeMembership({ ...fields, startDate: '2024-13-01' }).error, error);
+  assert.equal(normalizeMembership({ ...fields, startDate: 20240101 }).error, error);
+  assert.equal(normalizeMembership({ ...fields, endDate: '2024-02-29' }).membership.endDate, '2024-02-29');
+});
+
+test('a membership cost in another currency is converted at its start date', () => {
+  const rates = [{ date: '2024-01-01', from: 'USD', to: 'INR', rate: 83 }];
+  const [report] = calculateSavings(orders, [membership], { currency: 'INR', rates }).memberships;
+  assert.equal(report.cost, 830);
+  assert.equal(report.currency, 'INR');
+  assert.equal(report.originalCost, 10);
+  assert.equal(report.originalCurrency, 'USD');
+  assert.equal(report.net, 70);
+  assert.equal(report.worthIt, true);
+});
+
+test('a membership cost with no exchange rate gets no verdict', () => {
+  const [report] = calculateSavings(orders, [membership], { currency: 'INR', rates: [] }).memberships;
+  assert.equal(report.savings, 900);
+  assert.equal(report.net, null);
+  assert.equal(report.worthIt, null);
+});
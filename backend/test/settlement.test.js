@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { reconcileSplit, calculateBalances, settleBalances } = require('../settlement');
+
+const split = (mode, participants) => ({ paidBy: 'Asha', mode, participants });
+
+test('reconcileSplit works equal shares out again for a changed amount', () => {
+  const order = { amount: 301, split: split('equal', [{ name: 'Asha', share: 150 }, { name: 'Ravi', share: 150 }]) };
+  assert.deepEqual(reconcileSplit(order).split.participants, [{ name: 'Asha', share: 150.5 }, { name: 'Ravi', share: 150.5 }]);
+});
+
+test('reconcileSplit drops custom shares that no longer add up', () => {
+  const order = { amount: 400, split: split('custom', [{ name: 'Asha', share: 100 }, { name: 'Ravi', share: 200 }]) };
+  assert.equal('split' in reconcileSplit(order), false);
+  assert.equal(reconcileSplit({ amount: 400 }).split, undefined);
+});
+
+test('calculateBalances skips invalid splits instead of throwing', () => {
+  const balances = calculateBalances([
+    { amount: 300, split: split('custom', [{ name: 'Asha', share: 100 }, { name: 'Ravi', share: 200 }]) },
+    { amount: 100, split: { paidBy: 'Ravi' } },
+    { amount: 100, split: 'bogus' },
+    { amount: 100, split: split('custom', [{ name: 'Asha', share: 'x' }]) }
+  ]);
+  assert.deepEqual(balances, [
+    { name: 'Asha', currency: 'INR', paid: 300, share: 100, balance: 200 },
+    { name: 'Ravi', currency: 'INR', paid: 0, share: 200, balance: -200 }
+  ]);
+});
+
+test('balances and transfers are kept apart per currency', () => {
+  const participants = [{ name: 'Asha' }, { name: 'Ravi' }];
+  const balances = calculateBalances([
+    { amount: 300, currency: 'INR', split: split('equal', participants) },
+    { amount: 40, currency: 'USD', split: { paidBy: 'Ravi', participants } }
+  ]);
+  assert.deepEqual(balances, [
+    { name: 'Asha', currency: 'INR', paid: 300, share: 150, balance: 150 },
+    { name: 'Ravi', currency: 'INR', paid: 0, share: 150, balance: -150 },
+    { name: 'Ravi', currency: 'USD', paid: 40, share: 20, balance: 20 },
+    { name: 'Asha', currency: 'USD', paid: 0, share: 20, balance: -20 }
+  ]);
+  assert.deepEqual(settleBalances(balances), [
+    { from: 'Ravi', to: 'Asha', currency: 'INR', amount: 150 },
+    { from: 'Asha', to: 'Ravi', currency: 'USD', amount: 20 }
+  ]);
+});
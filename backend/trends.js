@@ -0,0 +1,63 @@
+/**
+ * Month-by-month spending trends: rolling averages, month-over-month and year-over-year change,
+ * and the best (lowest spend) and worst (highest spend) months.
+ *
+ * Months between the first and last month with orders that have no orders count as zero spend, so
+ * a quiet month pulls the rolling averages down instead of being skipped.
+ */
+
+const { monthRange } = require('./dates');
+const { round2, sumOf } = require('./helpers');
+
+const ROLLING_WINDOWS = [3, 6];
+
+// Helper function to get the percentage change from one spend to another (null without a base)
+const percentChange = (from, to) => (from > 0 ? round2(((to - from) / from) * 100) : null);
+
+/**
+ * @param {Object} monthlySpend - Spend per YYYY-MM, as from calculateMonthlySpend
+ * @param {Object} [options]
+ * @param {string} [options.currentMonth] - YYYY-MM still in progress; left out of best/worst month
+ * @returns {{months: Array<Object>, bestMonth: Object|null, worstMonth: Object|null}}
+ *   months: {month, spend, rolling3, rolling6, momChange, yoyChange} oldest first. Rolling averages
+ *   are null until the window is full; changes are percentages, null without a previous month to compare with
+ */
+function calculateTrends(monthlySpend, { currentMonth = null } = {}) {
+  const keys = Object.keys(monthlySpend).sort();
+  if (keys.length === 0) {
+    return { months: [], bestMonth: null, worstMonth: null };
+  }
+
+  const labels = monthRange(keys[0], keys[keys.length - 1]);
+  const spend = labels.map(month => round2(monthlySpend[month] || 0));
+  const byMonth = new Map(labels.map((month, index) => [month, spend[index]]));
+
+  const months = labels.map((month, index) => {
+    const entry = { month, spend: spend[index] };
+    ROLLING_WINDOWS.forEach(size => {
+      const window = spend.slice(Math.max(0, index - size + 1), index + 1);
+      entry[`rolling${size}`] = window.length === size
+        ? round2(sumOf(window) / size)
+        : null;
+    });
+    entry.momChange = index > 0 ? percentChange(spend[index - 1], spend[index]) : null;
+    const lastYear = `${Number(month.slice(0, 4)) - 1}${month.slice(4)}`;
+    entry.yoyChange = byMonth.has(lastYear) ? percentChange(byMonth.get(lastYear), spend[index]) : null;
+    return entry;
+  });
+
+  // Only complete months with orders compete for best and worst
+  const candidates = months.filter(entry => entry.month !== currentMonth && entry.month in monthlySpend);
+  const pick = (better) => candidates.reduce((chosen, entry) => (chosen && !better(entry, chosen) ? chosen : entry), null);
+
+  return {
+    months,
+    bestMonth: pick((entry, chosen) => entry.spend < chosen.spend),
+    worstMonth: pick((entry, chosen) => entry.spend > chosen.spend)
+  };
+}
+
+module.exports = {
+  ROLLING_WINDOWS,
+  calculateTrends
+};
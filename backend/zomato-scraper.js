@@ -0,0 +1,348 @@
+const { addDebug, getDebugLog, getSession, createSession, closeSession, loadAllPages } = require('./browser-session');
+const { createOrder } = require('./order-schema');
+const { parseDateTimeText } = require('./receipt-parser');
+
+const ZOMATO_HOME_URL = 'https://www.zomato.com/';
+const ZOMATO_ORDERS_URL = 'https://www.zomato.com/users/orderhistory';
+
+/**
+ * NOTE: Like the Swiggy scraper, this relies on Zomato's current DOM structure and may break if
+ * Zomato updates their UI. Zomato logs in through a modal on the home page and asks for the OTP in
+ * six single-digit boxes, so the selectors below cover both that layout and a plain OTP input.
+ */
+
+/**
+ * Initialize Zomato login and wait for OTP
+ * @param {string} mobileNumber - User's mobile number
+ * @param {string} sessionId - Unique session identifier
+ * @returns {Promise<{success: boolean, message: string, sessionId: string}>}
+ */
+async function initZomatoLogin(mobileNumber, sessionId) {
+  try {
+    const { page } = await createSession(sessionId, { mobileNumber, platform: 'zomato' });
+    addDebug(sessionId, `Session ${sessionId} created for ${mobileNumber}`);
+
+    await page.goto(ZOMATO_HOME_URL, {
+      waitUntil: 'networkidle',
+      timeout: 30000
+    });
+    addDebug(sessionId, `Navigated to ${page.url()}`);
+
+    await page.waitForTimeout(2000);
+
+    // Zomato shows "Log in" / "Sign up" links in the header until the user is logged in
+    const isLoggedIn = await page.evaluate(() => {
+      const hasLoginControl = Array.from(document.querySelectorAll('button, a'))
+        .some(el => /^log\s*in$/i.test((el.textContent || '').trim()));
+      return !hasLoginControl;
+    });
+
+    addDebug(sessionId, `Login state detected: ${isLoggedIn ? 'already logged in' : 'needs login (Log in present)'}`);
+
+    if (isLoggedIn) {
+      return {
+        success: true,
+        message: 'Already logged in',
+        sessionId,
+        needsOtp: false,
+        debugLog: getDebugLog(sessionId)
+      };
+    }
+
+    const loginButton =
+      (await page.$('a:has-text("Log in")').catch(() => null)) ||
+      (await page.$('button:has-text("Log in")').catch(() => null)) ||
+      (await page.$('text=Log in').catch(() => null));
+
+    if (loginButton) {
+      addDebug(sessionId, 'Found log-in control, clicking');
+      await loginButton.click();
+      await page.waitForTimeout(1500);
+    } else {
+      addDebug(sessionId, 'Log in control not found, continuing to search for inputs');
+    }
+
+    const mobileInput = await page.$('input[type="tel"]').catch(() => null) ||
+                        await page.$('input[type="number"]').catch(() => null) ||
+                        await page.$('input[placeholder*="Phone"]').catch(() => null) ||
+                        await page.$('input[placeholder*="phone"]').catch(() => null);
+
+    if (!mobileInput) {
+      addDebug(sessionId, 'Could not locate mobile number input on page');
+      throw new Error('Could not find mobile number input field');
+    }
+
+    addDebug(sessionId, 'Filling mobile number into input');
+    await mobileInput.fill(mobileNumber);
+    await page.waitForTimeout(500);
+
+    const sendOtpButton = await page.$('button:has-text("Send One Time Password")').catch(() => null) ||
+                          await page.$('button:has-text("Send OTP")').catch(() => null) ||
+                          await page.$('button[type="submit"]').catch(() => null);
+
+    if (sendOtpButton) {
+      addDebug(sessionId, 'Clicking button to request OTP');
+      await sendOtpButton.click();
+      await page.waitForTimeout(2000);
+    } else {
+      addDebug(sessionId, 'Send OTP button not found after entering mobile');
+    }
+
+    return {
+      success: true,
+      message: 'OTP sent to mobile number. Please submit OTP to continue',
+      sessionId,
+      needsOtp: true,
+      debugLog: getDebugLog(sessionId)
+    };
+
+  } catch (error) {
+    addDebug(sessionId, `Login error: ${error.message}`);
+    const debugLog = getDebugLog(sessionId);
+    await closeSession(sessionId);
+
+    return {
+      success: false,
+      message: `Login failed: ${error.message}`,
+      error: error.message,
+      debugLog
+    };
+  }
+}
+
+/**
+ * Submit OTP and verify Zomato login
+ * @param {string} sessionId - Session identifier
+ * @param {string} otp - OTP code
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function submitOTP(sessionId, otp) {
+  try {
+    const session = getSession(sessionId);
+    if (!session) {
+      return {
+        success: false,
+        message: 'Session not found or expired',
+        debugLog: []
+      };
+    }
+
+    const { page } = session;
+    addDebug(sessionId, `Submitting OTP for session ${sessionId}`);
+
+    // Zomato renders one input per digit; fall back to a single OTP field
+    const digitInputs = await page.$$('input[maxlength="1"]').catch(() => []);
+
+    if (digitInputs.length >= otp.length) {
+      addDebug(sessionId, `Filling OTP into ${digitInputs.length} digit inputs`);
+      for (let i = 0; i < otp.length; i++) {
+        await digitInputs[i].fill(otp[i]);
+      }
+    } else {
+      const otpInput = await page.$('input[placeholder*="OTP"]').catch(() => null) ||
+                       await page.$('input[name="otp"]').catch(() => null) ||
+                       await page.$('input[type="text"]').catch(() => null);
+
+      if (!otpInput) {
+        addDebug(sessionId, 'Could not locate OTP input on page');
+        throw new Error('Could not find OTP input field');
+      }
+
+      addDebug(sessionId, 'Filling OTP into input');
+      await otpInput.fill(otp);
+    }
+    await page.waitForTimeout(500);
+
+    // Zomato usually verifies as soon as the last digit is entered, so the button is optional
+    const verifyButton = await page.$('button:has-text("Verify")').catch(() => null) ||
+                         await page.$('button:has-text("Continue")').catch(() => null);
+
+    if (verifyButton) {
+      addDebug(sessionId, 'Clicking verify button for OTP');
+      await verifyButton.click();
+    }
+    await page.waitForTimeout(3000);
+
+    const loginSuccess = await page.evaluate(() => {
+      const bodyText = document.body.innerText;
+      return !/invalid otp|incorrect otp|wrong otp/i.test(bodyText);
+    });
+
+    addDebug(sessionId, `OTP verification result: ${loginSuccess ? 'success' : 'failure'}`);
+
+    if (!loginSuccess) {
+      return {
+        success: false,
+        message: 'Invalid OTP. Please try again.',
+        debugLog: getDebugLog(sessionId)
+      };
+    }
+
+    return {
+      success: true,
+      message: 'Login successful! You can now scrape orders.',
+      debugLog: getDebugLog(sessionId)
+    };
+
+  } catch (error) {
+    return {
+      success: false,
+      message: `OTP verification failed: ${error.message}`,
+      error: error.message,
+      debugLog: getDebugLog(sessionId)
+    };
+  }
+}
+
+/**
+ * Extract orders from the rendered order history cards
+ * @param {Page} page - Playwright page
+ * @returns {Promise<Array<Object>>} Orders with date, time when shown, amount, restaurant and platform
+ */
+async function extractOrdersFromPage(page) {
+  const cards = await page.evaluate(() => {
+    // Each order card contains an "ORDERED ON" line, so anchor on that text
+    const orderElements = Array.from(document.querySelectorAll('div'))
+      .filter(el => /ordered on/i.test(el.innerText || '') && /₹/.test(el.innerText || ''))
+      .filter(el => !Array.from(el.children).some(child => /ordered on/i.test(child.innerText || '')));
+    const extractedOrders = [];
+
+    orderElements.forEach(orderEl => {
+      try {
+        const text = orderEl.innerText;
+
+        // Prefer the "Total" line; the card also lists per-item prices
+        const totalMatch = text.match(/total[^₹]*₹\s*(\d+(?:,\d+)*(?:\.\d+)?)/i) ||
+                           text.match(/₹\s*(\d+(?:,\d+)*(?:\.\d+)?)/);
+        const amount = totalMatch ? parseFloat(totalMatch[1].replace(/,/g, '')) : null;
+
+        // "ORDERED ON 05 Feb 2024 at 08:10 PM"; the date and time are parsed outside the page
+        const dateMatch = text.match(/\d{1,2}\s+(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*,?\s+\d{4}(?:[,\s]+(?:at\s+)?\d{1,2}:\d{2}\s*(?:AM|PM)?)?/i);
+        const dateText = dateMatch ? dateMatch[0] : null;
+
+        const lines = text.split('\n').filter(l => l.trim() && !/delivered|ordered on/i.test(l));
+        const restaurant = lines.length > 0 ? lines[0] : 'Unknown';
+
+        if (amount && dateText) {
+          extractedOrders.push({
+            dateText,
+            amount,
+            restaurant: restaurant.trim(),
+            platform: 'zomato'
+          });
+        }
+      } catch (e) {
+        // Skip this order if extraction fails
+      }
+    });
+
+    return extractedOrders;
+  });
+
+  return cards
+    .map(({ dateText, ...card }) => {
+      const when = parseDateTimeText(dateText);
+      return when && createOrder({ ...card, ...when });
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Scrape orders from Zomato
+ * @param {string} sessionId - Session identifier
+ * @param {Object} [options]
+ * @param {string} [options.since] - YYYY-MM-DD; stop loading history once orders this old appear
+ * @param {number} [options.maxPages] - Cap on "load more" attempts
+ * @param {number} [options.maxDurationMs] - Cap on time spent loading history
+ * @returns {Promise<{success: boolean, orders?: Array, history?: Object, message: string}>}
+ */
+async function scrapeOrders(sessionId, options = {}) {
+  try {
+    const session = getSession(sessionId);
+    if (!session) {
+      return {
+        success: false,
+        message: 'Session not found or expired. Please login first.',
+        debugLog: []
+      };
+    }
+
+    const { page } = session;
+
+    await page.goto(ZOMATO_ORDERS_URL, {
+      waitUntil: 'networkidle',
+      timeout: 30000
+    });
+    addDebug(sessionId, `Arrived at URL: ${page.url()}`);
+
+    await page.waitForTimeout(3000);
+
+    const history = await loadAllPages(page, sessionId, {
+      ...options,
+      loadMoreSelectors: ['button:has-text("Load more")', 'text=Load more'],
+      getProgress: async () => {
+        const loaded = await extractOrdersFromPage(page);
+        const oldestDate = loaded.reduce((oldest, o) => (!oldest || o.date < oldest ? o.date : oldest), null);
+        return { count: loaded.length, oldestDate };
+      }
+    });
+    addDebug(sessionId, `Finished loading order history (${history.stopReason}, ${history.pagesLoaded} pages)`);
+
+    let orders = await extractOrdersFromPage(page);
+    if (options.since) {
+      orders = orders.filter(order => order.date >= options.since);
+    }
+    addDebug(sessionId, `Order elements extracted: ${orders.length}`);
+
+    const debugLog = getDebugLog(sessionId);
+    await closeSession(sessionId);
+
+    if (orders.length === 0) {
+      return {
+        success: false,
+        message: 'No orders found. Please make sure you have orders in your Zomato account.',
+        orders: [],
+        history,
+        debugLog
+      };
+    }
+
+    return {
+      success: true,
+      message: history.complete
+        ? `Successfully scraped ${orders.length} orders`
+        : `Scraped ${orders.length} orders (history truncated: ${history.stopReason})`,
+      orders,
+      history,
+      debugLog
+    };
+
+  } catch (error) {
+    addDebug(sessionId, `Scraping error: ${error.message}`);
+    const debugLog = getDebugLog(sessionId);
+    await closeSession(sessionId);
+
+    return {
+      success: false,
+      message: `Scraping failed: ${error.message}`,
+      error: error.message,
+      orders: [],
+      debugLog
+    };
+  }
+}
+
+/**
+ * Clean up a session
+ * @param {string} sessionId - Session identifier
+ */
+async function cleanupSession(sessionId) {
+  await closeSession(sessionId);
+}
+
+module.exports = {
+  initZomatoLogin,
+  submitOTP,
+  scrapeOrders,
+  cleanupSession
+};
@@ -0,0 +1,38 @@
+import React from 'react';
+import { formatMoney } from './money';
+
+const FINDING_LABELS = {
+  'duplicate-charge': 'Possible duplicate charge',
+  'outlier-order': 'Unusually large order',
+  'spending-spike': 'Spending spike',
+};
+
+const describeOrder = (order, currency) => `${order.timestamp ? order.timestamp.slice(0, 16).replace('T', ' ') : order.date} · ${order.restaurant || 'Unknown'} · ${formatMoney(order.amount, currency)}`;
+
+// Findings from the analysis: duplicate charges first, then large orders and spiky months
+function Anomalies({ findings, currency }) {
+  if (findings.length === 0) {
+    return <p className="info-text">Nothing unusual found in your orders.</p>;
+  }
+
+  return (
+    <ul className="anomaly-list">
+      {findings.map((finding) => (
+        <li
+          key={finding.type === 'spending-spike' ? finding.month : `${finding.type}-${finding.orders.map((order) => order.index).join('-')}`}
+          className={`anomaly anomaly--${finding.type}`}
+        >
+          <strong>{FINDING_LABELS[finding.type]}</strong>
+          {finding.orders && (
+            <span className="anomaly__orders">{finding.orders.map((order) => describeOrder(order, currency)).join(' / ')}</span>
+          )}
+          <ul>
+            {finding.reasons.map((reason) => <li key={reason}>{reason}</li>)}
+          </ul>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default Anomalies;
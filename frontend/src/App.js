@@ -1,47 +1,195 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import axios from 'axios';
 import {
   Chart as ChartJS,
   CategoryScale,
   LinearScale,
   BarElement,
+  LineController,
+  LineElement,
+  PointElement,
   Title,
   Tooltip,
   Legend,
   ArcElement,
+  Filler,
 } from 'chart.js';
-import { Bar } from 'react-chartjs-2';
+import { Bar, Doughnut } from 'react-chartjs-2';
+import { mergeOrders } from './orderMerge';
+import AuthForm from './AuthForm';
+import OrderList from './OrderList';
+import Settlements from './Settlements';
+import Statement from './Statement';
+import CsvImport from './CsvImport';
+import UploadImport from './UploadImport';
+import CategoryRules from './CategoryRules';
+import ReimbursementRules from './ReimbursementRules';
+import Claims from './Claims';
+import RestaurantStats from './RestaurantStats';
+import Budgets from './Budgets';
+import SpendingPatterns from './SpendingPatterns';
+import MonthlyTrends from './MonthlyTrends';
+import Anomalies from './Anomalies';
+import Memberships from './Memberships';
+import ValidationReport from './ValidationReport';
+import Savings from './Savings';
+import ExchangeRates from './ExchangeRates';
+import { DEFAULT_CURRENCY, currencySymbol, formatMoney } from './money';
 import './App.css';
 
 ChartJS.register(
   CategoryScale,
   LinearScale,
   BarElement,
+  LineController,
+  LineElement,
+  PointElement,
   Title,
   Tooltip,
   Legend,
-  ArcElement
+  ArcElement,
+  Filler
 );
 
+const FORECAST_METHODS = {
+  'holt-winters': 'seasonal exponential smoothing (Holt-Winters)',
+  holt: 'exponential smoothing with a damped trend',
+  mean: 'the average month (too little history for a trend)',
+};
+
+const AUTH_STORAGE_KEY = 'deliveryExpenseAuth';
+
+const loadStoredAuth = () => {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY));
+  } catch (err) {
+    return null;
+  }
+};
+
 function App() {
   const DEBUG_LOG_LIMIT = 50;
+  const [auth, setAuth] = useState(loadStoredAuth); // { token, user }
   const [orders, setOrders] = useState([]);
+  const [importSummary, setImportSummary] = useState(null);
+  const [categoryRules, setCategoryRules] = useState([]);
+  const [reimbursementRules, setReimbursementRules] = useState([]);
+  const [budgetStatus, setBudgetStatus] = useState({ budgets: [], current: null, warnings: [] });
+  const [memberships, setMemberships] = useState([]);
+  const [exchangeRates, setExchangeRates] = useState({ reportingCurrency: DEFAULT_CURRENCY, rates: [] });
+  // False when the backend order store could not be reached; imports then stay in the browser
+  const [storeOnline, setStoreOnline] = useState(true);
+  const [jsonText, setJsonText] = useState('');
   const [analysis, setAnalysis] = useState(null);
   const [rangeAnalysis, setRangeAnalysis] = useState(null);
+  const [patterns, setPatterns] = useState(null);
+  const [forecast, setForecast] = useState(null);
+  const [forecastMonths, setForecastMonths] = useState(3); // 0 hides the forecast
   const [startDate, setStartDate] = useState('');
   const [endDate, setEndDate] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   
-  // Swiggy login state
+  // Platform login state
+  const [providers, setProviders] = useState([]);
+  const [platform, setPlatform] = useState('swiggy');
   const [mobileNumber, setMobileNumber] = useState('');
   const [sessionId, setSessionId] = useState('');
   const [otp, setOtp] = useState('');
+  const [scrapeSince, setScrapeSince] = useState('');
   const [loginStep, setLoginStep] = useState('initial'); // initial, otp, scraping
   const [scrapingStatus, setScrapingStatus] = useState('');
   const [debugLog, setDebugLog] = useState([]);
 
   const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+  const platformLabel = providers.find((p) => p.name === platform)?.label || platform;
+
+  // Send the session token with every request and drop it once the server rejects it
+  useEffect(() => {
+    const requestInterceptor = axios.interceptors.request.use((config) => {
+      if (auth?.token) {
+        config.headers.Authorization = `Bearer ${auth.token}`;
+      }
+      return config;
+    });
+    const responseInterceptor = axios.interceptors.response.use(
+      (response) => response,
+      (err) => {
+        if (err.response?.status === 401 && auth) {
+          localStorage.removeItem(AUTH_STORAGE_KEY);
+          setAuth(null);
+        }
+        return Promise.reject(err);
+      }
+    );
+
+    return () => {
+      axios.interceptors.request.eject(requestInterceptor);
+      axios.interceptors.response.eject(responseInterceptor);
+    };
+  }, [auth]);
+
+  useEffect(() => {
+    setOrders([]);
+    setImportSummary(null);
+    setAnalysis(null);
+    setRangeAnalysis(null);
+    setPatterns(null);
+    setForecast(null);
+    if (!auth) return;
+
+    axios.get(`${API_URL}/api/orders`)
+      .then((response) => {
+        setOrders(response.data.orders || []);
+        setStoreOnline(true);
+      })
+      .catch((err) => {
+        console.error('Error loading stored orders:', err);
+        setStoreOnline(false);
+      });
+    axios.get(`${API_URL}/api/categories/rules`)
+      .then((response) => setCategoryRules(response.data.rules))
+      .catch((err) => console.error('Error loading category rules:', err));
+    axios.get(`${API_URL}/api/reimbursements/rules`)
+      .then((response) => setReimbursementRules(response.data.rules))
+      .catch((err) => console.error('Error loading reimbursement rules:', err));
+    axios.get(`${API_URL}/api/memberships`)
+      .then((response) => setMemberships(response.data.memberships))
+      .catch((err) => console.error('Error loading memberships:', err));
+    axios.get(`${API_URL}/api/exchange-rates`)
+      .then((response) => setExchangeRates(response.data))
+      .catch((err) => console.error('Error loading exchange rates:', err));
+  }, [API_URL, auth]);
+
+  // Budget status depends on the orders, so it is refreshed whenever they change
+  useEffect(() => {
+    if (!auth || !storeOnline) return;
+
+    axios.get(`${API_URL}/api/budgets`)
+      .then((response) => setBudgetStatus(response.data))
+      .catch((err) => console.error('Error loading budgets:', err));
+  }, [API_URL, auth, storeOnline, orders]);
+
+  const handleAuthenticated = (session) => {
+    localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(session));
+    setAuth(session);
+  };
+
+  const handleLogout = async () => {
+    try {
+      await axios.post(`${API_URL}/api/auth/logout`);
+    } catch (err) {
+      console.error('Error logging out:', err);
+    }
+    localStorage.removeItem(AUTH_STORAGE_KEY);
+    setAuth(null);
+  };
+
+  useEffect(() => {
+    axios.get(`${API_URL}/api/providers`)
+      .then((response) => setProviders(response.data.providers || []))
+      .catch((err) => console.error('Error loading providers:', err));
+  }, [API_URL]);
 
   const replaceDebugLog = (payload) => {
     if (payload?.debugLog && Array.isArray(payload.debugLog)) {
@@ -60,6 +208,114 @@ function App() {
     });
   };
 
+  // Merge imported orders into the stored set instead of replacing it.
+  // Falls back to merging in the browser only when the store is unreachable; a store that answers
+  // with an error (a rejected batch, a body too large) keeps the orders as they were.
+  const importOrders = async (incoming) => {
+    setError('');
+    try {
+      const response = await axios.post(`${API_URL}/api/orders`, { orders: incoming });
+      setOrders(response.data.orders);
+      setImportSummary(response.data.summary);
+      setStoreOnline(true);
+    } catch (err) {
+      if (err.response) {
+        setImportSummary(err.response.data?.summary || null);
+        setError('Orders could not be imported: ' + (err.response.data?.error || err.message));
+        return;
+      }
+      const { orders: merged, summary } = mergeOrders(orders, incoming);
+      setOrders(merged);
+      setImportSummary(summary);
+      setStoreOnline(false);
+      setError('Orders could not be saved on the server: ' + err.message);
+    }
+  };
+
+  // Server-side importers store the orders themselves and answer with the merged set
+  const handleUploadImported = (data) => {
+    setOrders(data.orders);
+    setImportSummary(data.summary);
+    setStoreOnline(true);
+  };
+
+  const reloadStoredOrders = async () => {
+    const response = await axios.get(`${API_URL}/api/orders`);
+    setOrders(response.data.orders);
+  };
+
+  const handleOrderUpdated = (updated) => {
+    setOrders(orders.map((order) => (order.id === updated.id ? updated : order)));
+  };
+
+  const handleOrdersUpdated = (updated) => {
+    const byId = new Map(updated.map((order) => [order.id, order]));
+    setOrders(orders.map((order) => byId.get(order.id) || order));
+  };
+
+  // Saving rules re-tags the stored orders, so they are reloaded afterwards
+  const saveCategoryRules = async (rules) => {
+    const response = await axios.put(`${API_URL}/api/categories/rules`, { rules });
+    setCategoryRules(response.data.rules);
+    await reloadStoredOrders();
+    return response.data.recategorized;
+  };
+
+  // Saving rules re-flags the stored orders, so they are reloaded afterwards
+  const saveReimbursementRules = async (rules) => {
+    const response = await axios.put(`${API_URL}/api/reimbursements/rules`, { rules });
+    setReimbursementRules(response.data.rules);
+    await reloadStoredOrders();
+    return response.data.reflagged;
+  };
+
+  const categoryNames = [...new Set(categoryRules.map((rule) => rule.category))].sort();
+  const platformNames = [...new Set([
+    ...providers.map((provider) => provider.name),
+    ...orders.map((order) => order.platform).filter(Boolean),
+  ])].sort();
+
+  const saveBudgets = async (budgets) => {
+    const response = await axios.put(`${API_URL}/api/budgets`, { budgets });
+    setBudgetStatus(response.data);
+  };
+
+  const saveMemberships = async (changed) => {
+    const response = await axios.put(`${API_URL}/api/memberships`, { memberships: changed });
+    setMemberships(response.data.memberships);
+  };
+
+  // Totals change with the currency, so the budget status is reloaded and old results dropped
+  const saveExchangeRates = async (rates, reportingCurrency) => {
+    if (reportingCurrency !== exchangeRates.reportingCurrency) {
+      await axios.put(`${API_URL}/api/settings`, { settings: { reportingCurrency } });
+    }
+    const response = await axios.put(`${API_URL}/api/exchange-rates`, { rates });
+    setExchangeRates(response.data);
+    setAnalysis(null);
+    setRangeAnalysis(null);
+    setPatterns(null);
+    setForecast(null);
+    const budgets = await axios.get(`${API_URL}/api/budgets`);
+    setBudgetStatus(budgets.data);
+  };
+
+  const clearOrders = async () => {
+    try {
+      if (storeOnline) {
+        await axios.delete(`${API_URL}/api/orders`);
+      }
+      setOrders([]);
+      setImportSummary(null);
+      setAnalysis(null);
+      setRangeAnalysis(null);
+      setPatterns(null);
+      setForecast(null);
+    } catch (err) {
+      setError('Error clearing orders: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
   const handleFileUpload = (event) => {
     const file = event.target.files[0];
     if (file) {
@@ -68,8 +324,7 @@ function App() {
         try {
           const data = JSON.parse(e.target.result);
           if (Array.isArray(data)) {
-            setOrders(data);
-            setError('');
+            importOrders(data);
           } else {
             setError('Invalid JSON format. Please upload an array of orders.');
           }
@@ -81,17 +336,17 @@ function App() {
     }
   };
 
-  const handleTextInput = (event) => {
+  const handleTextImport = () => {
     try {
-      const data = JSON.parse(event.target.value);
+      const data = JSON.parse(jsonText);
       if (Array.isArray(data)) {
-        setOrders(data);
-        setError('');
+        importOrders(data);
+        setJsonText('');
       } else {
         setError('Invalid JSON format. Please provide an array of orders.');
       }
     } catch (err) {
-      // User is still typing, don't show error yet
+      setError('Error parsing JSON: ' + err.message);
     }
   };
 
@@ -105,8 +360,10 @@ function App() {
     setError('');
     
     try {
-      const response = await axios.post(`${API_URL}/api/analyze`, { orders });
+      // The server analyzes its stored orders; only send them when they live in the browser
+      const response = await axios.post(`${API_URL}/api/analyze`, storeOnline ? {} : { orders });
       setAnalysis(response.data);
+      await loadForecast(forecastMonths);
     } catch (err) {
       setError('Error analyzing orders: ' + (err.response?.data?.error || err.message));
     } finally {
@@ -114,6 +371,23 @@ function App() {
     }
   };
 
+  const loadForecast = async (months) => {
+    setForecastMonths(months);
+    if (months === 0) {
+      setForecast(null);
+      return;
+    }
+    try {
+      const response = await axios.post(`${API_URL}/api/forecast`, {
+        ...(storeOnline ? {} : { orders }),
+        months
+      });
+      setForecast(response.data);
+    } catch (err) {
+      setError('Error forecasting spend: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
   const analyzeRange = async () => {
     if (orders.length === 0) {
       setError('Please add orders first');
@@ -130,7 +404,7 @@ function App() {
     
     try {
       const response = await axios.post(`${API_URL}/api/analyze-range`, {
-        orders,
+        ...(storeOnline ? {} : { orders }),
         startDate,
         endDate
       });
@@ -142,27 +416,45 @@ function App() {
     }
   };
 
+  const analyzePatterns = async () => {
+    if (orders.length === 0) {
+      setError('Please add orders first');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await axios.post(`${API_URL}/api/analyze-patterns`, storeOnline ? {} : { orders });
+      setPatterns(response.data);
+    } catch (err) {
+      setError('Error analyzing spending patterns: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const loadSampleData = () => {
     const sampleOrders = [
-      { date: '2024-01-15', amount: 350, restaurant: 'Pizza Place' },
-      { date: '2024-01-20', amount: 280, restaurant: 'Burger Joint' },
-      { date: '2024-02-05', amount: 420, restaurant: 'Chinese Express' },
-      { date: '2024-02-14', amount: 890, restaurant: 'Fine Dining' },
-      { date: '2024-02-28', amount: 310, restaurant: 'Taco Stand' },
-      { date: '2024-03-10', amount: 450, restaurant: 'Italian Bistro' },
-      { date: '2024-03-22', amount: 380, restaurant: 'Sushi Bar' },
-      { date: '2024-04-05', amount: 290, restaurant: 'Cafe Corner' },
-      { date: '2024-04-18', amount: 510, restaurant: 'BBQ House' },
-      { date: '2024-05-02', amount: 340, restaurant: 'Thai Kitchen' },
-      { date: '2024-05-20', amount: 460, restaurant: 'Mediterranean Grill' },
-      { date: '2024-06-08', amount: 390, restaurant: 'Mexican Cantina' }
+      { orderId: 'ZO240000', platform: 'zomato', date: '2024-01-15', timestamp: '2024-01-15T21:15:00+05:30', amount: 350, restaurant: 'Pizza Place' },
+      { orderId: 'SW240137', platform: 'swiggy', date: '2024-01-20', timestamp: '2024-01-20T13:05:00+05:30', amount: 280, restaurant: 'Burger Joint' },
+      { orderId: 'SW240274', platform: 'swiggy', date: '2024-02-05', timestamp: '2024-02-05T20:40:00+05:30', amount: 420, restaurant: 'Chinese Express' },
+      { orderId: 'ZO240411', platform: 'zomato', date: '2024-02-14', timestamp: '2024-02-14T23:30:00+05:30', amount: 890, restaurant: 'Fine Dining' },
+      { orderId: 'SW240548', platform: 'swiggy', date: '2024-02-28', timestamp: '2024-02-28T12:45:00+05:30', amount: 310, restaurant: 'Taco Stand' },
+      { orderId: 'SW240685', platform: 'swiggy', date: '2024-03-10', timestamp: '2024-03-10T19:50:00+05:30', amount: 450, restaurant: 'Italian Bistro' },
+      { orderId: 'ZO240822', platform: 'zomato', date: '2024-03-22', timestamp: '2024-03-22T00:20:00+05:30', amount: 380, restaurant: 'Sushi Bar' },
+      { orderId: 'SW240959', platform: 'swiggy', date: '2024-04-05', timestamp: '2024-04-05T09:10:00+05:30', amount: 290, restaurant: 'Cafe Corner' },
+      { orderId: 'SW241096', platform: 'swiggy', date: '2024-04-18', timestamp: '2024-04-18T22:05:00+05:30', amount: 510, restaurant: 'BBQ House' },
+      { orderId: 'ZO241233', platform: 'zomato', date: '2024-05-02', timestamp: '2024-05-02T14:30:00+05:30', amount: 340, restaurant: 'Thai Kitchen' },
+      { orderId: 'SW241370', platform: 'swiggy', date: '2024-05-20', timestamp: '2024-05-20T20:15:00+05:30', amount: 460, restaurant: 'Mediterranean Grill' },
+      { orderId: 'SW241507', platform: 'swiggy', date: '2024-06-08', timestamp: '2024-06-08T23:55:00+05:30', amount: 390, restaurant: 'Mexican Cantina' }
     ];
-    setOrders(sampleOrders);
-    setError('');
+    importOrders(sampleOrders);
   };
 
-  // Swiggy login functions
-  const handleSwiggyLogin = async () => {
+  // Platform login functions
+  const handlePlatformLogin = async () => {
     if (!mobileNumber || mobileNumber.length !== 10 || !/^\d{10}$/.test(mobileNumber)) {
       setError('Please enter a valid 10-digit mobile number');
       return;
@@ -174,7 +466,7 @@ function App() {
     setDebugLog([]);
 
     try {
-      const response = await axios.post(`${API_URL}/api/swiggy/login`, { mobileNumber });
+      const response = await axios.post(`${API_URL}/api/providers/${platform}/login`, { mobileNumber });
       replaceDebugLog(response.data);
       
       if (response.data.success) {
@@ -213,7 +505,7 @@ function App() {
     setScrapingStatus('Verifying OTP...');
 
     try {
-      const response = await axios.post(`${API_URL}/api/swiggy/submit-otp`, {
+      const response = await axios.post(`${API_URL}/api/providers/${platform}/submit-otp`, {
         sessionId,
         otp
       });
@@ -240,17 +532,28 @@ function App() {
   const handleScrapeOrders = async (sid) => {
     setLoading(true);
     setError('');
-    setScrapingStatus('Scraping orders from Swiggy... This may take a minute.');
+    setScrapingStatus(`Scraping orders from ${platformLabel}... This may take a minute.`);
 
     try {
-      const response = await axios.post(`${API_URL}/api/swiggy/scrape-orders`, {
-        sessionId: sid
+      const response = await axios.post(`${API_URL}/api/providers/${platform}/scrape-orders`, {
+        sessionId: sid,
+        since: scrapeSince || undefined
       });
       replaceDebugLog(response.data);
 
       if (response.data.success && response.data.orders) {
-        setOrders(response.data.orders);
-        setScrapingStatus(`Successfully loaded ${response.data.orders.length} orders!`);
+        if (response.data.saved) {
+          setImportSummary(response.data.saved);
+          await reloadStoredOrders();
+        } else {
+          await importOrders(response.data.orders);
+        }
+        const { history } = response.data;
+        setScrapingStatus(
+          history && !history.complete
+            ? `Loaded ${response.data.orders.length} orders, but the history was cut short (${history.stopReason}). Older orders may be missing.`
+            : `Successfully loaded ${response.data.orders.length} orders!`
+        );
         setLoginStep('initial');
         setMobileNumber('');
         setOtp('');
@@ -272,7 +575,7 @@ function App() {
   const handleCancelLogin = async () => {
     if (sessionId) {
       try {
-        await axios.post(`${API_URL}/api/swiggy/cancel-session`, { sessionId });
+        await axios.post(`${API_URL}/api/providers/${platform}/cancel-session`, { sessionId });
       } catch (err) {
         console.error('Error canceling session:', err);
       }
@@ -289,17 +592,135 @@ function App() {
   const getMonthlyChartData = () => {
     if (!analysis?.monthlySpend) return null;
 
-    const months = Object.keys(analysis.monthlySpend).sort();
-    const values = months.map(month => analysis.monthlySpend[month]);
+    // Trend months fill in the months without orders between the first and the last
+    const trendMonths = analysis.trends?.months || [];
+    const months = trendMonths.length > 0
+      ? trendMonths.map((entry) => entry.month)
+      : Object.keys(analysis.monthlySpend).sort();
+    const values = months.map(month => analysis.monthlySpend[month] || 0);
+    const { bestMonth, worstMonth } = analysis.trends || {};
+    const barColor = (month, alpha) => {
+      if (month === bestMonth?.month) return `rgba(67, 206, 162, ${alpha})`;
+      if (month === worstMonth?.month) return `rgba(252, 70, 107, ${alpha})`;
+      return `rgba(75, 192, 192, ${alpha})`;
+    };
+    const budgetMonths = analysis.budgetReport?.months || {};
+    const budgetValues = months.map((month) => budgetMonths[month]?.budget ?? null);
+    const current = analysis.budgetReport?.current;
+    const totalLine = current?.lines.find((line) => line.scope === 'total');
+    const symbol = currencySymbol(analysis.currency?.reporting);
+
+    const datasets = [
+      {
+        label: `Monthly Spend (${symbol})`,
+        data: values,
+        backgroundColor: months.map((month) => barColor(month, 0.6)),
+        borderColor: months.map((month) => barColor(month, 1)),
+        borderWidth: 1,
+      },
+    ];
+    if (trendMonths.some((entry) => entry.rolling3 !== null)) {
+      datasets.push({
+        type: 'line',
+        label: `3-Month Average (${symbol})`,
+        data: trendMonths.map((entry) => entry.rolling3),
+        borderColor: 'rgba(102, 126, 234, 1)',
+        backgroundColor: 'rgba(102, 126, 234, 1)',
+        tension: 0.3,
+      });
+    }
+    if (trendMonths.some((entry) => entry.rolling6 !== null)) {
+      datasets.push({
+        type: 'line',
+        label: `6-Month Average (${symbol})`,
+        data: trendMonths.map((entry) => entry.rolling6),
+        borderColor: 'rgba(142, 84, 233, 1)',
+        backgroundColor: 'rgba(142, 84, 233, 1)',
+        borderDash: [2, 3],
+        tension: 0.3,
+      });
+    }
+    if (budgetValues.some((value) => value !== null)) {
+      datasets.push({
+        type: 'line',
+        label: `Budget (${symbol})`,
+        data: budgetValues,
+        borderColor: 'rgba(252, 70, 107, 1)',
+        backgroundColor: 'rgba(252, 70, 107, 1)',
+        borderDash: [6, 4],
+        spanGaps: true,
+      });
+    }
+    if (totalLine && months.includes(current.month)) {
+      datasets.push({
+        type: 'line',
+        label: `Projected Month End (${symbol})`,
+        data: months.map((month) => (month === current.month ? totalLine.projected : null)),
+        borderColor: 'rgba(247, 183, 51, 1)',
+        backgroundColor: 'rgba(247, 183, 51, 1)',
+        pointRadius: 6,
+        showLine: false,
+      });
+    }
+
+    const upcoming = forecast?.forecast || [];
+    if (upcoming.length > 0) {
+      // The forecast line starts at the last complete month so it joins the actual spend
+      const lastActual = forecast.history[forecast.history.length - 1];
+      const labels = [...new Set([...months, ...upcoming.map((entry) => entry.month)])];
+      const pad = (data) => [...data, ...Array(labels.length - data.length).fill(null)];
+      const forecastValue = (month, key) => {
+        if (month === lastActual?.month) return lastActual.spend;
+        return upcoming.find((entry) => entry.month === month)?.[key] ?? null;
+      };
+      datasets.forEach((dataset) => { dataset.data = pad(dataset.data); });
+      datasets.push(
+        {
+          type: 'line',
+          label: `Forecast (${symbol})`,
+          data: labels.map((month) => forecastValue(month, 'spend')),
+          borderColor: 'rgba(255, 126, 95, 1)',
+          backgroundColor: 'rgba(255, 126, 95, 1)',
+          borderDash: [6, 4],
+        },
+        {
+          type: 'line',
+          label: `95% Range Low (${symbol})`,
+          data: labels.map((month) => forecastValue(month, 'lower')),
+          borderColor: 'rgba(255, 126, 95, 0.3)',
+          pointRadius: 0,
+        },
+        {
+          type: 'line',
+          label: `95% Range High (${symbol})`,
+          data: labels.map((month) => forecastValue(month, 'upper')),
+          borderColor: 'rgba(255, 126, 95, 0.3)',
+          backgroundColor: 'rgba(255, 126, 95, 0.15)',
+          pointRadius: 0,
+          fill: '-1',
+        }
+      );
+      return { labels, datasets };
+    }
+
+    return { labels: months, datasets };
+  };
+
+  const CATEGORY_COLORS = [
+    '#667eea', '#fc466b', '#f7b733', '#43cea2', '#ff7e5f', '#8e54e9',
+    '#36d1dc', '#f953c6', '#56ab2f', '#e96443', '#4b6cb7', '#bdc3c7',
+  ];
+
+  const getCategoryChartData = () => {
+    if (!analysis?.categoryBreakdown?.length) return null;
 
     return {
-      labels: months,
+      labels: analysis.categoryBreakdown.map((entry) => entry.category),
       datasets: [
         {
-          label: 'Monthly Spend (₹)',
-          data: values,
-          backgroundColor: 'rgba(75, 192, 192, 0.6)',
-          borderColor: 'rgba(75, 192, 192, 1)',
+          label: `Spend by Category (${currencySymbol(analysis.currency?.reporting)})`,
+          data: analysis.categoryBreakdown.map((entry) => entry.total),
+          backgroundColor: analysis.categoryBreakdown.map((_, idx) => CATEGORY_COLORS[idx % CATEGORY_COLORS.length]),
           borderWidth: 1,
         },
       ],
@@ -316,7 +737,7 @@ function App() {
       labels: months,
       datasets: [
         {
-          label: 'Monthly Spend in Range (₹)',
+          label: `Monthly Spend in Range (${currencySymbol(rangeAnalysis.currency)})`,
           data: values,
           backgroundColor: 'rgba(153, 102, 255, 0.6)',
           borderColor: 'rgba(153, 102, 255, 1)',
@@ -342,242 +763,546 @@ function App() {
   return (
     <div className="App">
       <header className="App-header">
-        <h1>🍔 Swiggy Expense Tracker</h1>
+        <h1>🍔 Food Delivery Expense Tracker</h1>
         <p className="subtitle">Track your food delivery spending habits</p>
+        {auth && (
+          <p className="account-bar">
+            Signed in as <strong>{auth.user.username}</strong>
+            <button type="button" className="btn-text btn-text--light" onClick={handleLogout}>
+              Log out
+            </button>
+          </p>
+        )}
       </header>
 
       <div className="container">
-        <section className="input-section">
-          <h2>📊 Get Your Orders</h2>
-          <p className="info-text">
-            Login to Swiggy to automatically fetch your orders, or upload/paste order data manually.
-          </p>
+        {!auth ? (
+          <AuthForm apiUrl={API_URL} onAuthenticated={handleAuthenticated} />
+        ) : (
+          <>
+            <section className="input-section">
+              <h2>📊 Get Your Orders</h2>
+              <p className="info-text">
+                Login to a delivery platform to automatically fetch your orders, or upload/paste order data manually.
+              </p>
           
-          <div className="input-methods">
-            <div className="input-method swiggy-login">
-              <h3>🔐 Login to Swiggy</h3>
+              <div className="input-methods">
+                <div className="input-method swiggy-login">
+                  <h3>🔐 Login to {platformLabel}</h3>
+
+                  <div className="platform-picker">
+                    {providers.map((provider) => (
+                      <button
+                        key={provider.name}
+                        type="button"
+                        onClick={() => setPlatform(provider.name)}
+                        disabled={loading || loginStep !== 'initial'}
+                        className={`btn-platform ${platform === provider.name ? 'btn-platform--active' : ''}`}
+                      >
+                        {provider.label}
+                      </button>
+                    ))}
+                  </div>
               
-              {loginStep === 'initial' && (
-                <div className="login-form">
+                  {loginStep === 'initial' && (
+                    <div className="login-form">
+                      <input
+                        type="tel"
+                        placeholder="Enter 10-digit mobile number"
+                        value={mobileNumber}
+                        onChange={(e) => setMobileNumber(e.target.value)}
+                        maxLength="10"
+                        className="mobile-input"
+                      />
+                      <label className="since-label">
+                        Only orders since (optional)
+                        <input
+                          type="date"
+                          value={scrapeSince}
+                          onChange={(e) => setScrapeSince(e.target.value)}
+                          className="date-input"
+                        />
+                      </label>
+                      <button 
+                        onClick={handlePlatformLogin} 
+                        disabled={loading}
+                        className="btn btn-primary"
+                      >
+                        {loading ? 'Connecting...' : 'Send OTP'}
+                      </button>
+                    </div>
+                  )}
+
+                  {loginStep === 'otp' && (
+                    <div className="otp-form">
+                      <input
+                        type="text"
+                        placeholder="Enter OTP"
+                        value={otp}
+                        onChange={(e) => setOtp(e.target.value)}
+                        maxLength="6"
+                        className="otp-input"
+                      />
+                      <div className="otp-buttons">
+                        <button 
+                          onClick={handleSubmitOTP} 
+                          disabled={loading}
+                          className="btn btn-primary"
+                        >
+                          {loading ? 'Verifying...' : 'Verify OTP'}
+                        </button>
+                        <button 
+                          onClick={handleCancelLogin}
+                          disabled={loading}
+                          className="btn btn-cancel"
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  {loginStep === 'scraping' && (
+                    <div className="scraping-status">
+                      <div className="spinner"></div>
+                      <p>Scraping your orders...</p>
+                    </div>
+                  )}
+
+                  {scrapingStatus && (
+                    <div className="status-message">
+                      {scrapingStatus}
+                    </div>
+                  )}
+
+                  {debugLog.length > 0 && (
+                    <div className="debug-panel">
+                      <div className="debug-panel__header">
+                        <span>Debug info</span>
+                        <button
+                          type="button"
+                          className="btn-text"
+                          onClick={() => setDebugLog([])}
+                          disabled={loading}
+                        >
+                          Clear
+                        </button>
+                      </div>
+                      <ul className="debug-list">
+                        {debugLog.map((line, idx) => (
+                          <li key={`${idx}-${line}`}>{line}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                </div>
+
+                <div className="input-method">
+                  <h3>Upload JSON File</h3>
                   <input
-                    type="tel"
-                    placeholder="Enter 10-digit mobile number"
-                    value={mobileNumber}
-                    onChange={(e) => setMobileNumber(e.target.value)}
-                    maxLength="10"
-                    className="mobile-input"
+                    type="file"
+                    accept=".json"
+                    onChange={handleFileUpload}
+                    className="file-input"
                   />
-                  <button 
-                    onClick={handleSwiggyLogin} 
-                    disabled={loading}
-                    className="btn btn-primary"
-                  >
-                    {loading ? 'Connecting...' : 'Send OTP'}
-                  </button>
                 </div>
-              )}
 
-              {loginStep === 'otp' && (
-                <div className="otp-form">
-                  <input
-                    type="text"
-                    placeholder="Enter OTP"
-                    value={otp}
-                    onChange={(e) => setOtp(e.target.value)}
-                    maxLength="6"
-                    className="otp-input"
+                <div className="input-method">
+                  <h3>Or Upload CSV</h3>
+                  <p className="info-text">
+                    Order exports, bank statements or spreadsheets saved as CSV.
+                  </p>
+                  <CsvImport onImport={importOrders} />
+                </div>
+
+                <div className="input-method">
+                  <h3>Or Import Order Emails</h3>
+                  <p className="info-text">
+                    Swiggy and Zomato order emails saved as .eml files, or an mbox export of your mailbox.
+                  </p>
+                  <UploadImport
+                    apiUrl={API_URL}
+                    endpoint="/api/import/emails"
+                    accept=".eml,.mbox,message/rfc822"
+                    allowFolder
+                    onImported={handleUploadImported}
                   />
-                  <div className="otp-buttons">
-                    <button 
-                      onClick={handleSubmitOTP} 
-                      disabled={loading}
-                      className="btn btn-primary"
-                    >
-                      {loading ? 'Verifying...' : 'Verify OTP'}
-                    </button>
-                    <button 
-                      onClick={handleCancelLogin}
-                      disabled={loading}
-                      className="btn btn-cancel"
-                    >
-                      Cancel
-                    </button>
-                  </div>
                 </div>
-              )}
 
-              {loginStep === 'scraping' && (
-                <div className="scraping-status">
-                  <div className="spinner"></div>
-                  <p>Scraping your orders...</p>
+                <div className="input-method">
+                  <h3>Or Upload Invoice PDFs</h3>
+                  <p className="info-text">
+                    GST invoices downloaded from Swiggy or Zomato. Invoices the reader can't fully parse are flagged for review.
+                  </p>
+                  <UploadImport
+                    apiUrl={API_URL}
+                    endpoint="/api/import/invoices"
+                    accept=".pdf,application/pdf"
+                    onImported={handleUploadImported}
+                  />
                 </div>
-              )}
 
-              {scrapingStatus && (
-                <div className="status-message">
-                  {scrapingStatus}
+                <div className="input-method">
+                  <h3>Or Paste JSON Data</h3>
+                  <textarea
+                    placeholder='[{"date": "2024-01-15", "amount": 350, "restaurant": "Restaurant Name"}]'
+                    value={jsonText}
+                    onChange={(e) => setJsonText(e.target.value)}
+                    className="json-input"
+                    rows="6"
+                  />
+                  <button
+                    onClick={handleTextImport}
+                    disabled={!jsonText.trim()}
+                    className="btn btn-secondary btn-small"
+                  >
+                    Import JSON
+                  </button>
                 </div>
-              )}
 
-              {debugLog.length > 0 && (
-                <div className="debug-panel">
-                  <div className="debug-panel__header">
-                    <span>Debug info</span>
-                    <button
-                      type="button"
-                      className="btn-text"
-                      onClick={() => setDebugLog([])}
-                      disabled={loading}
-                    >
-                      Clear
-                    </button>
-                  </div>
-                  <ul className="debug-list">
-                    {debugLog.map((line, idx) => (
-                      <li key={`${idx}-${line}`}>{line}</li>
-                    ))}
-                  </ul>
+                <div className="input-method">
+                  <h3>Or Try Sample Data</h3>
+                  <button onClick={loadSampleData} className="btn btn-secondary">
+                    Load Sample Data
+                  </button>
                 </div>
-              )}
-            </div>
-
-            <div className="input-method">
-              <h3>Upload JSON File</h3>
-              <input
-                type="file"
-                accept=".json"
-                onChange={handleFileUpload}
-                className="file-input"
-              />
-            </div>
-
-            <div className="input-method">
-              <h3>Or Paste JSON Data</h3>
-              <textarea
-                placeholder='[{"date": "2024-01-15", "amount": 350, "restaurant": "Restaurant Name"}]'
-                onChange={handleTextInput}
-                className="json-input"
-                rows="6"
-              />
-            </div>
-
-            <div className="input-method">
-              <h3>Or Try Sample Data</h3>
-              <button onClick={loadSampleData} className="btn btn-secondary">
-                Load Sample Data
-              </button>
-            </div>
-          </div>
-
-          {orders.length > 0 && (
-            <div className="orders-count">
-              ✅ {orders.length} orders loaded
-            </div>
-          )}
-
-          {error && <div className="error">{error}</div>}
-        </section>
-
-        {orders.length > 0 && (
-          <>
-            <section className="analysis-section">
-              <h2>📈 Overall Analysis</h2>
-              <button
-                onClick={analyzeOrders}
-                disabled={loading}
-                className="btn btn-primary"
-              >
-                {loading ? 'Analyzing...' : 'Analyze All Orders'}
-              </button>
-
-              {analysis && (
-                <div className="results">
-                  <div className="stats-grid">
-                    <div className="stat-card">
-                      <h3>Total Spend</h3>
-                      <p className="stat-value">₹{analysis.totalSpend}</p>
-                    </div>
-                    <div className="stat-card">
-                      <h3>Total Orders</h3>
-                      <p className="stat-value">{analysis.orderCount}</p>
-                    </div>
-                    <div className="stat-card">
-                      <h3>Average Order Value</h3>
-                      <p className="stat-value">₹{analysis.averageOrderValue}</p>
-                    </div>
-                    {analysis.dateRange && (
-                      <div className="stat-card">
-                        <h3>Date Range</h3>
-                        <p className="stat-value-small">
-                          {analysis.dateRange.start} to {analysis.dateRange.end}
-                        </p>
-                      </div>
-                    )}
-                  </div>
+              </div>
 
-                  {getMonthlyChartData() && (
-                    <div className="chart-container">
-                      <h3>Monthly Spend Breakdown</h3>
-                      <Bar data={getMonthlyChartData()} options={chartOptions} />
-                    </div>
+              {orders.length > 0 && (
+                <div className="orders-count">
+                  ✅ {orders.length} orders loaded
+                  {importSummary && (
+                    <span className="import-summary">
+                      Last import: {importSummary.added} added, {importSummary.updated} updated,
+                      {' '}{importSummary.skipped} duplicates skipped
+                      {importSummary.rejected?.length > 0 &&
+                        `, ${new Set(importSummary.rejected.map((problem) => problem.index)).size} rejected`}
+                      {!storeOnline && ' (kept in this browser only)'}
+                    </span>
                   )}
+                  <button type="button" className="btn-text" onClick={clearOrders} disabled={loading}>
+                    Clear all
+                  </button>
                 </div>
               )}
+
+              {importSummary && (
+                <ValidationReport errors={importSummary.rejected} warnings={importSummary.warnings} title="Not saved" />
+              )}
+
+              {error && <div className="error">{error}</div>}
             </section>
 
-            <section className="range-section">
-              <h2>📅 Date Range Analysis</h2>
-              <div className="date-inputs">
-                <div className="date-input-group">
-                  <label>Start Date:</label>
-                  <input
-                    type="date"
-                    value={startDate}
-                    onChange={(e) => setStartDate(e.target.value)}
-                    className="date-input"
-                  />
-                </div>
-                <div className="date-input-group">
-                  <label>End Date:</label>
-                  <input
-                    type="date"
-                    value={endDate}
-                    onChange={(e) => setEndDate(e.target.value)}
-                    className="date-input"
+            {storeOnline && (
+              <section className="budgets-section">
+                <h2>💰 Budgets</h2>
+                <Budgets
+                  status={budgetStatus}
+                  categories={categoryNames}
+                  platforms={platformNames}
+                  onSave={saveBudgets}
+                />
+              </section>
+            )}
+
+            {storeOnline && (
+              <section className="memberships-section">
+                <h2>🎟️ Memberships</h2>
+                <Memberships
+                  memberships={memberships}
+                  platforms={platformNames}
+                  currency={exchangeRates.reportingCurrency}
+                  onSave={saveMemberships}
+                />
+              </section>
+            )}
+
+            {storeOnline && (
+              <section className="currencies-section">
+                <h2>💱 Currencies</h2>
+                <ExchangeRates
+                  reportingCurrency={exchangeRates.reportingCurrency}
+                  rates={exchangeRates.rates}
+                  onSave={saveExchangeRates}
+                />
+              </section>
+            )}
+
+            {orders.length > 0 && (
+              <>
+                <section className="orders-section">
+                  <h2>🧾 Orders</h2>
+                  <OrderList
+                    orders={orders}
+                    apiUrl={API_URL}
+                    categories={categoryNames}
+                    onOrderUpdated={handleOrderUpdated}
                   />
-                </div>
-              </div>
+                </section>
+
+                {storeOnline && (
+                  <section className="categories-section">
+                    <h2>🏷️ Category Rules</h2>
+                    <CategoryRules rules={categoryRules} onSave={saveCategoryRules} />
+                  </section>
+                )}
+
+                {storeOnline && (
+                  <section className="reimbursement-section">
+                    <h2>💼 Reimbursement Rules</h2>
+                    <ReimbursementRules rules={reimbursementRules} platforms={platformNames} onSave={saveReimbursementRules} />
+                  </section>
+                )}
+
+                <section className="analysis-section">
+                  <h2>📈 Overall Analysis</h2>
+                  <button
+                    onClick={analyzeOrders}
+                    disabled={loading}
+                    className="btn btn-primary"
+                  >
+                    {loading ? 'Analyzing...' : 'Analyze All Orders'}
+                  </button>
+
+                  {analysis && (
+                    <div className="results">
+                      <div className="stats-grid">
+                        <div className="stat-card">
+                          <h3>Total Spend</h3>
+                          <p className="stat-value">{formatMoney(analysis.totalSpend, analysis.currency?.reporting)}</p>
+                        </div>
+                        <div className="stat-card">
+                          <h3>Total Orders</h3>
+                          <p className="stat-value">{analysis.orderCount}</p>
+                        </div>
+                        <div className="stat-card">
+                          <h3>Average Order Value</h3>
+                          <p className="stat-value">{formatMoney(analysis.averageOrderValue, analysis.currency?.reporting)}</p>
+                        </div>
+                        {analysis.spendBreakdown?.ordersWithBreakdown > 0 && (
+                          <>
+                            <div className="stat-card">
+                              <h3>Food &amp; Items</h3>
+                              <p className="stat-value">{formatMoney(analysis.spendBreakdown.items, analysis.currency?.reporting)}</p>
+                            </div>
+                            <div className="stat-card">
+                              <h3>Fees &amp; Tips</h3>
+                              <p className="stat-value">
+                                {formatMoney(
+                                  Object.values(analysis.spendBreakdown.fees).reduce((sum, fee) => sum + fee, 0),
+                                  analysis.currency?.reporting
+                                )}
+                              </p>
+                              <p className="stat-note">
+                                {Object.entries(analysis.spendBreakdown.fees)
+                                  .filter(([, fee]) => fee > 0)
+                                  .map(([type, fee]) => `${type} ${formatMoney(fee, analysis.currency?.reporting, 0)}`)
+                                  .join(' · ')}
+                              </p>
+                            </div>
+                            <div className="stat-card">
+                              <h3>Taxes</h3>
+                              <p className="stat-value">{formatMoney(analysis.spendBreakdown.taxes, analysis.currency?.reporting)}</p>
+                            </div>
+                            <div className="stat-card">
+                              <h3>Discounts</h3>
+                              <p className="stat-value">−{formatMoney(analysis.spendBreakdown.discounts, analysis.currency?.reporting)}</p>
+                            </div>
+                          </>
+                        )}
+                        {analysis.reimbursement?.reimbursable.orderCount > 0 && (
+                          <>
+                            <div className="stat-card">
+                              <h3>Personal</h3>
+                              <p className="stat-value">{formatMoney(analysis.reimbursement.personal.spend, analysis.currency?.reporting)}</p>
+                              <p className="stat-note">{analysis.reimbursement.personal.orderCount} orders</p>
+                            </div>
+                            <div className="stat-card">
+                              <h3>Reimbursable</h3>
+                              <p className="stat-value">{formatMoney(analysis.reimbursement.reimbursable.spend, analysis.currency?.reporting)}</p>
+                              <p className="stat-note">
+                                {Object.entries(analysis.reimbursement.byStatus)
+                                  .filter(([, total]) => total.orderCount > 0)
+                                  .map(([status, total]) => `${status} ${formatMoney(total.spend, analysis.currency?.reporting, 0)}`)
+                                  .join(' · ')}
+                              </p>
+                            </div>
+                          </>
+                        )}
+                        {analysis.dateRange && (
+                          <div className="stat-card">
+                            <h3>Date Range</h3>
+                            <p className="stat-value-small">
+                              {analysis.dateRange.start} to {analysis.dateRange.end}
+                            </p>
+                          </div>
+                        )}
+                        {analysis.currency?.byCurrency.length > 1 && (
+                          <div className="stat-card">
+                            <h3>By Currency</h3>
+                            {analysis.currency.byCurrency.map((entry) => (
+                              <p key={entry.currency} className="stat-note">
+                                {formatMoney(entry.total, entry.currency)} in {entry.orderCount} orders
+                                {entry.currency !== analysis.currency.reporting && entry.converted > 0 &&
+                                  ` ≈ ${formatMoney(entry.converted, analysis.currency.reporting)}`}
+                              </p>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+
+                      {analysis.currency?.unconverted.length > 0 && (
+                        <p className="info-text">
+                          ⚠️ {analysis.currency.unconverted.length} orders in
+                          {' '}{[...new Set(analysis.currency.unconverted.map((order) => order.currency))].join(', ')} have no
+                          exchange rate to {analysis.currency.reporting} and are left out of these totals. Add rates under
+                          Currencies.
+                        </p>
+                      )}
+
+                      {analysis.validation && (
+                        <ValidationReport
+                          errors={analysis.validation.errors}
+                          warnings={analysis.validation.warnings}
+                          title="Left out of these totals"
+                        />
+                      )}
+
+                      {analysis.anomalies && (
+                        <div className="anomalies">
+                          <h3>🚨 Unusual Spending</h3>
+                          <Anomalies findings={analysis.anomalies} currency={analysis.currency?.reporting} />
+                        </div>
+                      )}
+
+                      {getMonthlyChartData() && (
+                        <div className="chart-container">
+                          <h3>Monthly Spend Breakdown</h3>
+                          <div className="date-input-group">
+                            <label>Forecast:</label>
+                            <select
+                              value={forecastMonths}
+                              onChange={(e) => loadForecast(Number(e.target.value))}
+                              className="date-input"
+                            >
+                              <option value={0}>Off</option>
+                              {[1, 2, 3, 4, 5, 6].map((count) => (
+                                <option key={count} value={count}>
+                                  Next {count} {count === 1 ? 'month' : 'months'}
+                                </option>
+                              ))}
+                            </select>
+                          </div>
+                          <Bar data={getMonthlyChartData()} options={chartOptions} />
+                          {forecast?.method && (
+                            <p className="info-text">
+                              Forecast from {forecast.basedOnMonths} complete months using {FORECAST_METHODS[forecast.method]}.
+                            </p>
+                          )}
+                        </div>
+                      )}
 
-              <button
-                onClick={analyzeRange}
-                disabled={loading}
-                className="btn btn-primary"
-              >
-                {loading ? 'Analyzing...' : 'Analyze Date Range'}
-              </button>
-
-              {rangeAnalysis && (
-                <div className="results">
-                  <div className="stats-grid">
-                    <div className="stat-card">
-                      <h3>Total Spend in Range</h3>
-                      <p className="stat-value">₹{rangeAnalysis.totalSpend}</p>
+                      {analysis.trends?.months.length > 0 && <MonthlyTrends trends={analysis.trends} currency={analysis.currency?.reporting} />}
+
+                      {getCategoryChartData() && (
+                        <div className="chart-container chart-container--doughnut">
+                          <h3>Spend by Category</h3>
+                          <Doughnut
+                            data={getCategoryChartData()}
+                            options={{ responsive: true, plugins: { legend: { position: 'right' } } }}
+                          />
+                        </div>
+                      )}
+
+                      {(analysis.savings?.totals.ordersWithSavingsInfo > 0 || analysis.savings?.memberships.length > 0) && (
+                        <Savings savings={analysis.savings} currency={analysis.currency?.reporting} />
+                      )}
+
+                      {analysis.restaurantStats?.restaurants.length > 0 && (
+                        <RestaurantStats stats={analysis.restaurantStats} currency={analysis.currency?.reporting} />
+                      )}
                     </div>
-                    <div className="stat-card">
-                      <h3>Orders in Range</h3>
-                      <p className="stat-value">{rangeAnalysis.orderCount}</p>
+                  )}
+                </section>
+
+                <section className="range-section">
+                  <h2>📅 Date Range Analysis</h2>
+                  <div className="date-inputs">
+                    <div className="date-input-group">
+                      <label>Start Date:</label>
+                      <input
+                        type="date"
+                        value={startDate}
+                        onChange={(e) => setStartDate(e.target.value)}
+                        className="date-input"
+                      />
+                    </div>
+                    <div className="date-input-group">
+                      <label>End Date:</label>
+                      <input
+                        type="date"
+                        value={endDate}
+                        onChange={(e) => setEndDate(e.target.value)}
+                        className="date-input"
+                      />
                     </div>
                   </div>
 
-                  {getRangeChartData() && (
-                    <div className="chart-container">
-                      <h3>Monthly Spend in Selected Range</h3>
-                      <Bar data={getRangeChartData()} options={chartOptions} />
+                  <button
+                    onClick={analyzeRange}
+                    disabled={loading}
+                    className="btn btn-primary"
+                  >
+                    {loading ? 'Analyzing...' : 'Analyze Date Range'}
+                  </button>
+
+                  {rangeAnalysis && (
+                    <div className="results">
+                      <div className="stats-grid">
+                        <div className="stat-card">
+                          <h3>Total Spend in Range</h3>
+                          <p className="stat-value">{formatMoney(rangeAnalysis.totalSpend, rangeAnalysis.currency)}</p>
+                        </div>
+                        <div className="stat-card">
+                          <h3>Orders in Range</h3>
+                          <p className="stat-value">{rangeAnalysis.orderCount}</p>
+                        </div>
+                      </div>
+
+                      {getRangeChartData() && (
+                        <div className="chart-container">
+                          <h3>Monthly Spend in Selected Range</h3>
+                          <Bar data={getRangeChartData()} options={chartOptions} />
+                        </div>
+                      )}
                     </div>
                   )}
-                </div>
-              )}
-            </section>
+                </section>
+
+                <section className="patterns-section">
+                  <h2>🕒 When You Order</h2>
+                  <button
+                    onClick={analyzePatterns}
+                    disabled={loading}
+                    className="btn btn-primary"
+                  >
+                    {loading ? 'Analyzing...' : 'Analyze Order Times'}
+                  </button>
+
+                  {patterns && (
+                    <div className="results">
+                      <SpendingPatterns patterns={patterns} />
+                    </div>
+                  )}
+                </section>
+
+                {storeOnline && <Settlements apiUrl={API_URL} />}
+
+                {storeOnline && <Claims apiUrl={API_URL} onOrdersUpdated={handleOrdersUpdated} />}
+
+                {storeOnline && <Statement apiUrl={API_URL} />}
+              </>
+            )}
           </>
         )}
       </div>
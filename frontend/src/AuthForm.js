@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+// Login / signup card shown until the user has a session token
+function AuthForm({ apiUrl, onAuthenticated }) {
+  const [mode, setMode] = useState('login'); // login, signup
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await axios.post(`${apiUrl}/api/auth/${mode}`, { username, password });
+      onAuthenticated({ token: response.data.token, user: response.data.user });
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <section className="auth-section">
+      <h2>{mode === 'login' ? '🔑 Log in' : '✨ Create an account'}</h2>
+      <p className="info-text">
+        Each account keeps its own orders and settings on this server.
+      </p>
+      <form className="login-form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          placeholder="Username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          autoComplete="username"
+          className="mobile-input"
+        />
+        <input
+          type="password"
+          placeholder="Password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+          className="mobile-input"
+        />
+        <button type="submit" disabled={loading || !username || !password} className="btn btn-primary">
+          {loading ? 'Please wait...' : mode === 'login' ? 'Log in' : 'Sign up'}
+        </button>
+      </form>
+      <button
+        type="button"
+        className="btn-text auth-switch"
+        onClick={() => {
+          setMode(mode === 'login' ? 'signup' : 'login');
+          setError('');
+        }}
+      >
+        {mode === 'login' ? 'New here? Create an account' : 'Already have an account? Log in'}
+      </button>
+      {error && <div className="error">{error}</div>}
+    </section>
+  );
+}
+
+export default AuthForm;
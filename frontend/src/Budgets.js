@@ -0,0 +1,171 @@
+import React, { useEffect, useState } from 'react';
+import { COMMON_CURRENCIES, formatMoney } from './money';
+
+const SCOPE_LABELS = { total: 'All spend', category: 'Category', platform: 'Platform' };
+
+const emptyBudget = (currency) => ({ month: null, scope: 'total', scopeValue: null, amount: '', currency });
+
+const describeLine = (line) => (line.scope === 'total' ? 'All spend' : `${line.scopeValue} (${line.scope})`);
+
+// Budget editor plus this month's budget-vs-actual, projected month-end spend and warnings
+function Budgets({ status, categories, platforms, onSave }) {
+  const [draft, setDraft] = useState(status.budgets);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setDraft(status.budgets);
+  }, [status.budgets]);
+
+  const updateBudget = (index, changes) => {
+    setDraft(draft.map((budget, i) => (i === index ? { ...budget, ...changes } : budget)));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      await onSave(draft);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const { current } = status;
+  const currencyOptions = [...new Set([...COMMON_CURRENCIES, status.currency, ...draft.map((budget) => budget.currency)])]
+    .filter(Boolean);
+
+  return (
+    <div className="budgets">
+      {status.warnings.length > 0 && (
+        <ul className="budget-warnings">
+          {status.warnings.map((warning) => <li key={warning}>⚠️ {warning}</li>)}
+        </ul>
+      )}
+
+      {current?.lines.length > 0 && (
+        <div className="budget-status">
+          <h3>{current.month}: day {current.daysElapsed} of {current.daysInMonth}</h3>
+          {current.lines.map((line) => (
+            <div key={`${line.scope}-${line.scopeValue}`} className="budget-line">
+              <div className="budget-line__label">
+                <span>{describeLine(line)}</span>
+                <span>
+                  {formatMoney(line.actual, status.currency, 0)} of {formatMoney(line.budget, status.currency, 0)}
+                  {line.originalCurrency && ` (${formatMoney(line.originalBudget, line.originalCurrency, 0)})`}
+                  {' '}· projected {formatMoney(line.projected, status.currency, 0)}
+                </span>
+              </div>
+              <div className="budget-bar">
+                <div
+                  className={`budget-bar__fill budget-bar__fill--${line.status}`}
+                  style={{ width: `${Math.min(100, (line.actual / line.budget) * 100)}%` }}
+                />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <table className="order-table">
+        <thead>
+          <tr>
+            <th>Month</th>
+            <th>Applies to</th>
+            <th>Name</th>
+            <th className="numeric">Budget</th>
+            <th>Currency</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {draft.map((budget, index) => (
+            <tr key={index}>
+              <td>
+                <select
+                  value={budget.month === null ? 'every' : 'one'}
+                  onChange={(e) => updateBudget(index, {
+                    month: e.target.value === 'every' ? null : new Date().toLocaleDateString('en-CA').slice(0, 7),
+                  })}
+                  className="date-input"
+                >
+                  <option value="every">Every month</option>
+                  <option value="one">One month</option>
+                </select>
+                {budget.month !== null && (
+                  <input
+                    type="month"
+                    value={budget.month}
+                    onChange={(e) => updateBudget(index, { month: e.target.value })}
+                    className="date-input"
+                  />
+                )}
+              </td>
+              <td>
+                <select
+                  value={budget.scope}
+                  onChange={(e) => updateBudget(index, { scope: e.target.value, scopeValue: null })}
+                  className="date-input"
+                >
+                  {Object.entries(SCOPE_LABELS).map(([scope, label]) => (
+                    <option key={scope} value={scope}>{label}</option>
+                  ))}
+                </select>
+              </td>
+              <td>
+                {budget.scope !== 'total' && (
+                  <select
+                    value={budget.scopeValue || ''}
+                    onChange={(e) => updateBudget(index, { scopeValue: e.target.value })}
+                    className="date-input"
+                  >
+                    <option value="">Choose...</option>
+                    {(budget.scope === 'category' ? categories : platforms).map((name) => (
+                      <option key={name} value={name}>{name}</option>
+                    ))}
+                  </select>
+                )}
+              </td>
+              <td className="numeric">
+                <input
+                  type="number"
+                  min="1"
+                  value={budget.amount}
+                  onChange={(e) => updateBudget(index, { amount: e.target.value })}
+                  className="date-input"
+                />
+              </td>
+              <td>
+                <select
+                  value={budget.currency || status.currency}
+                  onChange={(e) => updateBudget(index, { currency: e.target.value })}
+                  className="date-input"
+                >
+                  {currencyOptions.map((code) => <option key={code} value={code}>{code}</option>)}
+                </select>
+              </td>
+              <td>
+                <button type="button" className="btn-text" onClick={() => setDraft(draft.filter((_, i) => i !== index))}>
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="otp-buttons">
+        <button type="button" className="btn btn-secondary btn-small" onClick={() => setDraft([...draft, emptyBudget(status.currency)])}>
+          Add budget
+        </button>
+        <button type="button" className="btn btn-primary btn-small" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save budgets'}
+        </button>
+      </div>
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+}
+
+export default Budgets;
@@ -0,0 +1,107 @@
+import React, { useEffect, useState } from 'react';
+
+const emptyRule = () => ({ category: '', matchOn: 'restaurant', keyword: '' });
+
+// Editable list of category rules; the first rule that matches an order decides its category
+function CategoryRules({ rules, onSave }) {
+  const [draft, setDraft] = useState(rules);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setDraft(rules);
+  }, [rules]);
+
+  const updateRule = (index, changes) => {
+    setDraft(draft.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const moveRule = (index, offset) => {
+    const next = [...draft];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    setDraft(next);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    setMessage('');
+    try {
+      const recategorized = await onSave(draft);
+      setMessage(`Rules saved, ${recategorized} orders re-tagged.`);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="category-rules">
+      <p className="info-text">
+        Orders are tagged by the first rule whose keyword appears in the restaurant name or in an item name.
+        Categories you pick by hand in the order list are never changed by rules.
+      </p>
+      <table className="order-table">
+        <thead>
+          <tr>
+            <th>Category</th>
+            <th>Match on</th>
+            <th>Keyword</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {draft.map((rule, index) => (
+            <tr key={index}>
+              <td>
+                <input
+                  type="text"
+                  value={rule.category}
+                  onChange={(e) => updateRule(index, { category: e.target.value })}
+                  className="date-input"
+                />
+              </td>
+              <td>
+                <select
+                  value={rule.matchOn}
+                  onChange={(e) => updateRule(index, { matchOn: e.target.value })}
+                  className="date-input"
+                >
+                  <option value="restaurant">Restaurant name</option>
+                  <option value="item">Item name</option>
+                </select>
+              </td>
+              <td>
+                <input
+                  type="text"
+                  value={rule.keyword}
+                  onChange={(e) => updateRule(index, { keyword: e.target.value })}
+                  className="date-input"
+                />
+              </td>
+              <td className="rule-actions">
+                <button type="button" className="btn-text" disabled={index === 0} onClick={() => moveRule(index, -1)}>↑</button>
+                <button type="button" className="btn-text" disabled={index === draft.length - 1} onClick={() => moveRule(index, 1)}>↓</button>
+                <button type="button" className="btn-text" onClick={() => setDraft(draft.filter((_, i) => i !== index))}>Remove</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="otp-buttons">
+        <button type="button" className="btn btn-secondary btn-small" onClick={() => setDraft([...draft, emptyRule()])}>
+          Add rule
+        </button>
+        <button type="button" className="btn btn-primary btn-small" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save rules'}
+        </button>
+      </div>
+      {message && <p className="info-text">{message}</p>}
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+}
+
+export default CategoryRules;
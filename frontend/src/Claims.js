@@ -0,0 +1,250 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { formatMoney } from './money';
+import PeriodPicker, { initialPeriod, periodParams, periodSuffix } from './PeriodPicker';
+
+const STATUSES = [
+  { status: 'pending', label: 'Pending' },
+  { status: 'submitted', label: 'Submitted' },
+  { status: 'paid', label: 'Paid' },
+];
+
+// Claims report of the reimbursable orders in a period: claim status, invoice files and downloads
+function Claims({ apiUrl, onOrdersUpdated }) {
+  const [period, setPeriod] = useState(initialPeriod);
+  const [report, setReport] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadClaims = async () => {
+    if (period.byMonth && !period.month) {
+      setError('Please pick a month');
+      return;
+    }
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.get(`${apiUrl}/api/claims`, { params: periodParams(period) });
+      setReport(response.data);
+      setSelected([]);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Every change is saved at once, then the report is loaded again for the new totals
+  const run = async (change) => {
+    setLoading(true);
+    setError('');
+    try {
+      await change();
+      const response = await axios.get(`${apiUrl}/api/claims`, { params: periodParams(period) });
+      setReport(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const setStatus = (ids, status) => run(async () => {
+    const response = await axios.put(`${apiUrl}/api/claims/status`, { ids, status });
+    onOrdersUpdated(response.data.orders);
+    setSelected([]);
+  });
+
+  const attach = (orderId, event) => {
+    const files = [...event.target.files];
+    event.target.value = '';
+    if (files.length === 0) return;
+    const formData = new FormData();
+    files.forEach((file) => formData.append('files', file));
+    run(() => axios.post(`${apiUrl}/api/orders/${orderId}/attachments`, formData));
+  };
+
+  const removeAttachment = (attachment) => run(() => axios.delete(`${apiUrl}/api/attachments/${attachment.id}`));
+
+  // Fetched through axios (not a plain link) so the auth header is sent
+  const download = async (path, params, fileName) => {
+    setError('');
+    try {
+      const response = await axios.get(`${apiUrl}${path}`, { params, responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelected(selected.includes(id) ? selected.filter((entry) => entry !== id) : [...selected, id]);
+  };
+
+  const currency = report?.currency;
+
+  return (
+    <section className="claims-section">
+      <h2>💼 Reimbursement Claims</h2>
+      <p className="info-text">
+        Work meals flagged by the reimbursement rules or marked in the order list. Attach the invoices, mark the
+        claim submitted when you hand it in and paid when the money is back.
+      </p>
+      <PeriodPicker period={period} onChange={setPeriod} />
+
+      <div className="otp-buttons">
+        <button onClick={loadClaims} disabled={loading} className="btn btn-primary">
+          {loading ? 'Loading...' : 'Show Claims'}
+        </button>
+        <button
+          onClick={() => download('/api/statement', { ...periodParams(period), scope: 'reimbursable', format: 'pdf' }, `claim-${periodSuffix(period)}.pdf`)}
+          disabled={loading}
+          className="btn btn-secondary"
+        >
+          Download Claim PDF
+        </button>
+        <button
+          onClick={() => download('/api/claims', { ...periodParams(period), format: 'csv' }, `claims-${periodSuffix(period)}.csv`)}
+          disabled={loading}
+          className="btn btn-secondary"
+        >
+          Export CSV
+        </button>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      {report && (
+        <div className="results">
+          <div className="stats-grid">
+            <div className="stat-card">
+              <h3>Reimbursable</h3>
+              <p className="stat-value">{formatMoney(report.totals.all.spend, currency)}</p>
+              <p className="stat-note">{report.totals.all.orderCount} orders</p>
+            </div>
+            {STATUSES.map(({ status, label }) => (
+              <div key={status} className="stat-card">
+                <h3>{label}</h3>
+                <p className="stat-value">{formatMoney(report.totals[status].spend, currency)}</p>
+                <p className="stat-note">{report.totals[status].orderCount} orders</p>
+              </div>
+            ))}
+          </div>
+
+          {report.withoutInvoice > 0 && (
+            <p className="info-text">
+              ⚠️ {report.withoutInvoice} {report.withoutInvoice === 1 ? 'claim has' : 'claims have'} no invoice attached yet.
+            </p>
+          )}
+          {(report.leftOut.invalid > 0 || report.leftOut.unconverted > 0) && (
+            <p className="info-text">
+              ⚠️ {report.leftOut.invalid + report.leftOut.unconverted} reimbursable orders fail validation or have no
+              exchange rate to {currency} and are left out of this report.
+            </p>
+          )}
+
+          {report.claims.length === 0 ? (
+            <p className="info-text">No reimbursable orders in this period.</p>
+          ) : (
+            <>
+              <table className="order-table">
+                <thead>
+                  <tr>
+                    <th />
+                    <th>Date</th>
+                    <th>Restaurant</th>
+                    <th className="numeric">Amount</th>
+                    <th>Flagged by</th>
+                    <th>Status</th>
+                    <th>Invoices</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.claims.map((claim) => (
+                    <tr key={claim.id}>
+                      <td>
+                        <input type="checkbox" checked={selected.includes(claim.id)} onChange={() => toggleSelected(claim.id)} />
+                      </td>
+                      <td>{claim.date}{claim.time && ` ${claim.time}`}</td>
+                      <td>
+                        {claim.restaurant}
+                        {claim.note && <span className="stat-note"> · {claim.note}</span>}
+                      </td>
+                      <td className="numeric">{formatMoney(claim.amount, currency)}</td>
+                      <td>{claim.flaggedBy}</td>
+                      <td>
+                        <select
+                          value={claim.status}
+                          onChange={(e) => setStatus([claim.id], e.target.value)}
+                          disabled={loading}
+                          className="category-select"
+                          title={[claim.submittedOn && `Submitted ${claim.submittedOn}`, claim.paidOn && `Paid ${claim.paidOn}`]
+                            .filter(Boolean).join(' · ')}
+                        >
+                          {STATUSES.map(({ status, label }) => <option key={status} value={status}>{label}</option>)}
+                        </select>
+                      </td>
+                      <td className="claim-invoices">
+                        {claim.attachments.map((attachment) => (
+                          <span key={attachment.id}>
+                            <button
+                              type="button"
+                              className="btn-text"
+                              onClick={() => download(`/api/attachments/${attachment.id}`, {}, attachment.fileName)}
+                            >
+                              {attachment.fileName}
+                            </button>
+                            <button type="button" className="btn-text" title="Remove" onClick={() => removeAttachment(attachment)}>
+                              ✕
+                            </button>
+                          </span>
+                        ))}
+                        <label className="btn-text">
+                          Attach
+                          <input
+                            type="file"
+                            accept="application/pdf,image/*"
+                            multiple
+                            onChange={(e) => attach(claim.id, e)}
+                            disabled={loading}
+                            hidden
+                          />
+                        </label>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="otp-buttons">
+                <button
+                  type="button"
+                  className="btn btn-secondary btn-small"
+                  disabled={loading || selected.length === 0}
+                  onClick={() => setStatus(selected, 'submitted')}
+                >
+                  Mark selected submitted
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-secondary btn-small"
+                  disabled={loading || selected.length === 0}
+                  onClick={() => setStatus(selected, 'paid')}
+                >
+                  Mark selected paid
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default Claims;
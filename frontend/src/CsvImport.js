@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { formatMoney } from './money';
+import {
+  ORDER_FIELDS, DATE_FORMATS, AMOUNT_SIGNS, parseCsv, guessMapping, guessAmountSign, rowsToOrders,
+} from './csvParse';
+
+const PREVIEW_ROWS = 5;
+
+// CSV upload with a column-mapping step, date format and amount sign choice and row-by-row validation
+function CsvImport({ onImport }) {
+  const [fileName, setFileName] = useState('');
+  const [csv, setCsv] = useState(null); // { headers, rows }
+  const [mapping, setMapping] = useState({});
+  const [dateFormat, setDateFormat] = useState(DATE_FORMATS[0].value);
+  const [amountSign, setAmountSign] = useState(AMOUNT_SIGNS[0].value);
+  const [error, setError] = useState('');
+
+  const handleFile = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      const parsed = parseCsv(e.target.result);
+      if (parsed.headers.length === 0 || parsed.rows.length === 0) {
+        setError('The CSV file needs a header row and at least one data row.');
+        setCsv(null);
+        return;
+      }
+      setError('');
+      setFileName(file.name);
+      const guessed = guessMapping(parsed.headers);
+      setCsv(parsed);
+      setMapping(guessed);
+      setAmountSign(guessAmountSign(parsed.rows, guessed.amount));
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  const reset = () => {
+    setCsv(null);
+    setFileName('');
+  };
+
+  const missingFields = ORDER_FIELDS.filter(({ key, required }) => required && mapping[key] === '');
+  const { results, orders } = csv && missingFields.length === 0
+    ? rowsToOrders(csv.rows, mapping, dateFormat, amountSign)
+    : { results: [], orders: [] };
+  const credits = results.filter((result) => result.credit);
+  const invalid = results.filter((result) => result.errors.length > 0 && !result.credit);
+
+  const handleImport = () => {
+    onImport(orders);
+    reset();
+  };
+
+  return (
+    <div className="csv-import">
+      <input type="file" accept=".csv,text/csv" onChange={handleFile} className="file-input" />
+      {error && <div className="error">{error}</div>}
+
+      {csv && (
+        <div className="csv-mapping">
+          <p className="info-text">
+            {fileName}: {csv.rows.length} rows. Choose which column holds each field.
+          </p>
+          {ORDER_FIELDS.map(({ key, label, required }) => (
+            <label key={key} className="csv-field">
+              {label}{required ? ' *' : ''}
+              <select
+                value={mapping[key]}
+                onChange={(e) => setMapping({ ...mapping, [key]: e.target.value === '' ? '' : Number(e.target.value) })}
+                className="date-input"
+              >
+                <option value="">{required ? 'Select a column' : 'Not in this file'}</option>
+                {csv.headers.map((header, index) => (
+                  <option key={`${index}-${header}`} value={index}>{header || `Column ${index + 1}`}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+          <label className="csv-field">
+            Date format
+            <select value={dateFormat} onChange={(e) => setDateFormat(e.target.value)} className="date-input">
+              {DATE_FORMATS.map((format) => (
+                <option key={format.value} value={format.value}>{format.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="csv-field">
+            Spending is
+            <select value={amountSign} onChange={(e) => setAmountSign(e.target.value)} className="date-input">
+              {AMOUNT_SIGNS.map((sign) => (
+                <option key={sign.value} value={sign.value}>{sign.label}</option>
+              ))}
+            </select>
+          </label>
+
+          {missingFields.length > 0 ? (
+            <p className="info-text">Map {missingFields.map((field) => field.label).join(', ')} to see a preview.</p>
+          ) : (
+            <>
+              <table className="order-table">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Date</th>
+                    <th>Restaurant</th>
+                    <th className="numeric">Amount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.slice(0, PREVIEW_ROWS).map((result) => (
+                    <tr key={result.row} className={result.order ? '' : 'csv-row--invalid'}>
+                      <td>{result.row}</td>
+                      {result.order ? (
+                        <>
+                          <td>{result.order.date}</td>
+                          <td>{result.order.restaurant}</td>
+                          <td className="numeric">{formatMoney(result.order.amount, result.order.currency)}</td>
+                        </>
+                      ) : (
+                        <td colSpan="3">{result.errors.join('; ')}</td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {credits.length > 0 && (
+                <details className="csv-errors">
+                  <summary>{credits.length} rows are refunds or credits and will be skipped</summary>
+                  <ul>
+                    {credits.map((result) => (
+                      <li key={result.row}>Row {result.row}: {result.errors.join('; ')}</li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+              {invalid.length > 0 && (
+                <details className="csv-errors">
+                  <summary>{invalid.length} rows have errors and will be skipped</summary>
+                  <ul>
+                    {invalid.map((result) => (
+                      <li key={result.row}>Row {result.row}: {result.errors.join('; ')}</li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+            </>
+          )}
+
+          <div className="otp-buttons">
+            <button
+              onClick={handleImport}
+              disabled={orders.length === 0}
+              className="btn btn-secondary btn-small"
+            >
+              Import {orders.length} orders
+            </button>
+            <button type="button" onClick={reset} className="btn-text">Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CsvImport;
@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from 'react';
+import { parseCsv } from './csvParse';
+import { COMMON_CURRENCIES } from './money';
+
+const emptyRate = (reportingCurrency) => ({ date: '', from: '', to: reportingCurrency, rate: '' });
+
+// Reads a "date,from,to,rate" CSV (header row required, columns in any order)
+const ratesFromCsv = (text) => {
+  const { headers, rows } = parseCsv(text);
+  const column = (name) => headers.findIndex((header) => header.toLowerCase() === name);
+  const indexes = ['date', 'from', 'to', 'rate'].map(column);
+  if (indexes.includes(-1)) {
+    throw new Error('The CSV needs date, from, to and rate columns');
+  }
+  const [date, from, to, rate] = indexes;
+  return rows.map((row) => ({
+    date: (row[date] || '').trim(),
+    from: (row[from] || '').trim().toUpperCase(),
+    to: (row[to] || '').trim().toUpperCase(),
+    rate: (row[rate] || '').trim(),
+  }));
+};
+
+// Reporting currency picker and the exchange-rate table used to convert orders into it
+function ExchangeRates({ reportingCurrency, rates, onSave }) {
+  const [currency, setCurrency] = useState(reportingCurrency);
+  const [draft, setDraft] = useState(rates);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setCurrency(reportingCurrency);
+    setDraft(rates);
+  }, [reportingCurrency, rates]);
+
+  const updateRate = (index, changes) => {
+    setDraft(draft.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
+  };
+
+  const handleCsv = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        setDraft([...draft, ...ratesFromCsv(e.target.result)]);
+        setError('');
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      await onSave(draft, currency);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const currencyOptions = [...new Set([...COMMON_CURRENCIES, currency, ...draft.flatMap((entry) => [entry.from, entry.to])])]
+    .filter(Boolean);
+
+  return (
+    <div className="exchange-rates">
+      <div className="date-input-group">
+        <label>Report totals in:</label>
+        <select value={currency} onChange={(e) => setCurrency(e.target.value)} className="date-input">
+          {currencyOptions.map((code) => <option key={code} value={code}>{code}</option>)}
+        </select>
+      </div>
+      <p className="info-text">
+        Orders in other currencies are converted with the latest rate on or before their date. A rate of 83 from USD
+        to INR means 1 USD was worth 83 INR; rates entered the other way round work too.
+      </p>
+      <table className="order-table">
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>From</th>
+            <th>To</th>
+            <th className="numeric">Rate</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {draft.map((entry, index) => (
+            <tr key={index}>
+              <td>
+                <input
+                  type="date"
+                  value={entry.date}
+                  onChange={(e) => updateRate(index, { date: e.target.value })}
+                  className="date-input"
+                />
+              </td>
+              {['from', 'to'].map((field) => (
+                <td key={field}>
+                  <select
+                    value={entry[field]}
+                    onChange={(e) => updateRate(index, { [field]: e.target.value })}
+                    className="date-input"
+                  >
+                    <option value="">Choose...</option>
+                    {currencyOptions.map((code) => <option key={code} value={code}>{code}</option>)}
+                  </select>
+                </td>
+              ))}
+              <td className="numeric">
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={entry.rate}
+                  onChange={(e) => updateRate(index, { rate: e.target.value })}
+                  className="date-input"
+                />
+              </td>
+              <td>
+                <button type="button" className="btn-text" onClick={() => setDraft(draft.filter((_, i) => i !== index))}>
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="otp-buttons">
+        <button type="button" className="btn btn-secondary btn-small" onClick={() => setDraft([...draft, emptyRate(currency)])}>
+          Add rate
+        </button>
+        <label className="btn btn-secondary btn-small">
+          Import CSV
+          <input type="file" accept=".csv,text/csv" onChange={handleCsv} hidden />
+        </label>
+        <button type="button" className="btn btn-primary btn-small" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save currencies'}
+        </button>
+      </div>
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+}
+
+export default ExchangeRates;
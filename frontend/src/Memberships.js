@@ -0,0 +1,131 @@
+import React, { useEffect, useState } from 'react';
+import { COMMON_CURRENCIES } from './money';
+
+const emptyMembership = (currency) => ({ platform: '', name: '', cost: '', currency, startDate: '', endDate: '' });
+
+// Editor for paid memberships (Swiggy One, Zomato Gold, ...) and the period each one covered
+function Memberships({ memberships, platforms, currency, onSave }) {
+  const [draft, setDraft] = useState(memberships);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setDraft(memberships);
+  }, [memberships]);
+
+  const updateMembership = (index, changes) => {
+    setDraft(draft.map((membership, i) => (i === index ? { ...membership, ...changes } : membership)));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    try {
+      await onSave(draft);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const currencyOptions = [...new Set([...COMMON_CURRENCIES, currency, ...draft.map((membership) => membership.currency)])]
+    .filter(Boolean);
+
+  return (
+    <div className="memberships">
+      <p className="info-text">
+        Add what you paid for each membership and the period it covered; the analysis compares it with the
+        membership savings on that platform's orders.
+      </p>
+      <table className="order-table">
+        <thead>
+          <tr>
+            <th>Platform</th>
+            <th>Membership</th>
+            <th className="numeric">Cost</th>
+            <th>Currency</th>
+            <th>From</th>
+            <th>To</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {draft.map((membership, index) => (
+            <tr key={index}>
+              <td>
+                <select
+                  value={membership.platform}
+                  onChange={(e) => updateMembership(index, { platform: e.target.value })}
+                  className="date-input"
+                >
+                  <option value="">Choose...</option>
+                  {platforms.map((name) => <option key={name} value={name}>{name}</option>)}
+                </select>
+              </td>
+              <td>
+                <input
+                  type="text"
+                  value={membership.name}
+                  placeholder="Swiggy One"
+                  onChange={(e) => updateMembership(index, { name: e.target.value })}
+                  className="date-input"
+                />
+              </td>
+              <td className="numeric">
+                <input
+                  type="number"
+                  min="0"
+                  value={membership.cost}
+                  onChange={(e) => updateMembership(index, { cost: e.target.value })}
+                  className="date-input"
+                />
+              </td>
+              <td>
+                <select
+                  value={membership.currency || currency}
+                  onChange={(e) => updateMembership(index, { currency: e.target.value })}
+                  className="date-input"
+                >
+                  {currencyOptions.map((code) => <option key={code} value={code}>{code}</option>)}
+                </select>
+              </td>
+              <td>
+                <input
+                  type="date"
+                  value={membership.startDate}
+                  onChange={(e) => updateMembership(index, { startDate: e.target.value })}
+                  className="date-input"
+                />
+              </td>
+              <td>
+                <input
+                  type="date"
+                  value={membership.endDate}
+                  onChange={(e) => updateMembership(index, { endDate: e.target.value })}
+                  className="date-input"
+                />
+              </td>
+              <td>
+                <button type="button" className="btn-text" onClick={() => setDraft(draft.filter((_, i) => i !== index))}>
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="otp-buttons">
+        <button type="button" className="btn btn-secondary btn-small" onClick={() => setDraft([...draft, emptyMembership(currency)])}>
+          Add membership
+        </button>
+        <button type="button" className="btn btn-primary btn-small" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save memberships'}
+        </button>
+      </div>
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+}
+
+export default Memberships;
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { formatMoney } from './money';
+
+const TABLE_PAGE_SIZE = 12;
+
+const formatSpend = (value, currency) => (value === null ? '—' : formatMoney(value, currency, 0));
+
+// Spending up is shown as bad (red), down as good (green)
+function Change({ value }) {
+  if (value === null) return '—';
+  const className = value > 0 ? 'trend-change--up' : value < 0 ? 'trend-change--down' : '';
+  return <span className={className}>{value > 0 ? '+' : ''}{value.toFixed(1)}%</span>;
+}
+
+// Best and worst month plus a month-by-month table with rolling averages and MoM / YoY change
+function MonthlyTrends({ trends, currency }) {
+  const [showAll, setShowAll] = useState(false);
+
+  const newestFirst = [...trends.months].reverse();
+  const visible = showAll ? newestFirst : newestFirst.slice(0, TABLE_PAGE_SIZE);
+  const latest = newestFirst[0];
+
+  return (
+    <div className="monthly-trends">
+      <div className="stats-grid">
+        {trends.bestMonth && (
+          <div className="stat-card stat-card--best">
+            <h3>Best Month</h3>
+            <p className="stat-value">{trends.bestMonth.month}</p>
+            <p className="stat-note">{formatSpend(trends.bestMonth.spend, currency)}</p>
+          </div>
+        )}
+        {trends.worstMonth && (
+          <div className="stat-card stat-card--worst">
+            <h3>Worst Month</h3>
+            <p className="stat-value">{trends.worstMonth.month}</p>
+            <p className="stat-note">{formatSpend(trends.worstMonth.spend, currency)}</p>
+          </div>
+        )}
+        <div className="stat-card">
+          <h3>{latest.month} vs Last Month</h3>
+          <p className="stat-value"><Change value={latest.momChange} /></p>
+          {latest.yoyChange !== null && (
+            <p className="stat-note">vs last year: <Change value={latest.yoyChange} /></p>
+          )}
+        </div>
+      </div>
+
+      <div className="order-list">
+        <table className="order-table">
+          <thead>
+            <tr>
+              <th>Month</th>
+              <th className="numeric">Spend</th>
+              <th className="numeric">3-Month Avg.</th>
+              <th className="numeric">6-Month Avg.</th>
+              <th className="numeric">vs Last Month</th>
+              <th className="numeric">vs Last Year</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((entry) => (
+              <tr key={entry.month}>
+                <td>
+                  {entry.month}
+                  {entry.month === trends.bestMonth?.month && ' (best)'}
+                  {entry.month === trends.worstMonth?.month && ' (worst)'}
+                </td>
+                <td className="numeric">{formatSpend(entry.spend, currency)}</td>
+                <td className="numeric">{formatSpend(entry.rolling3, currency)}</td>
+                <td className="numeric">{formatSpend(entry.rolling6, currency)}</td>
+                <td className="numeric"><Change value={entry.momChange} /></td>
+                <td className="numeric"><Change value={entry.yoyChange} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {newestFirst.length > TABLE_PAGE_SIZE && (
+          <button type="button" className="btn-text" onClick={() => setShowAll(!showAll)}>
+            {showAll ? 'Show fewer' : `Show all ${newestFirst.length} months`}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default MonthlyTrends;
@@ -0,0 +1,258 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { formatMoney } from './money';
+
+const PAGE_SIZE = 25;
+
+const parseNames = (text) =>
+  text.split(',').map((name) => name.trim()).filter(Boolean);
+
+// Inline editor for sharing one order among named people
+function SplitEditor({ order, apiUrl, onSaved, onClose }) {
+  const [paidBy, setPaidBy] = useState(order.split?.paidBy || '');
+  const [namesText, setNamesText] = useState(
+    order.split?.participants.map((p) => p.name).join(', ') || ''
+  );
+  const [mode, setMode] = useState(order.split?.mode || 'equal');
+  const [customShares, setCustomShares] = useState(
+    Object.fromEntries((order.split?.participants || []).map((p) => [p.name, String(p.share)]))
+  );
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const names = parseNames(namesText);
+
+  const saveSplit = async (split) => {
+    setSaving(true);
+    setError('');
+    try {
+      const response = await axios.put(`${apiUrl}/api/orders/${order.id}/split`, { split });
+      onSaved(response.data.order);
+      onClose();
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => saveSplit({
+    paidBy,
+    mode,
+    participants: names.map((name) => ({
+      name,
+      ...(mode === 'custom' ? { share: customShares[name] || 0 } : {}),
+    })),
+  });
+
+  return (
+    <div className="split-editor">
+      <label>
+        Paid by
+        <input type="text" value={paidBy} onChange={(e) => setPaidBy(e.target.value)} className="date-input" />
+      </label>
+      <label>
+        Shared with (comma separated, include the payer if they ate too)
+        <input type="text" value={namesText} onChange={(e) => setNamesText(e.target.value)} className="date-input" />
+      </label>
+      <div className="split-mode">
+        <label>
+          <input type="radio" checked={mode === 'equal'} onChange={() => setMode('equal')} /> Equal split
+        </label>
+        <label>
+          <input type="radio" checked={mode === 'custom'} onChange={() => setMode('custom')} /> Custom amounts
+        </label>
+      </div>
+      {mode === 'custom' && names.map((name) => (
+        <label key={name} className="split-share">
+          {name}
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={customShares[name] || ''}
+            onChange={(e) => setCustomShares({ ...customShares, [name]: e.target.value })}
+            className="date-input"
+          />
+        </label>
+      ))}
+      <div className="otp-buttons">
+        <button onClick={handleSave} disabled={saving || !paidBy || names.length === 0} className="btn btn-primary btn-small">
+          Save split
+        </button>
+        {order.split && (
+          <button onClick={() => saveSplit(null)} disabled={saving} className="btn-cancel btn-small">
+            Make personal
+          </button>
+        )}
+        <button onClick={onClose} disabled={saving} className="btn-text">Cancel</button>
+      </div>
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+}
+
+// Category picker: choosing a category overrides the rules, "Automatic" hands the order back to them
+function CategorySelect({ order, apiUrl, categories, onSaved }) {
+  const [saving, setSaving] = useState(false);
+  const options = [...new Set([...categories, ...(order.category ? [order.category] : [])])].sort();
+
+  const handleChange = async (event) => {
+    const { value } = event.target;
+    setSaving(true);
+    try {
+      const response = await axios.put(`${apiUrl}/api/orders/${order.id}/category`, {
+        category: value === '' ? null : value,
+      });
+      onSaved(response.data.order);
+    } catch (err) {
+      console.error('Error updating category:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <select
+      value={order.categorySource === 'manual' ? order.category : ''}
+      onChange={handleChange}
+      disabled={saving || !order.id}
+      className="category-select"
+      title={order.categorySource === 'manual' ? 'Set by hand' : 'Set by the category rules'}
+    >
+      <option value="">Automatic{order.categorySource === 'rule' ? `: ${order.category}` : ''}</option>
+      {options.map((category) => (
+        <option key={category} value={category}>{category}</option>
+      ))}
+    </select>
+  );
+}
+
+// Reimbursable or personal: picking one overrides the reimbursement rules, "Automatic" hands the
+// order back to them
+function ReimbursementSelect({ order, apiUrl, onSaved }) {
+  const [saving, setSaving] = useState(false);
+  const claimed = order.claim && order.claim.status !== 'pending';
+
+  const handleChange = async (event) => {
+    const { value } = event.target;
+    setSaving(true);
+    try {
+      const response = await axios.put(`${apiUrl}/api/orders/${order.id}/reimbursement`, {
+        reimbursable: value === '' ? null : value === 'reimbursable',
+      });
+      onSaved(response.data.order);
+    } catch (err) {
+      console.error('Error updating reimbursement:', err);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const selected = order.reimbursableSource === 'manual' ? (order.reimbursable ? 'reimbursable' : 'personal') : '';
+  return (
+    <select
+      value={selected}
+      onChange={handleChange}
+      disabled={saving || !order.id}
+      className="category-select"
+      title={claimed ? `Claim ${order.claim.status}` : order.reimbursableRule ? `Flagged by "${order.reimbursableRule}"` : ''}
+    >
+      <option value="">Automatic: {order.reimbursable && order.reimbursableSource !== 'manual' ? 'Reimbursable' : 'Personal'}</option>
+      <option value="reimbursable">Reimbursable{claimed ? ` (${order.claim.status})` : ''}</option>
+      <option value="personal">Personal</option>
+    </select>
+  );
+}
+
+// Table of loaded orders, newest first, with per-order actions
+function OrderList({ orders, apiUrl, categories = [], onOrderUpdated }) {
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  const [editingId, setEditingId] = useState(null);
+
+  const sorted = [...orders].sort((a, b) => String(b.date).localeCompare(String(a.date)));
+  const visible = sorted.slice(0, visibleCount);
+
+  return (
+    <div className="order-list">
+      <table className="order-table">
+        <thead>
+          <tr>
+            <th>Date</th>
+            <th>Restaurant</th>
+            <th>Platform</th>
+            <th>Category</th>
+            <th>Claim</th>
+            <th className="numeric">Amount</th>
+            <th>Shared</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {visible.map((order, idx) => (
+            <React.Fragment key={order.id || `${idx}-${order.date}-${order.restaurant}`}>
+              <tr>
+                <td>{order.date}</td>
+                <td>
+                  {order.restaurant}
+                  {order.parseIssues?.length > 0 && (
+                    <span className="parse-issues" title={`Not found on the invoice: ${order.parseIssues.join(', ')}`}>
+                      {' '}⚠ check
+                    </span>
+                  )}
+                </td>
+                <td>{order.platform || '—'}</td>
+                <td>
+                  <CategorySelect order={order} apiUrl={apiUrl} categories={categories} onSaved={onOrderUpdated} />
+                </td>
+                <td>
+                  <ReimbursementSelect order={order} apiUrl={apiUrl} onSaved={onOrderUpdated} />
+                </td>
+                <td className="numeric">{formatMoney(order.amount, order.currency)}</td>
+                <td>
+                  {order.split
+                    ? `${order.split.paidBy} paid · ${order.split.participants.length} people`
+                    : '—'}
+                </td>
+                <td>
+                  <button
+                    type="button"
+                    className="btn-text"
+                    disabled={!order.id}
+                    title={order.id ? '' : 'Only saved orders can be shared'}
+                    onClick={() => setEditingId(editingId === order.id ? null : order.id)}
+                  >
+                    {order.split ? 'Edit split' : 'Split'}
+                  </button>
+                </td>
+              </tr>
+              {editingId !== null && editingId === order.id && (
+                <tr>
+                  <td colSpan="8">
+                    <SplitEditor
+                      order={order}
+                      apiUrl={apiUrl}
+                      onSaved={onOrderUpdated}
+                      onClose={() => setEditingId(null)}
+                    />
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+      {sorted.length > visibleCount && (
+        <button
+          type="button"
+          className="btn-text"
+          onClick={() => setVisibleCount(visibleCount + PAGE_SIZE)}
+        >
+          Show more ({sorted.length - visibleCount} remaining)
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default OrderList;
@@ -0,0 +1,58 @@
+import React from 'react';
+
+// YYYY-MM of the month before this one, the usual period to submit
+export const lastMonth = () => {
+  const date = new Date();
+  date.setDate(1);
+  date.setMonth(date.getMonth() - 1);
+  return date.toLocaleDateString('en-CA').slice(0, 7);
+};
+
+export const initialPeriod = () => ({ byMonth: true, month: lastMonth(), startDate: '', endDate: '' });
+
+// Query parameters of a period for the report endpoints
+export const periodParams = (period) => (period.byMonth
+  ? { month: period.month }
+  : { ...(period.startDate ? { startDate: period.startDate } : {}), ...(period.endDate ? { endDate: period.endDate } : {}) });
+
+// File name part the server gives the same period, e.g. "2024-05" or "2024-05-01-to-today"
+export const periodSuffix = (period) => (period.byMonth
+  ? period.month
+  : `${period.startDate || 'start'}-to-${period.endDate || 'today'}`);
+
+// One month or a date range (either end may be left open); children are extra inputs for the same row
+function PeriodPicker({ period, onChange, children }) {
+  const update = (changes) => onChange({ ...period, ...changes });
+
+  return (
+    <div className="date-inputs">
+      <div className="date-input-group">
+        <label>Period:</label>
+        <select value={period.byMonth ? 'month' : 'range'} onChange={(e) => update({ byMonth: e.target.value === 'month' })} className="date-input">
+          <option value="month">One month</option>
+          <option value="range">Date range</option>
+        </select>
+      </div>
+      {period.byMonth ? (
+        <div className="date-input-group">
+          <label>Month:</label>
+          <input type="month" value={period.month} onChange={(e) => update({ month: e.target.value })} className="date-input" />
+        </div>
+      ) : (
+        <>
+          <div className="date-input-group">
+            <label>Start Date:</label>
+            <input type="date" value={period.startDate} onChange={(e) => update({ startDate: e.target.value })} className="date-input" />
+          </div>
+          <div className="date-input-group">
+            <label>End Date:</label>
+            <input type="date" value={period.endDate} onChange={(e) => update({ endDate: e.target.value })} className="date-input" />
+          </div>
+        </>
+      )}
+      {children}
+    </div>
+  );
+}
+
+export default PeriodPicker;
@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from 'react';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const MEAL_SLOTS = [
+  { slot: 'breakfast', label: 'Breakfast' },
+  { slot: 'lunch', label: 'Lunch' },
+  { slot: 'dinner', label: 'Dinner' },
+  { slot: 'lateNight', label: 'Late night' },
+];
+
+const emptyRule = () => ({
+  name: 'Office lunch',
+  weekdays: WEEKDAYS.slice(0, 5),
+  mealSlots: ['lunch'],
+  addressLabels: 'Work',
+  platforms: [],
+});
+
+const parseNames = (text) => text.split(',').map((name) => name.trim()).filter(Boolean);
+
+// Address labels are edited as comma separated text
+const toDraft = (rules) => rules.map((rule) => ({ ...rule, addressLabels: rule.addressLabels.join(', ') }));
+
+const toggle = (list, value) => (list.includes(value) ? list.filter((entry) => entry !== value) : [...list, value]);
+
+// Editable list of reimbursement rules; the first rule that matches an order flags it as a work meal
+function ReimbursementRules({ rules, platforms, onSave }) {
+  const [draft, setDraft] = useState(() => toDraft(rules));
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setDraft(toDraft(rules));
+  }, [rules]);
+
+  const updateRule = (index, changes) => {
+    setDraft(draft.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError('');
+    setMessage('');
+    try {
+      const reflagged = await onSave(draft.map((rule) => ({ ...rule, addressLabels: parseNames(rule.addressLabels) })));
+      setMessage(`Rules saved, ${reflagged} orders re-flagged.`);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="reimbursement-rules">
+      <p className="info-text">
+        An order is reimbursable when it matches every condition of a rule; leave a condition empty to match
+        anything. Orders you mark by hand in the order list, and claims already submitted, are never changed by rules.
+      </p>
+      <table className="order-table">
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>Weekdays</th>
+            <th>Meal</th>
+            <th>Delivered to</th>
+            <th>Platforms</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {draft.map((rule, index) => (
+            <tr key={index}>
+              <td>
+                <input
+                  type="text"
+                  value={rule.name}
+                  onChange={(e) => updateRule(index, { name: e.target.value })}
+                  className="date-input"
+                />
+              </td>
+              <td className="rule-choices">
+                {WEEKDAYS.map((day) => (
+                  <label key={day}>
+                    <input
+                      type="checkbox"
+                      checked={rule.weekdays.includes(day)}
+                      onChange={() => updateRule(index, { weekdays: toggle(rule.weekdays, day) })}
+                    />
+                    {day}
+                  </label>
+                ))}
+              </td>
+              <td className="rule-choices">
+                {MEAL_SLOTS.map(({ slot, label }) => (
+                  <label key={slot}>
+                    <input
+                      type="checkbox"
+                      checked={rule.mealSlots.includes(slot)}
+                      onChange={() => updateRule(index, { mealSlots: toggle(rule.mealSlots, slot) })}
+                    />
+                    {label}
+                  </label>
+                ))}
+              </td>
+              <td>
+                <input
+                  type="text"
+                  value={rule.addressLabels}
+                  placeholder="e.g. Work, Office"
+                  onChange={(e) => updateRule(index, { addressLabels: e.target.value })}
+                  className="date-input"
+                />
+              </td>
+              <td className="rule-choices">
+                {platforms.map((platform) => (
+                  <label key={platform}>
+                    <input
+                      type="checkbox"
+                      checked={rule.platforms.includes(platform)}
+                      onChange={() => updateRule(index, { platforms: toggle(rule.platforms, platform) })}
+                    />
+                    {platform}
+                  </label>
+                ))}
+              </td>
+              <td className="rule-actions">
+                <button type="button" className="btn-text" onClick={() => setDraft(draft.filter((_, i) => i !== index))}>Remove</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="otp-buttons">
+        <button type="button" className="btn btn-secondary btn-small" onClick={() => setDraft([...draft, emptyRule()])}>
+          Add rule
+        </button>
+        <button type="button" className="btn btn-primary btn-small" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save rules'}
+        </button>
+      </div>
+      {message && <p className="info-text">{message}</p>}
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+}
+
+export default ReimbursementRules;
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { Bar } from 'react-chartjs-2';
+import { currencySymbol, formatMoney } from './money';
+
+const COLUMNS = [
+  { key: 'restaurant', label: 'Restaurant' },
+  { key: 'orderCount', label: 'Orders', numeric: true },
+  { key: 'totalSpend', label: 'Total Spend', numeric: true, money: true },
+  { key: 'averageTicket', label: 'Avg. Ticket', numeric: true, money: true },
+  { key: 'firstOrder', label: 'First Order' },
+  { key: 'lastOrder', label: 'Last Order' },
+  { key: 'averageDaysBetweenOrders', label: 'Days Between Orders', numeric: true },
+];
+
+const CHART_SIZE = 10;
+const TABLE_PAGE_SIZE = 20;
+
+// Where the money goes: top restaurants chart plus a sortable per-restaurant table
+function RestaurantStats({ stats, currency }) {
+  const [sortKey, setSortKey] = useState('totalSpend');
+  const [ascending, setAscending] = useState(false);
+  const [chartMetric, setChartMetric] = useState('totalSpend'); // totalSpend, orderCount
+  const [showAll, setShowAll] = useState(false);
+
+  const handleSort = (key) => {
+    if (key === sortKey) {
+      setAscending(!ascending);
+    } else {
+      setSortKey(key);
+      setAscending(key === 'restaurant');
+    }
+  };
+
+  // Unknown values (null) always sort last
+  const sorted = [...stats.restaurants].sort((a, b) => {
+    if (a[sortKey] === null) return 1;
+    if (b[sortKey] === null) return -1;
+    const order = typeof a[sortKey] === 'string'
+      ? a[sortKey].localeCompare(b[sortKey])
+      : a[sortKey] - b[sortKey];
+    return ascending ? order : -order;
+  });
+  const visible = showAll ? sorted : sorted.slice(0, TABLE_PAGE_SIZE);
+
+  const top = [...stats.restaurants]
+    .sort((a, b) => b[chartMetric] - a[chartMetric])
+    .slice(0, CHART_SIZE);
+  const chartData = {
+    labels: top.map((r) => r.restaurant),
+    datasets: [
+      {
+        label: chartMetric === 'totalSpend' ? `Total Spend (${currencySymbol(currency)})` : 'Orders',
+        data: top.map((r) => r[chartMetric]),
+        backgroundColor: 'rgba(252, 70, 107, 0.6)',
+        borderColor: 'rgba(252, 70, 107, 1)',
+        borderWidth: 1,
+      },
+    ],
+  };
+
+  return (
+    <div className="restaurant-stats">
+      <div className="stats-grid">
+        <div className="stat-card">
+          <h3>Restaurants Tried</h3>
+          <p className="stat-value">{stats.restaurants.length}</p>
+        </div>
+        <div className="stat-card">
+          <h3>Ordered From Again</h3>
+          <p className="stat-value">{Math.round(stats.repeatRestaurantShare * 100)}%</p>
+        </div>
+        <div className="stat-card">
+          <h3>New This Month</h3>
+          <p className="stat-value">{stats.newThisMonth.length}</p>
+          {stats.newThisMonth.length > 0 && (
+            <p className="stat-note">{stats.newThisMonth.join(' · ')}</p>
+          )}
+        </div>
+      </div>
+
+      <div className="chart-container">
+        <h3>Top Restaurants</h3>
+        <div className="platform-picker">
+          <button
+            type="button"
+            className={`btn-platform ${chartMetric === 'totalSpend' ? 'btn-platform--active' : ''}`}
+            onClick={() => setChartMetric('totalSpend')}
+          >
+            By spend
+          </button>
+          <button
+            type="button"
+            className={`btn-platform ${chartMetric === 'orderCount' ? 'btn-platform--active' : ''}`}
+            onClick={() => setChartMetric('orderCount')}
+          >
+            By orders
+          </button>
+        </div>
+        <Bar data={chartData} options={{ indexAxis: 'y', responsive: true, plugins: { legend: { display: false } } }} />
+      </div>
+
+      <div className="order-list">
+        <table className="order-table">
+          <thead>
+            <tr>
+              {COLUMNS.map((column) => (
+                <th
+                  key={column.key}
+                  className={`sortable ${column.numeric ? 'numeric' : ''}`}
+                  onClick={() => handleSort(column.key)}
+                >
+                  {column.label}
+                  {sortKey === column.key && (ascending ? ' ▲' : ' ▼')}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map((row) => (
+              <tr key={row.restaurant}>
+                {COLUMNS.map((column) => (
+                  <td key={column.key} className={column.numeric ? 'numeric' : ''}>
+                    {row[column.key] === null ? '—' : column.money ? formatMoney(row[column.key], currency) : row[column.key]}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {sorted.length > TABLE_PAGE_SIZE && (
+          <button type="button" className="btn-text" onClick={() => setShowAll(!showAll)}>
+            {showAll ? 'Show fewer' : `Show all ${sorted.length} restaurants`}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default RestaurantStats;
@@ -0,0 +1,115 @@
+import React from 'react';
+import { formatMoney } from './money';
+
+const formatRate = (value) => `${(value * 100).toFixed(1)}%`;
+
+const verdict = (membership, currency) => {
+  if (membership.worthIt === null) return `no exchange rate from ${membership.currency} to ${currency} to compare.`;
+  if (membership.worthIt) return `${formatMoney(membership.net, currency, 0)} ahead.`;
+  const short = `${formatMoney(-membership.net, currency, 0)} short`;
+  return membership.ordersToBreakEven
+    ? `${short}; at this rate it pays off after ${membership.ordersToBreakEven} orders.`
+    : `${short}.`;
+};
+
+// How much discounts and memberships saved, whether each membership paid off, and what fees added
+function Savings({ savings, currency }) {
+  const { totals, fees } = savings;
+  const feeTypes = Object.keys(fees.perOrder).filter((type) => fees.totals[type] > 0);
+
+  return (
+    <div className="savings">
+      <h3>💸 Savings &amp; Fees</h3>
+      <p className="info-text">Based on the {totals.ordersWithSavingsInfo} orders that report discounts or fees.</p>
+
+      <div className="stats-grid">
+        <div className="stat-card">
+          <h3>Total Saved</h3>
+          <p className="stat-value">{formatMoney(totals.saved, currency)}</p>
+          <p className="stat-note">
+            coupons {formatMoney(totals.discounts, currency, 0)} · memberships {formatMoney(totals.membershipSavings, currency, 0)}
+          </p>
+        </div>
+        <div className="stat-card">
+          <h3>Effective Discount</h3>
+          <p className="stat-value">{formatRate(totals.effectiveDiscountRate)}</p>
+        </div>
+        {fees.ordersWithFees > 0 && (
+          <div className="stat-card">
+            <h3>Fees per Order</h3>
+            <p className="stat-value">{formatMoney(fees.totalPerOrder, currency)}</p>
+            <p className="stat-note">
+              {feeTypes.map((type) => `${type} ${formatMoney(fees.perOrder[type], currency, 0)}`).join(' · ')}
+              {' '}({formatRate(fees.shareOfSpend)} of spend)
+            </p>
+          </div>
+        )}
+      </div>
+
+      {savings.memberships.length > 0 && (
+        <ul className="membership-verdicts">
+          {savings.memberships.map((membership) => (
+            <li
+              key={`${membership.platform}-${membership.startDate}`}
+              className={membership.worthIt === null
+                ? undefined
+                : membership.worthIt ? 'membership-verdict--worth-it' : 'membership-verdict--not-worth-it'}
+            >
+              <strong>{membership.name}</strong> ({membership.startDate} to {membership.endDate}): saved{' '}
+              {formatMoney(membership.savings, currency, 0)} on {membership.orderCount} orders for a
+              {' '}{formatMoney(membership.cost, membership.currency || currency, 0)}
+              {membership.originalCurrency && ` (${formatMoney(membership.originalCost, membership.originalCurrency, 0)})`}
+              {' '}fee, {verdict(membership, currency)}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="savings-tables">
+        {savings.byCoupon.length > 0 && (
+          <table className="order-table">
+            <thead>
+              <tr>
+                <th>Coupon</th>
+                <th className="numeric">Orders</th>
+                <th className="numeric">Saved</th>
+              </tr>
+            </thead>
+            <tbody>
+              {savings.byCoupon.map((entry) => (
+                <tr key={entry.coupon || 'none'}>
+                  <td>{entry.coupon || 'No code'}</td>
+                  <td className="numeric">{entry.orderCount}</td>
+                  <td className="numeric">{formatMoney(entry.total, currency)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <table className="order-table">
+          <thead>
+            <tr>
+              <th>Month</th>
+              <th className="numeric">Paid</th>
+              <th className="numeric">Saved</th>
+              <th className="numeric">Discount Rate</th>
+            </tr>
+          </thead>
+          <tbody>
+            {savings.byMonth.map((entry) => (
+              <tr key={entry.month}>
+                <td>{entry.month}</td>
+                <td className="numeric">{formatMoney(entry.paid, currency)}</td>
+                <td className="numeric">{formatMoney(entry.discounts + entry.membershipSavings, currency)}</td>
+                <td className="numeric">{formatRate(entry.effectiveDiscountRate)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default Savings;
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import { formatMoney } from './money';
+
+// Who owes whom across shared orders, with a CSV download of the summary
+function Settlements({ apiUrl }) {
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [settlement, setSettlement] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const params = () => ({
+    ...(startDate ? { startDate } : {}),
+    ...(endDate ? { endDate } : {}),
+  });
+
+  const loadSettlement = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await axios.get(`${apiUrl}/api/settlements`, { params: params() });
+      setSettlement(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Settlements are not converted: friends settle in the currency they paid in, so every balance
+  // and payment carries its own currency
+  const currencies = [...new Set((settlement?.balances || []).map((person) => person.currency))];
+
+  // Fetched through axios (not a plain link) so the auth header is sent
+  const downloadCsv = async () => {
+    setError('');
+    try {
+      const response = await axios.get(`${apiUrl}/api/settlements`, {
+        params: { ...params(), format: 'csv' },
+        responseType: 'blob',
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `settlement-${startDate || 'start'}-to-${endDate || 'today'}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <section className="settlement-section">
+      <h2>🤝 Shared Orders & Settlement</h2>
+      <p className="info-text">
+        Split orders in the list above, then see who owes whom for a period.
+      </p>
+      <div className="date-inputs">
+        <div className="date-input-group">
+          <label>Start Date:</label>
+          <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} className="date-input" />
+        </div>
+        <div className="date-input-group">
+          <label>End Date:</label>
+          <input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} className="date-input" />
+        </div>
+      </div>
+
+      <div className="otp-buttons">
+        <button onClick={loadSettlement} disabled={loading} className="btn btn-primary">
+          {loading ? 'Calculating...' : 'Calculate Settlement'}
+        </button>
+        <button onClick={downloadCsv} disabled={loading} className="btn btn-secondary">
+          Export CSV
+        </button>
+      </div>
+
+      {error && <div className="error">{error}</div>}
+
+      {settlement && (
+        <div className="results">
+          {settlement.orders.length === 0 ? (
+            <p className="info-text">No shared orders in this period.</p>
+          ) : (
+            <>
+              <p className="info-text">
+                {settlement.orders.length} shared orders
+                {currencies.length > 1 && ` in ${currencies.join(', ')}; each currency is settled on its own`}
+              </p>
+              <table className="order-table">
+                <thead>
+                  <tr>
+                    <th>Person</th>
+                    {currencies.length > 1 && <th>Currency</th>}
+                    <th className="numeric">Paid</th>
+                    <th className="numeric">Share</th>
+                    <th className="numeric">Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {settlement.balances.map((person) => (
+                    <tr key={`${person.currency}-${person.name}`}>
+                      <td>{person.name}</td>
+                      {currencies.length > 1 && <td>{person.currency}</td>}
+                      <td className="numeric">{formatMoney(person.paid, person.currency)}</td>
+                      <td className="numeric">{formatMoney(person.share, person.currency)}</td>
+                      <td className="numeric">{formatMoney(person.balance, person.currency)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              {settlement.transfers.length === 0 ? (
+                <p className="info-text">Everyone is settled up.</p>
+              ) : (
+                <ul className="transfer-list">
+                  {settlement.transfers.map((transfer) => (
+                    <li key={`${transfer.currency}-${transfer.from}-${transfer.to}`}>
+                      <strong>{transfer.from}</strong> pays <strong>{transfer.to}</strong> {formatMoney(transfer.amount, transfer.currency)}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default Settlements;
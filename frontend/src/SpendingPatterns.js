@@ -0,0 +1,79 @@
+import React, { useState } from 'react';
+import { formatMoney } from './money';
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+// When the money goes: meal slot totals plus a weekday × hour heatmap
+function SpendingPatterns({ patterns }) {
+  const [metric, setMetric] = useState('spend'); // spend, orderCount
+
+  const cells = patterns.heatmap.flat();
+  const max = Math.max(...cells.map((cell) => cell[metric]), 0);
+  const formatValue = (value) => (metric === 'spend' ? formatMoney(value, patterns.currency, 0) : value);
+
+  return (
+    <div className="spending-patterns">
+      <div className="stats-grid">
+        {patterns.byMealSlot.map((slot) => (
+          <div key={slot.slot} className="stat-card">
+            <h3>{slot.label}</h3>
+            <p className="stat-value">{formatMoney(slot.spend, patterns.currency, 0)}</p>
+            <p className="stat-note">
+              {slot.orderCount} orders · {Math.round(slot.shareOfSpend * 100)}% of spend · {slot.hours}
+            </p>
+          </div>
+        ))}
+      </div>
+
+      {patterns.ordersWithoutTime > 0 && (
+        <p className="info-text">
+          {patterns.ordersWithoutTime} orders have no time of day and only count towards weekdays.
+        </p>
+      )}
+
+      <div className="chart-container">
+        <h3>Orders by Weekday and Hour</h3>
+        <div className="platform-picker">
+          <button
+            type="button"
+            className={`btn-platform ${metric === 'spend' ? 'btn-platform--active' : ''}`}
+            onClick={() => setMetric('spend')}
+          >
+            By spend
+          </button>
+          <button
+            type="button"
+            className={`btn-platform ${metric === 'orderCount' ? 'btn-platform--active' : ''}`}
+            onClick={() => setMetric('orderCount')}
+          >
+            By orders
+          </button>
+        </div>
+
+        <div className="heatmap">
+          <span />
+          {HOURS.map((hour) => (
+            <span key={hour} className="heatmap__hour">{hour % 3 === 0 ? hour : ''}</span>
+          ))}
+          {patterns.heatmap.map((row, weekday) => (
+            <React.Fragment key={WEEKDAYS[weekday]}>
+              <span className="heatmap__weekday">{WEEKDAYS[weekday]}</span>
+              {row.map((cell, hour) => (
+                <span
+                  key={hour}
+                  className="heatmap__cell"
+                  style={{ opacity: max > 0 && cell[metric] > 0 ? 0.15 + 0.85 * (cell[metric] / max) : 0.05 }}
+                  title={`${WEEKDAYS[weekday]} ${String(hour).padStart(2, '0')}:00 · ${cell.orderCount} orders · ${formatMoney(cell.spend, patterns.currency)}`}
+                />
+              ))}
+            </React.Fragment>
+          ))}
+        </div>
+        {max > 0 && <p className="stat-note">Darkest cell: {formatValue(max)}</p>}
+      </div>
+    </div>
+  );
+}
+
+export default SpendingPatterns;
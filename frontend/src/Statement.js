@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import PeriodPicker, { initialPeriod, periodParams, periodSuffix } from './PeriodPicker';
+
+const FORMATS = [
+  { format: 'pdf', label: 'PDF report' },
+  { format: 'xlsx', label: 'Excel' },
+  { format: 'csv', label: 'CSV' },
+];
+
+// File name prefix the server uses for each scope
+const SCOPE_PREFIXES = { all: 'statement', personal: 'personal-statement', reimbursable: 'claim' };
+
+// Statement downloads for a month or a date range, e.g. to submit with a meal reimbursement
+function Statement({ apiUrl }) {
+  const [period, setPeriod] = useState(initialPeriod);
+  const [scope, setScope] = useState('all');
+  const [downloading, setDownloading] = useState('');
+  const [error, setError] = useState('');
+
+  // Fetched through axios (not a plain link) so the auth header is sent
+  const download = async (format) => {
+    if (period.byMonth && !period.month) {
+      setError('Please pick a month');
+      return;
+    }
+    setDownloading(format);
+    setError('');
+    try {
+      const response = await axios.get(`${apiUrl}/api/statement`, {
+        params: { ...periodParams(period), scope, format },
+        responseType: 'blob',
+      });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${SCOPE_PREFIXES[scope]}-${periodSuffix(period)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setDownloading('');
+    }
+  };
+
+  return (
+    <section className="statement-section">
+      <h2>📄 Statements</h2>
+      <p className="info-text">
+        Download the orders of a period with their fees, taxes and running total (Excel or CSV), or a PDF report
+        with the totals, monthly chart, top restaurants and categories.
+      </p>
+      <PeriodPicker period={period} onChange={setPeriod}>
+        <div className="date-input-group">
+          <label>Orders:</label>
+          <select value={scope} onChange={(e) => setScope(e.target.value)} className="date-input">
+            <option value="all">All orders</option>
+            <option value="personal">Personal only</option>
+            <option value="reimbursable">Reimbursable only (claim)</option>
+          </select>
+        </div>
+      </PeriodPicker>
+
+      <div className="otp-buttons">
+        {FORMATS.map(({ format, label }) => (
+          <button
+            key={format}
+            onClick={() => download(format)}
+            disabled={Boolean(downloading)}
+            className={format === 'pdf' ? 'btn btn-primary' : 'btn btn-secondary'}
+          >
+            {downloading === format ? 'Preparing...' : `Download ${label}`}
+          </button>
+        ))}
+      </div>
+
+      {error && <div className="error">{error}</div>}
+    </section>
+  );
+}
+
+export default Statement;
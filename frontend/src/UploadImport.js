@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+
+// Uploads files to a server-side importer and reports what was found and skipped.
+// The importer answers with the stored orders, the merge summary, a `skipped` list and,
+// for imports that can be incomplete, a `flagged` list of files imported with missing fields.
+function UploadImport({ apiUrl, endpoint, accept, allowFolder, onImported }) {
+  const [uploading, setUploading] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const uploadFiles = async (files) => {
+    if (files.length === 0) {
+      setError('No matching files selected.');
+      return;
+    }
+
+    const formData = new FormData();
+    files.forEach((file) => formData.append('files', file));
+
+    setUploading(true);
+    setError('');
+    setResult(null);
+    try {
+      const response = await axios.post(`${apiUrl}${endpoint}`, formData);
+      setResult(response.data);
+      onImported(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleFiles = (event) => {
+    uploadFiles(Array.from(event.target.files));
+    event.target.value = '';
+  };
+
+  // A folder can hold anything, so only its files with an accepted extension are sent
+  const handleFolder = (event) => {
+    const extensions = accept.split(',').filter((type) => type.startsWith('.'));
+    uploadFiles(Array.from(event.target.files).filter((file) =>
+      extensions.some((extension) => file.name.toLowerCase().endsWith(extension))
+    ));
+    event.target.value = '';
+  };
+
+  return (
+    <div className="upload-import">
+      <input type="file" multiple accept={accept} onChange={handleFiles} disabled={uploading} className="file-input" />
+      {allowFolder && (
+        <label className="upload-folder">
+          or a whole folder:
+          <input type="file" webkitdirectory="" onChange={handleFolder} disabled={uploading} className="file-input" />
+        </label>
+      )}
+      {uploading && <p className="info-text">Reading files...</p>}
+      {error && <div className="error">{error}</div>}
+      {result && (
+        <p className="info-text">
+          Found {result.found} orders
+          {result.messages !== undefined && ` in ${result.messages} emails`}
+        </p>
+      )}
+      {result?.flagged?.length > 0 && (
+        <details className="csv-errors" open>
+          <summary>{result.flagged.length} imported with missing fields, please check them</summary>
+          <ul>
+            {result.flagged.map((item, idx) => (
+              <li key={`${idx}-${item.file}`}>{item.file}: no {item.missing.join(', ')}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+      {result?.skipped?.length > 0 && (
+        <details className="csv-errors">
+          <summary>{result.skipped.length} skipped</summary>
+          <ul>
+            {result.skipped.map((item, idx) => (
+              <li key={`${idx}-${item.file}`}>
+                {item.file}{item.subject ? ` (${item.subject})` : ''}: {item.reason}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
+
+export default UploadImport;
@@ -0,0 +1,31 @@
+import React from 'react';
+
+const describe = (problem) => `Order ${problem.index + 1}: ${problem.field ? `${problem.field} ` : ''}${problem.reason}`;
+
+// Orders the server turned down or warned about, each problem as {index, field, reason}
+function ValidationReport({ errors = [], warnings = [], title }) {
+  const failed = new Set(errors.map((problem) => problem.index)).size;
+
+  return (
+    <>
+      {failed > 0 && (
+        <details className="csv-errors" open>
+          <summary>{title}: {failed} {failed === 1 ? 'order fails' : 'orders fail'} validation</summary>
+          <ul>
+            {errors.map((problem, idx) => <li key={idx}>{describe(problem)}</li>)}
+          </ul>
+        </details>
+      )}
+      {warnings.length > 0 && (
+        <details className="csv-errors">
+          <summary>{warnings.length} {warnings.length === 1 ? 'warning' : 'warnings'}</summary>
+          <ul>
+            {warnings.map((problem, idx) => <li key={idx}>{describe(problem)}</li>)}
+          </ul>
+        </details>
+      )}
+    </>
+  );
+}
+
+export default ValidationReport;
@@ -0,0 +1,217 @@
+// Helpers for importing orders from CSV exports, bank statements and spreadsheets.
+// The user maps columns to order fields and picks the date format; every row is
+// validated on its own so bad rows can be reported without dropping the file.
+
+import { detectCurrency, stripCurrency } from './money';
+
+export const ORDER_FIELDS = [
+  { key: 'date', label: 'Date', required: true },
+  { key: 'amount', label: 'Amount', required: true },
+  { key: 'restaurant', label: 'Restaurant', required: true },
+  { key: 'platform', label: 'Platform', required: false },
+  { key: 'orderId', label: 'Order ID', required: false },
+  { key: 'currency', label: 'Currency', required: false },
+];
+
+export const DATE_FORMATS = [
+  { value: 'YYYY-MM-DD', label: 'YYYY-MM-DD (2024-01-31)' },
+  { value: 'DD/MM/YYYY', label: 'DD/MM/YYYY (31/01/2024)' },
+  { value: 'MM/DD/YYYY', label: 'MM/DD/YYYY (01/31/2024)' },
+  { value: 'DD MMM YYYY', label: 'DD MMM YYYY (31 Jan 2024)' },
+];
+
+// How the file writes what was spent: order exports as positive amounts, bank statements as
+// negative debits. Amounts of the other sign are refunds or credits and are not orders.
+export const AMOUNT_SIGNS = [
+  { value: 'positive', label: 'Positive (order exports)' },
+  { value: 'negative', label: 'Negative (bank statement debits)' },
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Header names that usually hold each field, used to pre-fill the mapping
+const HEADER_HINTS = {
+  date: /date|time|ordered/i,
+  amount: /amount|total|paid|debit|price|value/i,
+  restaurant: /restaurant|merchant|vendor|description|narration|store|name/i,
+  platform: /platform|source|app/i,
+  orderId: /order.?(id|no|number)|reference|ref/i,
+  currency: /currency|ccy/i,
+};
+
+const detectDelimiter = (line) => {
+  const counts = [',', ';', '\t'].map((delimiter) => [delimiter, line.split(delimiter).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+};
+
+/**
+ * Parse CSV text into a header row and data rows. Handles quoted fields with
+ * embedded delimiters, quotes and line breaks, and comma, semicolon or tab
+ * delimiters.
+ * @returns {{headers: string[], rows: string[][]}}
+ */
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source.split(/\r?\n/, 1)[0]);
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const nonEmpty = records.filter((row) => row.some((value) => value.trim() !== ''));
+  const [headers = [], ...rows] = nonEmpty;
+  return { headers: headers.map((header) => header.trim()), rows };
+}
+
+/**
+ * Guess which column holds each order field from the header names
+ * @returns {Object} Column index per field key, or '' when no header fits
+ */
+export function guessMapping(headers) {
+  const used = new Set();
+  return ORDER_FIELDS.reduce((mapping, { key }) => {
+    const index = headers.findIndex((header, i) => !used.has(i) && HEADER_HINTS[key].test(header));
+    if (index !== -1) used.add(index);
+    mapping[key] = index === -1 ? '' : index;
+    return mapping;
+  }, {});
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Parse a date in the chosen format, ignoring any time after the date
+ * @returns {string|null} YYYY-MM-DD, or null when the value is not a real date
+ */
+export function parseDateValue(value, format) {
+  const text = String(value || '').trim();
+  let year;
+  let month;
+  let day;
+
+  if (format === 'DD MMM YYYY') {
+    const match = text.match(/^(\d{1,2})[\s\-/]+([a-z]{3})[a-z]*[\s\-/,]+(\d{4})/i);
+    if (!match) return null;
+    day = Number(match[1]);
+    month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+    year = Number(match[3]);
+  } else {
+    const match = format === 'YYYY-MM-DD'
+      ? text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/)
+      : text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/);
+    if (!match) return null;
+    if (format === 'YYYY-MM-DD') [, year, month, day] = match.map(Number);
+    if (format === 'DD/MM/YYYY') [, day, month, year] = match.map(Number);
+    if (format === 'MM/DD/YYYY') [, month, day, year] = match.map(Number);
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (month < 1 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Parse an amount such as "₹1,234.50", "Rs. 350", "$12.99", "-350.00" or "(350.00)", keeping
+ * its sign; an amount in parentheses is negative. Commas must group thousands (or lakhs), so a
+ * decimal comma such as "3,50" is rejected rather than read as 350.
+ * @returns {number|null}
+ */
+export function parseAmountValue(value) {
+  const text = stripCurrency(value).replace(/\s/g, '');
+  const match = /^([-+]?)(\(?)((\d+|\d{1,3}(,\d{3})+|\d{1,2}(,\d{2})*,\d{3})(\.\d+)?)(\)?)$/.exec(text);
+  if (!match || match[2] !== match[8].replace(')', '(')) return null;
+  const amount = Number.parseFloat(match[3].replace(/,/g, ''));
+  return match[1] === '-' || match[2] === '(' ? -amount : amount;
+}
+
+/**
+ * Guess how a file writes spending: negative when most of the amounts in the column are
+ * negative, as in a bank statement. Blank, unreadable and zero amounts have no sign and are not
+ * counted.
+ * @param {string[][]} rows - Data rows from parseCsv
+ * @param {number|string} column - Index of the amount column ('' when unmapped)
+ * @returns {string} One of AMOUNT_SIGNS
+ */
+export function guessAmountSign(rows, column) {
+  const amounts = column === ''
+    ? []
+    : rows.map((row) => parseAmountValue(row[column])).filter((amount) => amount !== null && amount !== 0);
+  const negative = amounts.filter((amount) => amount < 0).length;
+  return negative > amounts.length / 2 ? 'negative' : 'positive';
+}
+
+/**
+ * Turn mapped CSV rows into orders
+ * @param {string[][]} rows - Data rows from parseCsv
+ * @param {Object} mapping - Column index per field key ('' for unmapped)
+ * @param {string} dateFormat - One of DATE_FORMATS
+ * @param {string} [amountSign] - One of AMOUNT_SIGNS, the sign of what was spent
+ * @returns {{results: Array<{row: number, order: Object|null, errors: string[], credit: boolean}>, orders: Array}}
+ *   `row` is the 1-based row number in the file, counting the header row; `credit` marks a refund
+ *   or credit row, which is skipped like a row with errors
+ */
+export function rowsToOrders(rows, mapping, dateFormat, amountSign = 'positive') {
+  const cell = (row, key) => (mapping[key] === '' ? '' : String(row[mapping[key]] ?? '').trim());
+
+  const results = rows.map((row, index) => {
+    const errors = [];
+    const date = parseDateValue(cell(row, 'date'), dateFormat);
+    const signed = parseAmountValue(cell(row, 'amount'));
+    const amount = signed !== null && amountSign === 'negative' ? -signed : signed;
+    const credit = amount !== null && amount < 0;
+    const restaurant = cell(row, 'restaurant');
+    // An amount written with a symbol ("$12.99") gives the currency when there is no currency column
+    const currency = (cell(row, 'currency') || detectCurrency(cell(row, 'amount')) || '').toUpperCase();
+
+    if (!date) errors.push(`Date "${cell(row, 'date')}" is not ${dateFormat}`);
+    if (amount === null) errors.push(`Amount "${cell(row, 'amount')}" is not a number`);
+    if (credit) errors.push(`Amount "${cell(row, 'amount')}" is a refund or credit, not an order`);
+    if (!restaurant) errors.push('Restaurant is empty');
+    if (currency && !/^[A-Z]{3}$/.test(currency)) errors.push(`Currency "${cell(row, 'currency')}" is not a code such as USD`);
+
+    const order = errors.length > 0 ? null : {
+      date,
+      amount,
+      restaurant,
+      ...(cell(row, 'platform') ? { platform: cell(row, 'platform').toLowerCase() } : {}),
+      ...(cell(row, 'orderId') ? { orderId: cell(row, 'orderId') } : {}),
+      ...(currency ? { currency } : {}),
+    };
+    return { row: index + 2, order, errors, credit };
+  });
+
+  return { results, orders: results.filter((result) => result.order).map((result) => result.order) };
+}
@@ -0,0 +1,70 @@
+import { parseAmountValue, guessAmountSign, rowsToOrders } from './csvParse';
+
+const mapping = { date: 0, amount: 1, restaurant: 2, platform: '', orderId: '', currency: '' };
+
+describe('parseAmountValue', () => {
+  it('reads currency symbols and thousands or lakh grouping', () => {
+    expect(parseAmountValue('₹1,234.50')).toBe(1234.5);
+    expect(parseAmountValue('Rs. 350')).toBe(350);
+    expect(parseAmountValue('$12.99')).toBe(12.99);
+    expect(parseAmountValue('1,00,000')).toBe(100000);
+    expect(parseAmountValue('12,34,567.89')).toBe(1234567.89);
+  });
+
+  it('keeps the sign, with parentheses meaning negative', () => {
+    expect(parseAmountValue('-350.00')).toBe(-350);
+    expect(parseAmountValue('+12')).toBe(12);
+    expect(parseAmountValue('(350.00)')).toBe(-350);
+    expect(parseAmountValue('₹(1,200)')).toBe(-1200);
+  });
+
+  it('rejects decimal commas, unbalanced parentheses and text', () => {
+    expect(parseAmountValue('3,50')).toBeNull();
+    expect(parseAmountValue('1,2,3')).toBeNull();
+    expect(parseAmountValue('(350')).toBeNull();
+    expect(parseAmountValue('350)')).toBeNull();
+    expect(parseAmountValue('abc')).toBeNull();
+    expect(parseAmountValue('')).toBeNull();
+  });
+});
+
+describe('guessAmountSign', () => {
+  it('follows the sign of most amounts, not counting zero, blank or unreadable ones', () => {
+    expect(guessAmountSign([['', '-350'], ['', '-20'], ['', '120']], 1)).toBe('negative');
+    expect(guessAmountSign([['', '350'], ['', '-20']], 1)).toBe('positive');
+    expect(guessAmountSign([['', '-350'], ['', '0'], ['', '0'], ['', ''], ['', 'n/a']], 1)).toBe('negative');
+    expect(guessAmountSign([['', '-350']], '')).toBe('positive');
+  });
+});
+
+describe('rowsToOrders', () => {
+  const rows = [
+    ['2024-01-10', '350', 'Pizza Place'],
+    ['2024-01-11', '-120', 'Refund'],
+    ['2024-01-12', '(80)', 'Credit'],
+  ];
+
+  it('skips negative amounts as refunds when spending is positive', () => {
+    const { results, orders } = rowsToOrders(rows, mapping, 'YYYY-MM-DD', 'positive');
+    expect(orders).toEqual([{ date: '2024-01-10', amount: 350, restaurant: 'Pizza Place' }]);
+    expect(results.map((result) => result.credit)).toEqual([false, true, true]);
+    expect(results[1].errors).toEqual(['Amount "-120" is a refund or credit, not an order']);
+  });
+
+  it('skips positive amounts as credits when spending is negative', () => {
+    const { results, orders } = rowsToOrders(rows, mapping, 'YYYY-MM-DD', 'negative');
+    expect(orders).toEqual([
+      { date: '2024-01-11', amount: 120, restaurant: 'Refund' },
+      { date: '2024-01-12', amount: 80, restaurant: 'Credit' },
+    ]);
+    expect(results.map((result) => result.credit)).toEqual([true, false, false]);
+    expect(results[0].row).toBe(2);
+  });
+
+  it('treats spending as positive by default and reports other errors without flagging a credit', () => {
+    const { results } = rowsToOrders([['31/01/2024', 'abc', '']], mapping, 'YYYY-MM-DD');
+    expect(results[0].credit).toBe(false);
+    expect(results[0].errors).toHaveLength(3);
+    expect(rowsToOrders([['2024-01-10', '-5', 'A']], mapping, 'YYYY-MM-DD').orders).toEqual([]);
+  });
+});
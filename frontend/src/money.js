@@ -0,0 +1,62 @@
+// Currency symbols and money formatting shared by every view that shows amounts.
+// Analysis results are in the account's reporting currency; orders keep their own.
+
+export const DEFAULT_CURRENCY = 'INR';
+
+// Symbols and codes written next to amounts; longer symbols first so "US$" is read before "$"
+const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'], ['S$', 'SGD'], ['A$', 'AUD'], ['C$', 'CAD'], ['Rs.', 'INR'], ['Rs', 'INR'],
+  ['₹', 'INR'], ['$', 'USD'], ['€', 'EUR'], ['£', 'GBP'],
+  ['INR', 'INR'], ['USD', 'USD'], ['EUR', 'EUR'], ['GBP', 'GBP'], ['AED', 'AED'], ['SGD', 'SGD'],
+  ['AUD', 'AUD'], ['CAD', 'CAD'],
+];
+
+const CURRENCY_SOURCE = CURRENCY_SYMBOLS
+  .map(([symbol]) => (/^[a-z]/i.test(symbol) ? '\\b' : '') + symbol.replace(/[.$]/g, '\\$&'))
+  .join('|');
+
+// Currencies offered in the pickers; any other ISO 4217 code can still be typed into a CSV column
+export const COMMON_CURRENCIES = ['INR', 'USD', 'EUR', 'GBP', 'AED', 'SGD', 'AUD', 'CAD', 'JPY', 'THB'];
+
+/**
+ * Currency of an amount written with a symbol or code ("$12.50", "Rs. 300", "12 EUR")
+ * @returns {string|null}
+ */
+export function detectCurrency(text) {
+  const match = String(text || '').match(new RegExp(CURRENCY_SOURCE, 'i'));
+  return match ? CURRENCY_SYMBOLS.find(([symbol]) => symbol.toUpperCase() === match[0].toUpperCase())[1] : null;
+}
+
+/**
+ * Remove currency symbols and codes from an amount
+ */
+export function stripCurrency(text) {
+  return String(text || '').replace(new RegExp(CURRENCY_SOURCE, 'gi'), '');
+}
+
+const localeFor = (currency) => (currency === 'INR' ? 'en-IN' : 'en-US');
+
+/**
+ * Format an amount, e.g. formatMoney(1240.5) is "₹1,240.50" and formatMoney(12, 'USD', 0) is "$12"
+ * @param {number|string} value
+ * @param {string} [currency]
+ * @param {number} [digits] - Decimal places
+ */
+export function formatMoney(value, currency, digits = 2) {
+  const code = currency || DEFAULT_CURRENCY;
+  return new Intl.NumberFormat(localeFor(code), {
+    style: 'currency',
+    currency: code,
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(Number(value));
+}
+
+/**
+ * Symbol of a currency, for labels such as "Budget (₹)"
+ */
+export function currencySymbol(currency) {
+  const code = currency || DEFAULT_CURRENCY;
+  const parts = new Intl.NumberFormat(localeFor(code), { style: 'currency', currency: code }).formatToParts(0);
+  return parts.find((part) => part.type === 'currency')?.value || code;
+}
@@ -0,0 +1,79 @@
+// Helpers for merging newly imported orders into the ones already loaded.
+// Orders match by platform + order ID when both sides have one, otherwise by a
+// fingerprint of date, amount and restaurant name.
+
+const normalizeRestaurant = (name) =>
+  String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+export const orderFingerprint = (order) => [
+  String(order.date || '').slice(0, 10),
+  Number.parseFloat(order.amount || 0).toFixed(2),
+  normalizeRestaurant(order.restaurant),
+].join('|');
+
+const idKey = (order) =>
+  order.orderId ? `${order.platform || ''}:${order.orderId}` : null;
+
+const sameOrder = (a, b) => {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every((key) => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+};
+
+/**
+ * Merge incoming orders into an existing list without duplicating any.
+ * An order matched by ID takes the incoming values; one matched only by
+ * fingerprint keeps its values and gains any fields it was missing (so a
+ * scrape can add the order ID and items to an order first pasted by hand).
+ * A match that changes nothing counts as skipped.
+ * @returns {{orders: Array, summary: {added: number, updated: number, skipped: number}}}
+ */
+export function mergeOrders(existing, incoming) {
+  const merged = [...existing];
+  const byId = new Map();
+  const byFingerprint = new Map();
+  const summary = { added: 0, updated: 0, skipped: 0 };
+
+  const index = (order, position) => {
+    const key = idKey(order);
+    if (key) byId.set(key, position);
+    const fingerprint = orderFingerprint(order);
+    if (!byFingerprint.has(fingerprint)) byFingerprint.set(fingerprint, []);
+    byFingerprint.get(fingerprint).push(position);
+  };
+
+  merged.forEach(index);
+
+  incoming.forEach((order) => {
+    const key = idKey(order);
+    let position = key ? byId.get(key) : undefined;
+    const matchedById = position !== undefined;
+
+    // Fall back to the fingerprint, but never pair two orders with different IDs
+    if (!matchedById) {
+      const candidates = byFingerprint.get(orderFingerprint(order)) || [];
+      position = candidates.find((i) => !merged[i].orderId || !order.orderId);
+    }
+
+    if (position === undefined) {
+      merged.push(order);
+      index(order, merged.length - 1);
+      summary.added++;
+      return;
+    }
+
+    const updated = matchedById
+      ? { ...merged[position], ...order }
+      : { ...order, ...merged[position] };
+    if (sameOrder(updated, merged[position])) {
+      summary.skipped++;
+      return;
+    }
+
+    merged[position] = updated;
+    index(updated, position);
+    summary.updated++;
+  });
+
+  return { orders: merged, summary };
+}